@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+// Tagged aliases extend the mailbox id (kai+<mailbox_id>.<tag>@...), named ones
+// replace it (kai+<name>@...). Names may not look like a mailbox id. Mailboxes on
+// a custom domain get their aliases there: <local>+<tag>@domain and <name>@domain.
+// Those are only reachable at that address, so their token is the address itself:
+// no kai+ subaddress resolves to them, and names are taken per domain.
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{2,31}$/;
+const MAILBOX_ID_PATTERN = /^[0-9a-f]{8}$/;
+const MAX_ALIASES = 50;
+
+/**
+ * Token and address of an alias on its mailbox's own domain
+ * @param {object} agent - Owning mailbox
+ * @param {string} kind - 'tag' or 'name'
+ * @param {string} value - The tag or name
+ * @returns {object} { kind, token, address }
+ */
+function aliasAddress(agent, kind, value) {
+  if (!agent.domain) {
+    const token = kind === 'tag' ? `${agent.mailbox_id}.${value}` : value;
+    return { kind, token, address: `kai+${token}@kdn.agency` };
+  }
+  const [local, domain] = agent.email.split('@');
+  const address = kind === 'tag' ? `${local}+${value}@${domain}` : `${value}@${domain}`;
+  return { kind, token: address, address };
+}
+
+/**
+ * Work out the token for a requested alias
+ * @param {object} agent - Owning mailbox
+ * @param {object} options - { tag } for kai+<id>.<tag>, or { name } for kai+<name>
+ *   (<local>+<tag>@domain and <name>@domain on a custom domain)
+ * @returns {object} { kind: 'tag' | 'name', token, address }
+ * @throws {Error} If the request is invalid
+ */
+function aliasToken(agent, { tag, name } = {}) {
+  if (!tag === !name) {
+    throw new Error('Provide either tag or name');
+  }
+  if (tag !== undefined) {
+    const value = String(tag).toLowerCase();
+    if (!TAG_PATTERN.test(value)) {
+      throw new Error('tag must be 1-32 letters, digits, "-" or "_"');
+    }
+    return aliasAddress(agent, 'tag', value);
+  }
+  const value = String(name).toLowerCase();
+  if (!NAME_PATTERN.test(value) || MAILBOX_ID_PATTERN.test(value)) {
+    throw new Error('name must be 3-32 letters, digits, "-" or "_" and not look like a mailbox id');
+  }
+  return aliasAddress(agent, 'name', value);
+}
+
+/**
+ * Whether a token or address is already used by a mailbox or an alias
+ */
+function tokenTaken(token, address) {
+  const db = getDb();
+  return !!(db.prepare('SELECT 1 AS found FROM aliases WHERE token = ? OR address = ?').get(token, address) ||
+    db.prepare('SELECT 1 AS found FROM agents WHERE mailbox_id = ? OR email = ?').get(token, address));
+}
+
+/**
+ * Create an alias for a mailbox
+ * @returns {object} The new alias row
+ */
+function createAlias(agent, { kind, token, address }) {
+  const row = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mailbox_id: agent.mailbox_id,
+    kind,
+    token,
+    address,
+    active: 1,
+    created_at: new Date().toISOString()
+  };
+  getDb().prepare(`
+    INSERT INTO aliases (id, mailbox_id, kind, token, address, active, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.mailbox_id, row.kind, row.token, row.address, row.active, row.created_at);
+  return row;
+}
+
+function getAlias(mailboxId, id) {
+  return getDb().prepare('SELECT * FROM aliases WHERE id = ? AND mailbox_id = ?').get(id, mailboxId);
+}
+
+/**
+ * A mailbox's aliases, each with the number of messages it received
+ */
+function listAliases(mailboxId) {
+  return getDb().prepare(`
+    SELECT a.*, (
+      SELECT COUNT(*) FROM messages m WHERE m.mailbox_id = a.mailbox_id AND m.delivered_to = a.address
+    ) AS messages
+    FROM aliases a WHERE a.mailbox_id = ?
+    ORDER BY a.created_at
+  `).all(mailboxId);
+}
+
+function setAliasActive(alias, active) {
+  getDb().prepare('UPDATE aliases SET active = ? WHERE id = ?').run(active ? 1 : 0, alias.id);
+}
+
+function deleteAlias(alias) {
+  getDb().prepare('DELETE FROM aliases WHERE id = ?').run(alias.id);
+}
+
+/**
+ * Resolve a subaddress token to the mailbox it delivers to
+ * @returns {object|null} { agent, alias (null for the primary address), address },
+ *   or null if nothing is known by that token
+ */
+function resolveRecipient(token) {
+  const db = getDb();
+  const alias = db.prepare('SELECT * FROM aliases WHERE token = ?').get(token);
+  const mailboxId = alias ? alias.mailbox_id : token;
+  const agent = db.prepare('SELECT * FROM agents WHERE mailbox_id = ?').get(mailboxId);
+  if (!agent) return null;
+  return { agent, alias: alias || null, address: alias ? alias.address : agent.email };
+}
+
+function toAlias(row) {
+  return {
+    id: row.id,
+    address: row.address,
+    kind: row.kind,
+    active: !!row.active,
+    messages: row.messages ?? 0,
+    created_at: row.created_at
+  };
+}
+
+module.exports = {
+  MAX_ALIASES,
+  aliasToken,
+  tokenTaken,
+  createAlias,
+  getAlias,
+  listAliases,
+  setAliasActive,
+  deleteAlias,
+  resolveRecipient,
+  toAlias
+};
@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const net = require('net');
+const { lookupTxt, lookupMx, lookupAddresses } = require('./dns');
+
+const AUTH_CONFIG = {
+  // Authentication-Results headers are trusted only from these authserv-ids.
+  // With none configured they are ignored: any sender can write one, so fetched
+  // mail then has no SPF result.
+  authservIds: (process.env.AUTHSERV_IDS || '')
+    .split(',').map(id => id.trim().toLowerCase()).filter(Boolean),
+  spfLookupLimit: 10,
+  maxSignatures: 5
+};
+
+// Registrations under these second-level labels of a ccTLD (co.uk, com.au, ...)
+// get an extra label; a stand-in for the public suffix list
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or', 'go']);
+
+/**
+ * Domain part of an address (angle brackets allowed), lowercased; '' if there is none
+ */
+function domainOf(address) {
+  const match = String(address || '').match(/@([^\s>@]+)>?\s*$/);
+  return match ? match[1].toLowerCase().replace(/\.$/, '') : '';
+}
+
+/**
+ * Registered ("organizational") domain of a name, used for relaxed DMARC alignment
+ */
+function organizationalDomain(domain) {
+  const labels = domain.split('.');
+  const keep = labels.length > 2 && labels[labels.length - 1].length === 2 &&
+    SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Parse semicolon-separated tag=value lists (DKIM-Signature, DKIM keys, DMARC)
+ */
+function parseTags(value) {
+  const tags = {};
+  for (const part of value.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    tags[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim();
+  }
+  return tags;
+}
+
+function headerValues(parsed, key) {
+  return (parsed.headerLines || [])
+    .filter(h => h.key === key)
+    .map(h => h.line.slice(h.line.indexOf(':') + 1).replace(/\r?\n/g, ''));
+}
+
+// ============= AUTHENTICATION-RESULTS =============
+
+/**
+ * Parse an Authentication-Results header value (RFC 8601)
+ * @returns {object} { authservId, results: [{ method, result, properties }] }
+ *   where properties holds e.g. { 'smtp.mailfrom': 'bounce@example.com' }
+ */
+function parseAuthenticationResults(value) {
+  let text = value;
+  // Comments may nest, so strip innermost ones until none are left
+  for (let prev; prev !== text;) {
+    prev = text;
+    text = text.replace(/\([^()]*\)/g, ' ');
+  }
+
+  const [id, ...parts] = text.split(';').map(part => part.trim());
+  const results = [];
+  for (const part of parts) {
+    const match = part.match(/^([a-z0-9_-]+)\s*=\s*([a-z]+)/i);
+    if (!match) continue;
+    const properties = {};
+    for (const [, key, val] of part.slice(match[0].length).matchAll(/([a-z0-9_-]+\.[a-z0-9_.-]+)\s*=\s*("[^"]*"|\S+)/gi)) {
+      properties[key.toLowerCase()] = val.replace(/^"|"$/g, '');
+    }
+    results.push({ method: match[1].toLowerCase(), result: match[2].toLowerCase(), properties });
+  }
+  return { authservId: (id || '').split(/\s+/)[0].toLowerCase(), results };
+}
+
+/**
+ * The Authentication-Results header we trust on a message, parsed; null if there is none
+ */
+function upstreamResults(parsed) {
+  const headers = headerValues(parsed, 'authentication-results').map(parseAuthenticationResults);
+  return headers.find(h => AUTH_CONFIG.authservIds.includes(h.authservId)) || null;
+}
+
+/**
+ * SPF result reported upstream, for mail we did not take over SMTP ourselves
+ */
+function upstreamSpf(parsed) {
+  const entry = upstreamResults(parsed)?.results.find(r => r.method === 'spf');
+  if (!entry) return { result: 'none', domain: null, source: 'upstream' };
+
+  const mailFrom = entry.properties['smtp.mailfrom'] || headerValues(parsed, 'return-path')[0] || '';
+  const domain = (mailFrom.includes('@') ? domainOf(mailFrom) : mailFrom.toLowerCase()) ||
+    entry.properties['smtp.helo'] || null;
+  return { result: entry.result, domain, source: 'upstream' };
+}
+
+// ============= SPF =============
+
+const SPF_QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+const SPF_MECHANISM = /^([+\-~?]?)([a-z0-9]+)(?::([^/]*))?(?:\/(\d+))?(?:\/\/(\d+))?$/i;
+
+function spfError(result, message) {
+  const err = new Error(message);
+  err.spfResult = result;
+  return err;
+}
+
+/**
+ * IPv6 address as 32 dot-separated nibbles, for the %{i} macro
+ */
+function ipv6Nibbles(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  return groups.map(g => g.padStart(4, '0')).join('').split('').join('.');
+}
+
+/**
+ * Expand SPF macros (RFC 7208 section 7) in a domain spec
+ */
+function expandMacros(spec, ctx) {
+  const values = {
+    s: ctx.sender,
+    l: ctx.sender.slice(0, ctx.sender.lastIndexOf('@')) || 'postmaster',
+    o: domainOf(ctx.sender),
+    d: ctx.domain,
+    i: ctx.family === 6 ? ipv6Nibbles(ctx.ip) : ctx.ip,
+    h: ctx.helo || '',
+    v: ctx.family === 6 ? 'ip6' : 'in-addr',
+    p: 'unknown'
+  };
+  return spec.replace(/%(?:\{([a-z])(\d*)(r?)([.\-+,/_=]*)\}|([%_-]))/gi, (m, letter, digits, reverse, delimiters, literal) => {
+    if (literal) return { '%': '%', '_': ' ', '-': '%20' }[literal];
+    const value = values[letter.toLowerCase()];
+    if (value === undefined) throw spfError('permerror', `unknown macro ${m}`);
+    let parts = value.split(new RegExp(`[${(delimiters || '.').replace(/[-\\\]]/g, '\\$&')}]`));
+    if (reverse) parts = parts.reverse();
+    if (digits) parts = parts.slice(-parseInt(digits));
+    return parts.join('.');
+  });
+}
+
+function inNetwork(ip, network, prefix, family) {
+  const networkFamily = net.isIP(network);
+  const max = family === 6 ? 128 : 32;
+  if (!networkFamily || prefix > (networkFamily === 6 ? 128 : 32)) {
+    throw spfError('permerror', `invalid network ${network}/${prefix}`);
+  }
+  if (networkFamily !== family) return false;
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix ?? max, type);
+  return list.check(ip, type);
+}
+
+function countLookup(ctx) {
+  if (++ctx.lookups > AUTH_CONFIG.spfLookupLimit) {
+    throw spfError('permerror', 'too many DNS lookups');
+  }
+}
+
+async function matchesHost(host, prefix4, prefix6, ctx) {
+  const addresses = await lookupAddresses(host, ctx.family, ctx.resolver);
+  const prefix = ctx.family === 6 ? prefix6 : prefix4;
+  return addresses.some(address => inNetwork(ctx.ip, address, prefix, ctx.family));
+}
+
+async function matchesMechanism(name, arg, prefix4, prefix6, domain, ctx, depth) {
+  const target = arg ? expandMacros(arg, { ...ctx, domain }) : domain;
+  switch (name) {
+    case 'all':
+      return true;
+    case 'ip4':
+    case 'ip6':
+      return inNetwork(ctx.ip, arg, prefix4, ctx.family);
+    case 'a':
+      countLookup(ctx);
+      return matchesHost(target, prefix4, prefix6, ctx);
+    case 'mx': {
+      countLookup(ctx);
+      const hosts = await lookupMx(target, ctx.resolver);
+      if (hosts.length > 10) throw spfError('permerror', 'too many MX hosts');
+      for (const host of hosts) {
+        if (await matchesHost(host, prefix4, prefix6, ctx)) return true;
+      }
+      return false;
+    }
+    case 'include': {
+      countLookup(ctx);
+      const result = await evaluateSpf(target, ctx, depth + 1);
+      return result === 'pass';
+    }
+    case 'exists':
+      countLookup(ctx);
+      return (await lookupAddresses(target, 4, ctx.resolver)).length > 0;
+    case 'ptr':
+      // Deprecated and expensive; never matches
+      countLookup(ctx);
+      return false;
+    default:
+      throw spfError('permerror', `unknown mechanism ${name}`);
+  }
+}
+
+/**
+ * Evaluate a domain's SPF record for the client in ctx
+ * @returns {Promise<string>} pass, fail, softfail, neutral or none
+ * @throws {Error} With spfResult permerror or temperror
+ */
+async function evaluateSpf(domain, ctx, depth = 0) {
+  let records;
+  try {
+    records = (await lookupTxt(domain, ctx.resolver)).filter(txt => /^v=spf1(\s|$)/i.test(txt));
+  } catch (err) {
+    throw spfError('temperror', `DNS lookup for ${domain} failed`);
+  }
+  if (records.length > 1) throw spfError('permerror', `multiple SPF records at ${domain}`);
+  if (records.length === 0) {
+    // An include or redirect pointing nowhere is an error in the including record
+    if (depth > 0) throw spfError('permerror', `no SPF record at ${domain}`);
+    return 'none';
+  }
+
+  let redirect = null;
+  for (const term of records[0].split(/\s+/).slice(1).filter(Boolean)) {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) {
+      if (modifier[1].toLowerCase() === 'redirect') redirect = modifier[2];
+      continue;
+    }
+    const mechanism = term.match(SPF_MECHANISM);
+    if (!mechanism) throw spfError('permerror', `invalid SPF term ${term}`);
+    const [, qualifier, name, arg, prefix4, prefix6] = mechanism;
+    const matched = await matchesMechanism(name.toLowerCase(), arg,
+      prefix4 && parseInt(prefix4), prefix6 && parseInt(prefix6), domain, ctx, depth);
+    if (matched) return SPF_QUALIFIERS[qualifier || '+'];
+  }
+
+  if (redirect) {
+    countLookup(ctx);
+    return evaluateSpf(expandMacros(redirect, { ...ctx, domain }), ctx, depth + 1);
+  }
+  return 'neutral';
+}
+
+/**
+ * Check whether the connecting client may send for the envelope sender (or,
+ * for bounces, the HELO name)
+ * @param {object} session - { ip, helo, mailFrom }
+ * @param {object} resolver - DNS resolver (see ./dns); defaults to the configured one
+ * @returns {Promise<object>} { result, domain, source, reason? }
+ */
+async function checkSpf({ ip, helo, mailFrom }, resolver) {
+  const sender = mailFrom || (helo ? `postmaster@${helo}` : '');
+  const domain = domainOf(sender);
+  if (!ip || !domain) return { result: 'none', domain: domain || null, source: 'local' };
+
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const ctx = { ip: address, family: net.isIPv6(address) ? 6 : 4, sender, domain, helo, resolver, lookups: 0 };
+  try {
+    return { result: await evaluateSpf(domain, ctx), domain, source: 'local' };
+  } catch (err) {
+    // Anything not raised by the evaluator itself is a failed DNS lookup
+    return { result: err.spfResult || 'temperror', domain, source: 'local', reason: err.message };
+  }
+}
+
+// ============= DKIM =============
+
+/**
+ * Split a raw message into header fields (folding kept) and body, with CRLF line ends
+ */
+function splitMessage(raw) {
+  const text = Buffer.from(raw).toString('binary').replace(/\r?\n/g, '\r\n');
+  const end = text.indexOf('\r\n\r\n');
+  const head = end === -1 ? text : text.slice(0, end + 2);
+  const headers = head.split(/\r\n(?![ \t])/)
+    .filter(line => line.includes(':'))
+    .map(line => ({ name: line.slice(0, line.indexOf(':')).trim().toLowerCase(), line }));
+  return { headers, body: end === -1 ? '' : text.slice(end + 4) };
+}
+
+function canonicalHeader(line, method) {
+  if (method !== 'relaxed') return `${line}\r\n`;
+  const colon = line.indexOf(':');
+  const value = line.slice(colon + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${line.slice(0, colon).trim().toLowerCase()}:${value}\r\n`;
+}
+
+function canonicalBody(body, method) {
+  if (method !== 'relaxed') return body.replace(/(\r\n)*$/, '\r\n');
+  const text = body.replace(/[ \t]+/g, ' ').replace(/ \r\n/g, '\r\n').replace(/(\r\n)*$/, '').replace(/ $/, '');
+  return text ? `${text}\r\n` : '';
+}
+
+function dkimPublicKey(data, type) {
+  const der = Buffer.from(data, 'base64');
+  if (type === 'ed25519') {
+    // Published as the raw 32-byte key; wrap it in the SPKI structure Node expects
+    const spki = Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), der]);
+    return crypto.createPublicKey({ key: spki, format: 'der', type: 'spki' });
+  }
+  try {
+    return crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+  } catch (err) {
+    return crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+  }
+}
+
+/**
+ * Verify one DKIM-Signature header (RFC 6376; rsa-sha256 and ed25519-sha256)
+ */
+async function verifySignature(header, message, resolver) {
+  const tags = parseTags(header.line.slice(header.line.indexOf(':') + 1));
+  const domain = tags.d ? tags.d.toLowerCase() : null;
+  const outcome = (result, reason) => ({ result, domain, selector: tags.s || null, ...(reason && { reason }) });
+
+  if (['v', 'a', 'b', 'bh', 'd', 'h', 's'].some(tag => !tags[tag])) {
+    return outcome('permerror', 'missing required tag');
+  }
+  const [keyType, hash] = tags.a.toLowerCase().split('-');
+  if (tags.v !== '1' || hash !== 'sha256' || !['rsa', 'ed25519'].includes(keyType)) {
+    return outcome('permerror', 'unsupported signature version or algorithm');
+  }
+  const signedHeaders = tags.h.toLowerCase().split(':').map(name => name.trim());
+  if (!signedHeaders.includes('from')) {
+    return outcome('permerror', 'From header not signed');
+  }
+  if (tags.i && domainOf(tags.i) !== domain && !domainOf(tags.i).endsWith(`.${domain}`)) {
+    return outcome('permerror', 'identity outside signing domain');
+  }
+  if (tags.x && parseInt(tags.x) * 1000 < Date.now()) {
+    return outcome('permerror', 'signature expired');
+  }
+
+  const [headerCanon, bodyCanon = 'simple'] = (tags.c || 'simple').toLowerCase().split('/');
+  let body = canonicalBody(message.body, bodyCanon);
+  if (tags.l !== undefined) body = body.slice(0, parseInt(tags.l));
+  const bodyHash = crypto.createHash('sha256').update(body, 'binary').digest('base64');
+  if (bodyHash !== tags.bh.replace(/\s+/g, '')) {
+    return outcome('fail', 'body hash did not verify');
+  }
+
+  let records;
+  try {
+    records = await lookupTxt(`${tags.s}._domainkey.${domain}`, resolver);
+  } catch (err) {
+    return outcome('temperror', 'key lookup failed');
+  }
+  const key = records.map(parseTags).find(record => 'p' in record);
+  if (!key) return outcome('permerror', 'no key published for selector');
+  if (!key.p) return outcome('fail', 'key revoked');
+  if ((key.k || 'rsa').toLowerCase() !== keyType) return outcome('permerror', 'key type mismatch');
+
+  // Signed headers are taken bottom-up, each instance at most once
+  const used = {};
+  const signed = [];
+  for (const name of signedHeaders) {
+    const instances = message.headers.filter(h => h.name === name);
+    const index = instances.length - 1 - (used[name] || 0);
+    used[name] = (used[name] || 0) + 1;
+    if (index >= 0) signed.push(instances[index]);
+  }
+  const data = Buffer.from(
+    signed.map(h => canonicalHeader(h.line, headerCanon)).join('') +
+    canonicalHeader(header.line.replace(/(\bb=)[^;]*/, '$1'), headerCanon).slice(0, -2),
+    'binary'
+  );
+  const signature = Buffer.from(tags.b.replace(/\s+/g, ''), 'base64');
+
+  try {
+    const publicKey = dkimPublicKey(key.p.replace(/\s+/g, ''), keyType);
+    const valid = keyType === 'rsa'
+      ? crypto.verify('sha256', data, publicKey, signature)
+      : crypto.verify(null, crypto.createHash('sha256').update(data).digest(), publicKey, signature);
+    return valid ? outcome('pass') : outcome('fail', 'signature did not verify');
+  } catch (err) {
+    return outcome('permerror', 'invalid public key');
+  }
+}
+
+/**
+ * Verify every DKIM signature on a message
+ * @param {Buffer} raw - Original message source
+ * @param {object} resolver - DNS resolver (see ./dns); defaults to the configured one
+ * @returns {Promise<Array>} [{ result, domain, selector, reason? }], empty if unsigned
+ */
+async function checkDkim(raw, resolver) {
+  const message = splitMessage(raw);
+  const signatures = message.headers.filter(h => h.name === 'dkim-signature').slice(0, AUTH_CONFIG.maxSignatures);
+  const results = [];
+  for (const header of signatures) {
+    results.push(await verifySignature(header, message, resolver));
+  }
+  return results;
+}
+
+// ============= DMARC =============
+
+async function dmarcRecord(domain, resolver) {
+  const records = (await lookupTxt(`_dmarc.${domain}`, resolver)).filter(txt => /^v=DMARC1\s*(;|$)/i.test(txt));
+  return records.length === 1 ? parseTags(records[0]) : null;
+}
+
+function aligned(domain, fromDomain, mode) {
+  if (!domain) return false;
+  if ((mode || 'r').toLowerCase() === 's') return domain === fromDomain;
+  return organizationalDomain(domain) === organizationalDomain(fromDomain);
+}
+
+/**
+ * Check whether SPF or DKIM authenticated the From domain (RFC 7489)
+ * @returns {Promise<object>} { result, domain, policy, alignment: { spf, dkim } }
+ */
+async function checkDmarc(fromDomain, spf, dkim, resolver) {
+  if (!fromDomain) return { result: 'none', domain: null, policy: null, alignment: { spf: false, dkim: false } };
+
+  let record;
+  let inherited = false;
+  try {
+    record = await dmarcRecord(fromDomain, resolver);
+    const org = organizationalDomain(fromDomain);
+    if (!record && org !== fromDomain) {
+      record = await dmarcRecord(org, resolver);
+      inherited = !!record;
+    }
+  } catch (err) {
+    record = undefined;
+  }
+
+  const alignment = {
+    spf: spf.result === 'pass' && aligned(spf.domain, fromDomain, record?.aspf),
+    dkim: dkim.some(sig => sig.result === 'pass' && aligned(sig.domain, fromDomain, record?.adkim))
+  };
+  if (record === undefined) return { result: 'temperror', domain: fromDomain, policy: null, alignment };
+  if (!record) return { result: 'none', domain: fromDomain, policy: null, alignment };
+
+  const policy = ((inherited && record.sp) || record.p || 'none').toLowerCase();
+  return { result: alignment.spf || alignment.dkim ? 'pass' : 'fail', domain: fromDomain, policy, alignment };
+}
+
+// ============= VERDICT =============
+
+const TRUST_VERDICTS = ['trusted', 'unverified', 'suspicious'];
+
+/**
+ * Overall trust in a message's sender:
+ * - trusted: SPF or DKIM authenticated the From domain
+ * - suspicious: the From domain's DMARC policy failed, or SPF failed with no valid signature
+ * - unverified: anything else (no records published, unaligned passes, lookup errors)
+ */
+function trustVerdict({ spf, dkim, dmarc }) {
+  if (dmarc.alignment.spf || dmarc.alignment.dkim) return 'trusted';
+  if (dmarc.result === 'fail') return 'suspicious';
+  if (['fail', 'softfail'].includes(spf.result) && !dkim.some(sig => sig.result === 'pass')) return 'suspicious';
+  return 'unverified';
+}
+
+/**
+ * Authenticate an inbound message with SPF, DKIM and DMARC.
+ * SPF needs the connecting client, so it is evaluated here only for mail taken
+ * directly over SMTP; for mail fetched from an upstream mailbox the SPF result
+ * comes from that server's Authentication-Results header.
+ * @param {object} parsed - mailparser result
+ * @param {Buffer} raw - Original message source
+ * @param {object} session - { ip, helo, mailFrom } for mail received over SMTP
+ * @param {object} resolver - DNS resolver (see ./dns); defaults to the configured one
+ * @returns {Promise<Object>} { spf, dkim, dmarc, verdict }
+ */
+async function authenticateMessage(parsed, raw, session = {}, resolver) {
+  const spf = session.ip ? await checkSpf(session, resolver) : upstreamSpf(parsed);
+  const dkim = await checkDkim(raw, resolver);
+  const from = parsed.from?.value || [];
+  // DMARC only applies to a single author
+  const fromDomain = from.length === 1 ? domainOf(from[0].address) || null : null;
+  const dmarc = await checkDmarc(fromDomain, spf, dkim, resolver);
+  return { spf, dkim, dmarc, verdict: trustVerdict({ spf, dkim, dmarc }) };
+}
+
+module.exports = {
+  AUTH_CONFIG,
+  TRUST_VERDICTS,
+  parseAuthenticationResults,
+  checkSpf,
+  checkDkim,
+  checkDmarc,
+  trustVerdict,
+  authenticateMessage
+};
@@ -0,0 +1,182 @@
+const { getDb } = require('./db');
+const { EMAIL_TEMPLATES, fillTemplate } = require('./templates');
+const { buildReply, isAutomated } = require('./compose');
+const { sendQuota, sendAsAgent } = require('./outbound');
+
+// A sender is answered at most once per cooldown (RFC 3834 suggests several days)
+const AUTO_REPLY_DEFAULTS = {
+  active: false,
+  template_id: 'out_of_office',
+  subject: null,
+  body: null,
+  variables: {},
+  starts_at: null,
+  ends_at: null,
+  cooldown_hours: 168
+};
+
+const MAX_VARIABLES = 20;
+
+function normalizeTime(value, field) {
+  if (value === null) return null;
+  const time = Date.parse(value);
+  if (isNaN(time)) throw new Error(`${field} must be an ISO 8601 time or null`);
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validate auto-responder settings, filling fields not given from the current ones.
+ * The reply is a built-in template (template_id) or the mailbox's own subject/body;
+ * both may use {{placeholders}}.
+ * @throws {Error} If the settings are invalid
+ */
+function normalizeAutoReply(input = {}, existing = AUTO_REPLY_DEFAULTS) {
+  const config = { ...existing };
+  for (const field of Object.keys(AUTO_REPLY_DEFAULTS)) {
+    if (input[field] !== undefined) config[field] = input[field];
+  }
+
+  if (typeof config.active !== 'boolean') throw new Error('active must be true or false');
+  if (config.template_id !== null && !EMAIL_TEMPLATES[config.template_id]) {
+    throw new Error(`Unknown template; available: ${Object.keys(EMAIL_TEMPLATES).join(', ')}`);
+  }
+  if (config.subject !== null && (typeof config.subject !== 'string' || config.subject.length > 200)) {
+    throw new Error('subject must be a string of at most 200 characters');
+  }
+  if (config.body !== null && (typeof config.body !== 'string' || !config.body.trim() || config.body.length > 10000)) {
+    throw new Error('body must be a string of at most 10000 characters');
+  }
+  if (config.template_id === null && config.body === null) {
+    throw new Error('Provide template_id or body');
+  }
+
+  const variables = config.variables;
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+      Object.keys(variables).length > MAX_VARIABLES ||
+      !Object.entries(variables).every(([key, value]) => /^\w+$/.test(key) && typeof value === 'string' && value.length <= 1000)) {
+    throw new Error(`variables must map up to ${MAX_VARIABLES} names to strings`);
+  }
+
+  config.starts_at = normalizeTime(config.starts_at, 'starts_at');
+  config.ends_at = normalizeTime(config.ends_at, 'ends_at');
+  if (config.starts_at && config.ends_at && config.ends_at <= config.starts_at) {
+    throw new Error('ends_at must be after starts_at');
+  }
+  if (!Number.isInteger(config.cooldown_hours) || config.cooldown_hours < 1 || config.cooldown_hours > 720) {
+    throw new Error('cooldown_hours must be an integer from 1 to 720');
+  }
+  return config;
+}
+
+/**
+ * A mailbox's auto-responder settings (defaults when it never set any)
+ */
+function autoReplyConfig(agent) {
+  return { ...AUTO_REPLY_DEFAULTS, ...(agent.auto_reply ? JSON.parse(agent.auto_reply) : {}) };
+}
+
+function setAutoReply(agent, config) {
+  getDb().prepare('UPDATE agents SET auto_reply = ? WHERE id = ?').run(JSON.stringify(config), agent.id);
+}
+
+/**
+ * Whether the auto-responder is on and inside its time window
+ */
+function isResponding(config, now = new Date()) {
+  const time = now.toISOString();
+  return config.active && (!config.starts_at || time >= config.starts_at) && (!config.ends_at || time < config.ends_at);
+}
+
+/**
+ * Whether a message is one a person is waiting on: delivered to the inbox, not
+ * spoofed and not sent by a machine or a mailing list
+ */
+function fromHuman(row) {
+  return row.folder === 'inbox' && row.trust !== 'suspicious' && !isAutomated(row);
+}
+
+/**
+ * Subject and body answering a message
+ * @param {object} agent - Answering mailbox
+ * @param {object} config - Auto-responder settings
+ * @param {object} row - Message being answered
+ * @param {string} sender - Address the reply goes to
+ */
+function composeAutoReply(agent, config, row, sender) {
+  const template = config.body !== null
+    ? { subject: config.subject || 'Auto: {{subject}}', body: config.body }
+    : EMAIL_TEMPLATES[config.template_id];
+  return fillTemplate(template, {
+    agent_name: agent.moltbook_name || 'AI Agent',
+    agent_email: agent.email,
+    timestamp: new Date().toISOString(),
+    return_date: config.ends_at ? config.ends_at.slice(0, 10) : 'further notice',
+    message: '',
+    ...config.variables,
+    subject: row.subject,
+    sender
+  });
+}
+
+function recentlyAnswered(mailboxId, sender, hours, now = new Date()) {
+  const since = new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+  return !!getDb().prepare('SELECT 1 AS found FROM auto_reply_log WHERE mailbox_id = ? AND sender = ? AND replied_at > ?')
+    .get(mailboxId, sender, since);
+}
+
+function recordAnswered(mailboxId, sender, now = new Date()) {
+  getDb().prepare('INSERT OR REPLACE INTO auto_reply_log (mailbox_id, sender, replied_at) VALUES (?, ?, ?)')
+    .run(mailboxId, sender, now.toISOString());
+}
+
+/**
+ * Answer newly received mail for mailboxes whose auto-responder is on. Expired
+ * mailboxes keep acknowledging people who write to them.
+ * @param {Array} stored - [{ agent, row }] from ingestMessage()
+ */
+async function runAutoReplies(stored) {
+  for (const { agent, row } of stored) {
+    const config = autoReplyConfig(agent);
+    // Disposable mailboxes never send
+    if (!isResponding(config) || agent.owner_id || !fromHuman(row)) continue;
+
+    const reply = buildReply(row, { body: '', self: [agent.email, row.delivered_to].filter(Boolean) });
+    const sender = reply.to[0];
+    if (!sender || recentlyAnswered(agent.mailbox_id, sender, config.cooldown_hours)) continue;
+
+    const current = getDb().prepare('SELECT * FROM agents WHERE id = ?').get(agent.id);
+    const quota = sendQuota(current);
+    if (quota.exhausted) {
+      console.log(`Auto-reply skipped for ${agent.moltbook_name}: daily send limit reached`);
+      continue;
+    }
+
+    try {
+      const { subject, body } = composeAutoReply(current, config, row, sender);
+      await sendAsAgent(current, {
+        to: sender,
+        subject,
+        body,
+        inReplyTo: reply.inReplyTo,
+        references: reply.references,
+        headers: { 'Auto-Submitted': 'auto-replied' }
+      }, quota);
+      recordAnswered(agent.mailbox_id, sender);
+    } catch (err) {
+      console.error(`Auto-reply failed for ${agent.moltbook_name}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  AUTO_REPLY_DEFAULTS,
+  normalizeAutoReply,
+  autoReplyConfig,
+  setAutoReply,
+  isResponding,
+  fromHuman,
+  composeAutoReply,
+  recentlyAnswered,
+  recordAnswered,
+  runAutoReplies
+};
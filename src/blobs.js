@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Raw message sources and attachment content live on disk, named by their SHA-256,
+// so the sql.js database (rewritten whole on every save) stays small
+const BLOB_DIR = process.env.BLOB_DIR || path.join(__dirname, '..', 'data', 'blobs');
+
+function blobPath(hash) {
+  return path.join(BLOB_DIR, hash.slice(0, 2), hash);
+}
+
+/**
+ * Store content once, however many messages share it
+ * @param {Buffer} content - Bytes to store
+ * @returns {string} Hash to read it back with
+ */
+function putBlob(content) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const file = blobPath(hash);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename, so a crash never leaves a partial blob under the final name
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  }
+  return hash;
+}
+
+/**
+ * Content stored under a hash, or null if it is missing
+ */
+function readBlob(hash) {
+  try {
+    return fs.readFileSync(blobPath(hash));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function deleteBlob(hash) {
+  fs.rmSync(blobPath(hash), { force: true });
+}
+
+module.exports = { BLOB_DIR, putBlob, readBlob, deleteBlob };
@@ -0,0 +1,278 @@
+// Codes are listed in `codes` from this confidence on; every candidate is still ranked
+const CODE_CONFIG = {
+  minConfidence: 0.5,
+  maxCandidates: 10
+};
+
+// Words that announce a code or a verification link (en, de, fr, es, pt, it, nl)
+const KEYWORDS = [
+  'codes?', 'verif\\p{L}*', 'otp', 'one[- ]time', 'pass ?code', 'password', 'pin', '2fa', 'two[- ]factor',
+  'security', 'confirm\\p{L}*', 'log ?in', 'sign ?in', 'token', 'authenticat\\p{L}*', 'activat\\p{L}*',
+  'bestätig\\p{L}*', 'einmal\\p{L}*', 'anmeld\\p{L}*', 'sicherheitscode', 'kennwort',
+  'vérifi\\p{L}*', 'connexion', 'mot de passe',
+  'c[óo]digo', 'contraseña', 'acceso', 'senha',
+  'codice', 'accesso',
+  'bevestig\\p{L}*', 'inloggen', 'wachtwoord'
+];
+const KEYWORD_PATTERN = new RegExp(`(?<![\\p{L}\\p{N}])(?:${KEYWORDS.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+// Code shapes: plain and grouped digits, mixed letters and digits, dashed tokens,
+// and capitals (only taken right after a keyword)
+const CODE_PATTERNS = [
+  { shape: 'digits', pattern: /(?<![\p{L}\p{N}])\d{4,8}(?![\p{L}\p{N}])/gu },
+  { shape: 'grouped', pattern: /(?<![\p{L}\p{N}])\d{3,4}(?:[- ]\d{3,4}){1,2}(?![\p{L}\p{N}])/gu },
+  { shape: 'mixed', pattern: /(?<![\p{L}\p{N}-])(?=[A-Za-z0-9]*\d)(?=[A-Za-z0-9]*[A-Za-z])[A-Za-z0-9]{4,12}(?![\p{L}\p{N}-])/gu },
+  { shape: 'dashed', pattern: /(?<![\p{L}\p{N}-])[A-Za-z0-9]{2,6}(?:-[A-Za-z0-9]{2,6}){1,3}(?![\p{L}\p{N}-])/gu },
+  { shape: 'capitals', pattern: /(?<![\p{L}\p{N}])[A-Z]{4,10}(?![\p{L}\p{N}])/gu }
+];
+const BASE_SCORES = { digits: 0.25, grouped: 0.3, mixed: 0.2, dashed: 0.25, capitals: 0 };
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/gi;
+const LINK_URL_HINT = /verif|confirm|activat|validat|magic|login|log-in|signin|sign-in|sign_in|auth|otp|token|invite|passwordless|reset/i;
+const LINK_TEXT_HINT = /verif|confirm|activat|log ?in|sign ?in|magic|continue|bestätig|anmeld|vérifi|connexion|verific|confirma|acced|accedi|bevestig|inloggen/i;
+const LINK_NOISE = /unsubscribe|abmelden|désabonner|desuscrib|privacy|terms|legal|help|support|preferences|opt-?out|view.{0,20}browser|facebook|twitter|linkedin|instagram|youtube/i;
+
+function decodeEntities(text) {
+  const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (/^#x/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (/^#\d/.test(name)) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    return named[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Readable text of an HTML body: no head, scripts or styles, block elements on
+ * their own lines, entities decoded
+ */
+function htmlToText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<(head|script|style|title)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h[1-6]|td|table)>/gi, '\n')
+    .replace(/<[^>]*>/g, ' '))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+}
+
+function looksLikeHtml(text) {
+  return /<(html|body|div|p|a|table|br|span)\b[^>]*>/i.test(text || '');
+}
+
+/**
+ * The parts of an email to search: subject, text and (stripped) HTML
+ * @returns {Array} [{ part, text }]
+ */
+function emailParts({ subject, body, html }) {
+  const parts = [{ part: 'subject', text: subject || '' }];
+  if (body && !looksLikeHtml(body)) parts.push({ part: 'text', text: body });
+  const markup = html || (looksLikeHtml(body) ? body : null);
+  if (markup) parts.push({ part: 'html', text: htmlToText(markup) });
+  return parts;
+}
+
+function snippet(text, start, end) {
+  const from = Math.max(0, start - 40);
+  const to = Math.min(text.length, end + 40);
+  return `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+}
+
+function round(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+}
+
+// ============= CODES =============
+
+/**
+ * How likely a code-shaped match is to be the code, from the words around it
+ */
+function scoreCode({ shape, value, start, end }, text, keywords, part) {
+  const before = text.slice(Math.max(0, start - 30), start);
+  const after = text.slice(end, end + 20);
+
+  // Keyword proximity, ignoring keywords behind a paragraph break
+  let nearest = Infinity;
+  for (const keyword of keywords) {
+    if (keyword.end <= start && !text.slice(keyword.end, start).includes('\n\n')) {
+      nearest = Math.min(nearest, start - keyword.end);
+    }
+  }
+  const keywordAfter = keywords.some(k => k.start >= end && k.start - end <= 30);
+
+  if (shape === 'capitals') {
+    // Capitals are mostly words; only "CODE: ABCD" style counts
+    if (nearest > 15 || keywords.some(k => k.start === start)) return 0;
+    return 0.6;
+  }
+
+  let score = BASE_SCORES[shape];
+  if (shape === 'digits' && value.length === 6) score += 0.1;
+  if (nearest <= 25) score += 0.5;
+  else if (nearest <= 80) score += 0.3;
+  else if (keywordAfter) score += 0.2;
+
+  // Shown on a line of its own, as codes usually are
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = text.indexOf('\n', end);
+  if (text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim() === value) score += 0.15;
+  if (part === 'subject' && (nearest <= 80 || keywordAfter)) score += 0.05;
+
+  // Prices, phone numbers, order numbers, years and copyright lines
+  if (/[$€£¥]\s*$|\b(usd|eur|gbp)\s*$/i.test(before) || /^\s*(usd|eur|gbp|€|\$|dollars?|euros?)\b/i.test(after)) score -= 0.6;
+  if (/(tel|phone|call|fax|whatsapp|mobile)\W*[\d\s()+-]*$|\+\d[\d\s()-]*$/i.test(before)) score -= 0.6;
+  if (/(order|invoice|ref(erence)?|account|ticket|booking|no\.|nr\.?|#)\s*:?\s*#?\s*$/i.test(before)) score -= 0.5;
+  if (/©|copyright|\(c\)/i.test(before)) score -= 0.5;
+  if (shape === 'digits' && /^(19|20)\d\d$/.test(value) && nearest > 25) score -= 0.35;
+  return score;
+}
+
+/**
+ * Code candidates in one part of an email
+ */
+function findCodes({ part, text }) {
+  // URLs are links, not codes
+  const masked = text.replace(URL_PATTERN, url => ' '.repeat(url.length));
+  const keywords = [...masked.matchAll(KEYWORD_PATTERN)]
+    .map(m => ({ start: m.index, end: m.index + m[0].length }));
+
+  const matches = [];
+  for (const { shape, pattern } of CODE_PATTERNS) {
+    for (const m of masked.matchAll(pattern)) {
+      const value = m[0];
+      const start = m.index;
+      const end = start + value.length;
+      // Part of a date, time, decimal or thousands-separated number
+      if (/\d[/.:,-]$/.test(masked.slice(Math.max(0, start - 2), start)) ||
+          /^[/.:,-]\d/.test(masked.slice(end, end + 2))) continue;
+      if (shape === 'dashed' && (!/\d/.test(value) || !/[A-Za-z]/.test(value))) continue;
+      matches.push({ shape, value, start, end });
+    }
+  }
+
+  // Keep the longest of overlapping matches ("1234 5678" rather than "1234")
+  matches.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const match of matches) {
+    if (kept.some(k => match.start < k.end && k.start < match.end)) continue;
+    kept.push(match);
+  }
+
+  return kept.map(match => ({
+    value: match.value,
+    type: /^[\d -]+$/.test(match.value) ? 'otp' : 'token',
+    confidence: round(scoreCode(match, masked, keywords, part)),
+    source: { part, offset: match.start },
+    context: snippet(text, match.start, match.end)
+  }));
+}
+
+// ============= LINKS =============
+
+function linkPurpose(url, text) {
+  const target = `${url.pathname}${url.search}`;
+  if (/magic|login|log-in|signin|sign-in|sign_in|passwordless/i.test(target) || /log ?in|sign ?in|magic/i.test(text)) {
+    return 'magic_login';
+  }
+  if (/reset/i.test(target)) return 'password_reset';
+  if (LINK_URL_HINT.test(target) || LINK_TEXT_HINT.test(text)) return 'verification';
+  return null;
+}
+
+function scoreLink(url, text) {
+  const target = `${url.pathname}${url.search}`;
+  let score = 0.1;
+  if (LINK_URL_HINT.test(target)) score += 0.4;
+  if (LINK_TEXT_HINT.test(text)) score += 0.3;
+  if (/[A-Za-z0-9_-]{20,}/.test(target)) score += 0.15;
+  if (LINK_NOISE.test(url.href) || LINK_NOISE.test(text)) score -= 0.6;
+  return score;
+}
+
+/**
+ * Link candidates: anchors in the HTML (with their text) and bare URLs in the text
+ */
+function findLinks({ subject, body, html }) {
+  const found = [];
+  const add = (href, text, part, offset, context) => {
+    let url;
+    try {
+      url = new URL(decodeEntities(href.trim()));
+    } catch (err) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || /\.(png|jpe?g|gif|svg|webp|ico)$/i.test(url.pathname)) return;
+    found.push({
+      value: url.href,
+      type: 'link',
+      purpose: linkPurpose(url, text),
+      confidence: round(scoreLink(url, text)),
+      source: { part, offset },
+      context
+    });
+  };
+
+  const markup = html || (looksLikeHtml(body) ? body : '');
+  const anchors = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  for (const m of markup.matchAll(anchors)) {
+    const text = htmlToText(m[2]);
+    add(m[1], text, 'html', m.index, text);
+  }
+  for (const { part, text } of [{ part: 'subject', text: subject || '' }, { part: 'text', text: looksLikeHtml(body) ? '' : body || '' }]) {
+    for (const m of text.matchAll(URL_PATTERN)) {
+      const href = m[0].replace(/[.,;:!?]+$/, '');
+      const context = snippet(text, m.index, m.index + href.length);
+      // The words before a bare URL play the part of anchor text
+      add(href, text.slice(Math.max(0, m.index - 80), m.index), part, m.index, context);
+    }
+  }
+  return found;
+}
+
+// ============= EXTRACTION =============
+
+/**
+ * Ranked verification codes, tokens and links in an email
+ * @param {object} email - { subject, body, html }
+ * @returns {Array} [{ value, type: 'otp' | 'token' | 'link', confidence (0-1),
+ *   source: { part: 'subject' | 'text' | 'html', offset }, context, purpose (links only) }]
+ */
+function extractCandidates(email) {
+  if (!email) return [];
+  const candidates = [...emailParts(email).flatMap(findCodes), ...findLinks(email)];
+
+  // The same value found in several parts counts once, at its best
+  const best = new Map();
+  for (const candidate of candidates) {
+    const seen = best.get(candidate.value);
+    if (!seen || candidate.confidence > seen.confidence) best.set(candidate.value, candidate);
+  }
+  return [...best.values()]
+    .filter(c => c.confidence >= 0.15)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, CODE_CONFIG.maxCandidates);
+}
+
+/**
+ * Codes worth acting on (best first) and all ranked candidates
+ * @param {object} email - { subject, body, html }
+ * @returns {object} { codes: [value], candidates }
+ */
+function extractVerification(email) {
+  const candidates = extractCandidates(email);
+  const codes = candidates
+    .filter(c => c.type !== 'link' && c.confidence >= CODE_CONFIG.minConfidence)
+    .map(c => c.value);
+  return { codes, candidates };
+}
+
+/**
+ * Every http(s) link in an email, scored like extractCandidates() but unfiltered
+ * @param {object} email - { subject, body, html }
+ * @returns {Array} Link candidates, best first
+ */
+function extractLinks(email) {
+  if (!email) return [];
+  return findLinks(email).sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = { CODE_CONFIG, htmlToText, extractCandidates, extractLinks, extractVerification };
@@ -0,0 +1,140 @@
+const addressparser = require('nodemailer/lib/addressparser');
+const { messageHeaders } = require('./messages');
+const { parseMessageIds } = require('./threads');
+
+/**
+ * Flatten an address header value (groups included) into lowercase addresses
+ */
+function parseAddresses(value) {
+  const flatten = (list) => list.flatMap(entry => entry.group ? flatten(entry.group) : [entry]);
+  return flatten(addressparser(value || ''))
+    .map(entry => entry.address?.toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * First value of a header on a stored row, or null
+ */
+function headerValue(row, name) {
+  const header = messageHeaders(row).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Whether a message row was sent by a machine or a mailing list (RFC 3834), so
+ * answering or forwarding it automatically could start a mail loop
+ */
+function isAutomated(row) {
+  const headers = messageHeaders(row);
+  const value = (name) => headers.find(h => h.name.toLowerCase() === name)?.value.toLowerCase();
+  const autoSubmitted = value('auto-submitted');
+  const sender = parseAddresses(row.from_addr)[0] || '';
+  return (!!autoSubmitted && autoSubmitted !== 'no') ||
+    ['bulk', 'list', 'junk'].includes(value('precedence')) ||
+    !!value('list-id') ||
+    value('return-path') === '<>' ||
+    /^(mailer-daemon|postmaster|no-?reply)@/.test(sender);
+}
+
+/**
+ * Prefix a subject with Re:/Fwd: unless it already has that prefix
+ */
+function prefixSubject(prefix, subject) {
+  const pattern = prefix === 'Re' ? /^\s*re\s*:/i : /^\s*(fwd?|fw)\s*:/i;
+  return pattern.test(subject || '') ? subject : `${prefix}: ${subject || ''}`.trim();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/**
+ * In-Reply-To / References for a message answering or forwarding a stored row
+ */
+function threadingHeaders(row) {
+  if (!row.message_id) return {};
+  return {
+    inReplyTo: row.message_id,
+    references: [...parseMessageIds(row.references_ids), row.message_id]
+  };
+}
+
+/**
+ * Build a reply to a stored message
+ * @param {object} row - Stored message being answered
+ * @param {object} options - { body, html, replyAll, self } where self lists the agent's own addresses
+ * @returns {object} sendEmail() options
+ */
+function buildReply(row, { body, html, replyAll = false, self = [] }) {
+  const own = new Set(self.map(a => a.toLowerCase()));
+  
+  // Replying to our own sent message continues to its recipients
+  const primary = row.folder === 'sent'
+    ? parseAddresses(headerValue(row, 'To'))
+    : parseAddresses(headerValue(row, 'Reply-To') || headerValue(row, 'From'));
+  
+  let to = primary.filter(a => !own.has(a));
+  let cc = [];
+  if (replyAll) {
+    const others = [...parseAddresses(headerValue(row, 'To')), ...parseAddresses(headerValue(row, 'Cc'))];
+    cc = [...new Set(others)].filter(a => !own.has(a) && !to.includes(a));
+  }
+  if (to.length === 0 && cc.length > 0) {
+    to = cc;
+    cc = [];
+  }
+  
+  const sentAt = new Date(row.sent_at || row.received_at).toUTCString();
+  const attribution = `On ${sentAt}, ${row.from_addr} wrote:`;
+  const quoted = (row.body || '').trimEnd().split(/\r?\n/).map(line => `> ${line}`).join('\n');
+  
+  return {
+    to,
+    cc: cc.length ? cc : undefined,
+    subject: prefixSubject('Re', row.subject),
+    body: `${body}\n\n${attribution}\n${quoted}`,
+    html: html
+      ? `${html}<br><br><div>${escapeHtml(attribution)}</div>` +
+        `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">` +
+        `${row.html || escapeHtml(row.body || '').replace(/\n/g, '<br>')}</blockquote>`
+      : undefined,
+    ...threadingHeaders(row)
+  };
+}
+
+/**
+ * Build a forward of a stored message, carrying its attachments
+ * @param {object} row - Stored message being forwarded
+ * @param {Array} attachments - Attachment rows with content, from the store
+ * @param {object} options - { to, body, html }
+ * @returns {object} sendEmail() options
+ */
+function buildForward(row, attachments, { to, body = '', html }) {
+  const sentAt = new Date(row.sent_at || row.received_at).toUTCString();
+  const summary = [
+    '---------- Forwarded message ---------',
+    `From: ${row.from_addr}`,
+    `Date: ${sentAt}`,
+    `Subject: ${row.subject}`,
+    `To: ${row.to_addr}`
+  ];
+  
+  return {
+    to,
+    subject: prefixSubject('Fwd', row.subject),
+    body: `${body}\n\n${summary.join('\n')}\n\n${row.body || ''}`.trimStart(),
+    html: html
+      ? `${html}<br><br><div>${summary.map(escapeHtml).join('<br>')}</div><br>` +
+        `${row.html || escapeHtml(row.body || '').replace(/\n/g, '<br>')}`
+      : undefined,
+    attachments: attachments.map(att => ({
+      filename: att.filename || undefined,
+      contentType: att.content_type,
+      cid: att.content_id ? att.content_id.replace(/^<|>$/g, '') : undefined,
+      content: Buffer.from(att.content)
+    })),
+    ...threadingHeaders(row)
+  };
+}
+
+module.exports = { parseAddresses, isAutomated, prefixSubject, buildReply, buildForward };
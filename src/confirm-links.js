@@ -0,0 +1,123 @@
+const { getDb } = require('./db');
+const { CODE_CONFIG, htmlToText, extractLinks } = require('./codes');
+const { normalizePattern, matchesPattern } = require('./senders');
+const { safeFetch } = require('./safe-fetch');
+
+// Links that confirm something when opened; password resets need a form and are left alone
+const CONFIRM_PURPOSES = ['verification', 'magic_login'];
+const MAX_CONFIRM_SENDERS = 100;
+
+/**
+ * The link to follow in a message. An explicit url must be one of the links
+ * found in it; otherwise the best-ranked confirmation link is taken.
+ * @param {object} row - Stored message
+ * @param {string} url - Optional link chosen by the caller
+ * @returns {object|null} The link candidate, or null if there is none
+ * @throws {Error} If url is not a link in the message
+ */
+function pickLink(row, url) {
+  const links = extractLinks(row);
+  if (url) {
+    const chosen = links.find(link => link.value === url || link.value === safeHref(url));
+    if (!chosen) throw new Error('url is not a link in this email');
+    return chosen;
+  }
+  return links.find(link => CONFIRM_PURPOSES.includes(link.purpose) && link.confidence >= CODE_CONFIG.minConfidence) || null;
+}
+
+function safeHref(url) {
+  try {
+    return new URL(url).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+function pageTitle(body) {
+  const match = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? htmlToText(match[1]).slice(0, 200) || null : null;
+}
+
+/**
+ * Open a link through the SSRF-safe client and summarize what came back
+ * @param {string} url - Link to follow
+ * @param {object} options - Passed to safeFetch() ({ config, resolver })
+ * @returns {Promise<Object>} { url, status, final_url, title, redirects, error, followed_at };
+ *   error is { code, message } when the link could not be fetched
+ */
+async function followLink(url, options = {}) {
+  const result = { url, status: null, final_url: null, title: null, redirects: [], error: null, followed_at: null };
+  try {
+    const response = await safeFetch(url, options);
+    Object.assign(result, {
+      status: response.status,
+      final_url: response.url,
+      title: /html/i.test(response.headers['content-type'] || '') ? pageTitle(response.body) : null,
+      redirects: response.redirects
+    });
+  } catch (err) {
+    result.error = { code: err.code || 'failed', message: err.message };
+  }
+  result.followed_at = new Date().toISOString();
+  return result;
+}
+
+function recordConfirmation(row, result) {
+  getDb().prepare('UPDATE messages SET link_confirmation = ? WHERE id = ?').run(JSON.stringify(result), row.id);
+}
+
+/**
+ * Sender patterns whose confirmation links are followed on arrival
+ */
+function confirmSenders(agent) {
+  return agent.confirm_link_senders ? JSON.parse(agent.confirm_link_senders) : [];
+}
+
+/**
+ * Replace a mailbox's auto-confirm allowlist
+ * @param {Array} senders - Addresses or domains, optionally with * wildcards (see ./senders)
+ * @returns {Array} The normalized patterns
+ * @throws {Error} If the list or a pattern is invalid
+ */
+function setConfirmSenders(agent, senders) {
+  if (!Array.isArray(senders) || senders.length > MAX_CONFIRM_SENDERS) {
+    throw new Error(`senders must be an array of at most ${MAX_CONFIRM_SENDERS} patterns`);
+  }
+  const patterns = [...new Set(senders.map(normalizePattern))];
+  getDb().prepare('UPDATE agents SET confirm_link_senders = ? WHERE id = ?').run(JSON.stringify(patterns), agent.id);
+  return patterns;
+}
+
+/**
+ * Follow the confirmation link in newly received mail from allowlisted senders.
+ * Only inbox mail whose sender authenticated (trust 'trusted') qualifies, so a
+ * forged From cannot make the mailbox open links.
+ * @param {Array} stored - [{ agent, row }] from ingestMessage()
+ */
+async function runAutoConfirm(stored) {
+  for (const { agent, row, retired } of stored) {
+    if (retired || row.folder !== 'inbox' || row.trust !== 'trusted') continue;
+    const patterns = confirmSenders(agent);
+    const sender = String(row.from_addr || '').match(/<([^>]+)>/)?.[1] || row.from_addr;
+    if (!patterns.some(pattern => matchesPattern(pattern, sender))) continue;
+
+    const link = pickLink(row);
+    if (!link) continue;
+    const result = await followLink(link.value);
+    recordConfirmation(row, { ...result, automatic: true });
+    if (result.error) {
+      console.error(`Auto-confirm failed for ${agent.moltbook_name}:`, result.error.message);
+    }
+  }
+}
+
+module.exports = {
+  CONFIRM_PURPOSES,
+  MAX_CONFIRM_SENDERS,
+  pickLink,
+  followLink,
+  recordConfirmation,
+  confirmSenders,
+  setConfirmSenders,
+  runAutoConfirm
+};
@@ -1,14 +1,16 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const { putBlob } = require('./blobs');
 
 let db = null;
 let dbPath = null;
+let transactionDepth = 0;
 
 async function initDb() {
   const SQL = await initSqlJs();
   
-  dbPath = path.join(__dirname, '..', 'data', 'agent-mail.db');
+  dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'agent-mail.db');
   
   // Ensure data directory exists
   const dataDir = path.dirname(dbPath);
@@ -55,6 +57,58 @@ async function initDb() {
     )
   `);
   
+  // Local message store, filled by the ingester
+  db.run(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT NOT NULL,
+      message_id TEXT,
+      from_addr TEXT,
+      to_addr TEXT,
+      subject TEXT,
+      body TEXT,
+      html TEXT,
+      headers TEXT,
+      received_at TEXT,
+      created_at TEXT
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox ON messages (mailbox_id, received_at)`);
+  
+  // Attachments of stored messages; no content is kept when over the mailbox limit
+  db.run(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      mailbox_id TEXT NOT NULL,
+      filename TEXT,
+      content_type TEXT,
+      size INTEGER,
+      content_id TEXT,
+      checksum TEXT,
+      content BLOB,
+      created_at TEXT
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments (message_id)`);
+  
+  // Full-text index over stored messages (docid = messages.rowid)
+  db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts4(
+      from_addr, to_addr, subject, body
+    )
+  `);
+  
+  // IMAP sync checkpoints, one row per folder
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      folder TEXT PRIMARY KEY,
+      uidvalidity INTEGER,
+      last_uid INTEGER DEFAULT 0,
+      updated_at TEXT
+    )
+  `);
+  
   // Migration: add webhook columns if missing
   try {
     db.run(`ALTER TABLE agents ADD COLUMN webhook_url TEXT`);
@@ -80,11 +134,286 @@ async function initDb() {
     db.run(`ALTER TABLE agents ADD COLUMN encryption_enabled INTEGER DEFAULT 0`);
   } catch (e) { /* column exists */ }
   
+  // Original RFC 822 source of stored messages
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN raw BLOB`);
+  } catch (e) { /* column exists */ }
+  
+  // Message state: folder (inbox/archive), flags and soft delete to trash
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN folder TEXT DEFAULT 'inbox'`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN seen INTEGER DEFAULT 0`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN flagged INTEGER DEFAULT 0`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN deleted_at TEXT`);
+  } catch (e) { /* column exists */ }
+  
+  // Threading: parent links from the headers and the thread each message belongs to
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN in_reply_to TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN references_ids TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN thread_id TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN thread_subject TEXT`);
+  } catch (e) { /* column exists */ }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (mailbox_id, thread_id)`);
+  
+  // Per-mailbox attachment size limit (bytes); NULL uses the tier default
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN max_attachment_size INTEGER`);
+  } catch (e) { /* column exists */ }
+  
+  // Lifecycle: retention policy, and expiry after which the mailbox is deactivated
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN retention_days INTEGER`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN retention_max_messages INTEGER`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN expires_at TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN deactivated_at TEXT`);
+  } catch (e) { /* column exists */ }
+  
+  // Disposable mailboxes point at the permanent mailbox that created them
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN owner_id TEXT`);
+  } catch (e) { /* column exists */ }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_agents_owner ON agents (owner_id)`);
+  
+  // Extra addresses delivering into a mailbox: kai+<mailbox_id>.<tag> or kai+<name>
+  db.run(`
+    CREATE TABLE IF NOT EXISTS aliases (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT,
+      kind TEXT,
+      token TEXT UNIQUE,
+      address TEXT,
+      active INTEGER DEFAULT 1,
+      created_at TEXT
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_aliases_mailbox ON aliases (mailbox_id)`);
+  
+  // Address (primary or alias) each message was received at
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN delivered_to TEXT`);
+  } catch (e) { /* column exists */ }
+  
+  // Sender authentication (SPF/DKIM/DMARC results as JSON) and the trust verdict
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN authentication TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN trust TEXT`);
+  } catch (e) { /* column exists */ }
+  
+  // Spam scoring: score and fired rules per message, the user's label, and a
+  // per-mailbox token classifier with its training totals and threshold
+  for (const column of ['spam_score REAL', 'spam_rules TEXT', 'spam_label TEXT']) {
+    try {
+      db.run(`ALTER TABLE messages ADD COLUMN ${column}`);
+    } catch (e) { /* column exists */ }
+  }
+  for (const column of ['spam_threshold REAL', 'spam_trained INTEGER DEFAULT 0', 'ham_trained INTEGER DEFAULT 0']) {
+    try {
+      db.run(`ALTER TABLE agents ADD COLUMN ${column}`);
+    } catch (e) { /* column exists */ }
+  }
+  db.run(`
+    CREATE TABLE IF NOT EXISTS spam_tokens (
+      mailbox_id TEXT,
+      token TEXT,
+      spam INTEGER DEFAULT 0,
+      ham INTEGER DEFAULT 0,
+      PRIMARY KEY (mailbox_id, token)
+    )
+  `);
+  
+  // Sender allow/block lists, allowlist-only mode and what happens to blocked mail
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sender_rules (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT,
+      list TEXT,
+      pattern TEXT,
+      created_at TEXT,
+      UNIQUE (mailbox_id, list, pattern)
+    )
+  `);
+  for (const column of ['allowlist_only INTEGER DEFAULT 0', 'sender_block_action TEXT']) {
+    try {
+      db.run(`ALTER TABLE agents ADD COLUMN ${column}`);
+    } catch (e) { /* column exists */ }
+  }
+
+  // Mail rules (conditions and actions as JSON) and the labels they apply
+  db.run(`
+    CREATE TABLE IF NOT EXISTS mail_rules (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT,
+      name TEXT,
+      conditions TEXT,
+      actions TEXT,
+      priority INTEGER DEFAULT 100,
+      active INTEGER DEFAULT 1,
+      stop_processing INTEGER DEFAULT 0,
+      matches INTEGER DEFAULT 0,
+      last_matched_at TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_mail_rules_mailbox ON mail_rules (mailbox_id, priority)`);
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN labels TEXT`);
+  } catch (e) { /* column exists */ }
+
+  // Auto-responder settings (JSON) and when each sender was last answered
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN auto_reply TEXT`);
+  } catch (e) { /* column exists */ }
+  db.run(`
+    CREATE TABLE IF NOT EXISTS auto_reply_log (
+      mailbox_id TEXT,
+      sender TEXT,
+      replied_at TEXT,
+      PRIMARY KEY (mailbox_id, sender)
+    )
+  `);
+  // Addresses mail rules may forward to, verified by a code mailed to them
+  db.run(`
+    CREATE TABLE IF NOT EXISTS forward_targets (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT,
+      address TEXT,
+      status TEXT DEFAULT 'pending',
+      code TEXT,
+      code_sent_at TEXT,
+      attempts INTEGER DEFAULT 0,
+      created_at TEXT,
+      verified_at TEXT,
+      UNIQUE (mailbox_id, address)
+    )
+  `);
+  // Mail that reached an expired mailbox isn't stored; its key is kept so a resync
+  // doesn't acknowledge it again
+  db.run(`
+    CREATE TABLE IF NOT EXISTS retired_messages (
+      id TEXT PRIMARY KEY,
+      mailbox_id TEXT,
+      received_at TEXT
+    )
+  `);
+
+  // Date header of a message, kept apart from received_at (when it reached us).
+  // Rows stored before this used the Date header as received_at.
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN sent_at TEXT`);
+    db.run(`UPDATE messages SET sent_at = received_at`);
+  } catch (e) { /* column exists */ }
+
+  // Confirmation links: the last follow of a message's link, and senders followed automatically
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN link_confirmation TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN confirm_link_senders TEXT`);
+  } catch (e) { /* column exists */ }
+
+  // Encrypted mailboxes that also want codes, candidates and link results sealed (opt-in)
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN seal_verification INTEGER DEFAULT 0`);
+  } catch (e) { /* column exists */ }
+
+  // Custom domains (premium): DNS verification state. Several accounts may claim
+  // a pending domain; the first to verify it keeps it.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS domains (
+      id TEXT PRIMARY KEY,
+      domain TEXT,
+      owner_id TEXT,
+      verification_token TEXT,
+      status TEXT DEFAULT 'pending',
+      created_at TEXT,
+      verified_at TEXT,
+      last_checked_at TEXT
+    )
+  `);
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_domains_claim ON domains (domain, owner_id)`);
+  
+  // DKIM signing keys per sending domain (active, pending rotation, or retired)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dkim_keys (
+      id TEXT PRIMARY KEY,
+      domain TEXT,
+      selector TEXT,
+      public_key TEXT,
+      private_key TEXT,
+      status TEXT,
+      created_at TEXT,
+      activated_at TEXT,
+      retired_at TEXT
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_dkim_keys_domain ON dkim_keys (domain, status)`);
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN premium INTEGER DEFAULT 0`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE agents ADD COLUMN domain TEXT`);
+  } catch (e) { /* column exists */ }
+  
+  // Raw sources and attachment content are kept as blobs on disk (see ./blobs);
+  // move any still stored inline out of the database
+  try {
+    db.run(`ALTER TABLE messages ADD COLUMN raw_hash TEXT`);
+  } catch (e) { /* column exists */ }
+  try {
+    db.run(`ALTER TABLE attachments ADD COLUMN content_hash TEXT`);
+  } catch (e) { /* column exists */ }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_raw_hash ON messages (raw_hash)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_attachments_content_hash ON attachments (content_hash)`);
+  moveInlineBlobs('messages', 'raw', 'raw_hash');
+  moveInlineBlobs('attachments', 'content', 'content_hash');
+  
+  // Index messages stored before the search index existed
+  db.run(`
+    INSERT INTO messages_fts (docid, from_addr, to_addr, subject, body)
+    SELECT rowid, from_addr, to_addr, subject, body FROM messages
+    WHERE rowid NOT IN (SELECT docid FROM messages_fts)
+  `);
+  
   saveDb();
   console.log('Database initialized');
   return db;
 }
 
+function moveInlineBlobs(table, column, hashColumn) {
+  const stmt = db.prepare(`SELECT rowid, ${column} FROM ${table} WHERE ${column} IS NOT NULL`);
+  const moved = [];
+  while (stmt.step()) {
+    const [rowid, content] = stmt.get();
+    moved.push([rowid, putBlob(Buffer.from(content))]);
+  }
+  stmt.free();
+  for (const [rowid, hash] of moved) {
+    db.run(`UPDATE ${table} SET ${hashColumn} = ?, ${column} = NULL WHERE rowid = ?`, [hash, rowid]);
+  }
+}
+
 function saveDb() {
   if (db && dbPath) {
     const data = db.export();
@@ -112,7 +441,8 @@ function getDb() {
       },
       run: (...params) => {
         db.run(sql, params);
-        saveDb();
+        // Inside transaction() the file is written once, at commit
+        if (transactionDepth === 0) saveDb();
       },
       all: (...params) => {
         const results = [];
@@ -128,4 +458,27 @@ function getDb() {
   };
 }
 
-module.exports = { initDb, getDb, saveDb };
+/**
+ * Run fn's writes as one transaction, saved to disk once when it commits.
+ * Nested calls join the outer transaction; fn must be synchronous.
+ * @returns {*} fn's result
+ */
+function transaction(fn) {
+  if (transactionDepth > 0) return fn();
+  db.run('BEGIN');
+  transactionDepth++;
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    transactionDepth--;
+    db.run('ROLLBACK');
+    throw err;
+  }
+  transactionDepth--;
+  db.run('COMMIT');
+  saveDb();
+  return result;
+}
+
+module.exports = { initDb, getDb, saveDb, transaction };
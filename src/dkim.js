@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const DKIM = require('nodemailer/lib/dkim');
+const { getDb } = require('./db');
+const { lookupTxt } = require('./dns');
+
+// Keys are rotated after rotationDays; a retired key stays listed for
+// retiredGraceDays so its DNS record outlives mail still in flight
+const DKIM_CONFIG = {
+  rotationDays: parseInt(process.env.DKIM_ROTATION_DAYS) || 180,
+  retiredGraceDays: 7
+};
+
+/*
+ * Key lifecycle per domain: a pending key is published in DNS first, becomes
+ * active (and is used for signing) once its record is visible, and the key it
+ * replaces is retired.
+ */
+
+/**
+ * Generate and store a new 2048-bit RSA key for a domain
+ * @param {string} status - 'active' for a domain's first key, 'pending' for rotation
+ * @returns {object} The new key row
+ */
+function createKey(domain, status = 'pending') {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const now = new Date();
+  const row = {
+    id: crypto.randomBytes(8).toString('hex'),
+    domain,
+    // Unique per key, so a pending key can be published next to the active one
+    selector: `am${now.toISOString().slice(0, 10).replace(/-/g, '')}${crypto.randomBytes(2).toString('hex')}`,
+    public_key: publicKey.toString('base64'),
+    private_key: privateKey,
+    status,
+    created_at: now.toISOString(),
+    activated_at: status === 'active' ? now.toISOString() : null
+  };
+  getDb().prepare(`
+    INSERT INTO dkim_keys (id, domain, selector, public_key, private_key, status, created_at, activated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.domain, row.selector, row.public_key, row.private_key, row.status,
+    row.created_at, row.activated_at);
+  return row;
+}
+
+function activeKey(domain) {
+  return getDb().prepare("SELECT * FROM dkim_keys WHERE domain = ? AND status = 'active'").get(domain);
+}
+
+function pendingKey(domain) {
+  return getDb().prepare("SELECT * FROM dkim_keys WHERE domain = ? AND status = 'pending'").get(domain);
+}
+
+/**
+ * Keys whose DNS records should be published: active, pending and recently retired
+ */
+function publishedKeys(domain, now = new Date()) {
+  const grace = new Date(now.getTime() - DKIM_CONFIG.retiredGraceDays * 24 * 60 * 60 * 1000).toISOString();
+  return getDb().prepare(`
+    SELECT * FROM dkim_keys
+    WHERE domain = ? AND (status IN ('active', 'pending') OR retired_at > ?)
+    ORDER BY created_at
+  `).all(domain, grace);
+}
+
+/**
+ * Make sure a domain has a signing key, creating one if needed
+ */
+function ensureKey(domain) {
+  return activeKey(domain) || createKey(domain, 'active');
+}
+
+/**
+ * Start a rotation: create a pending key to publish (or return the one already pending)
+ */
+function rotateKey(domain) {
+  return pendingKey(domain) || createKey(domain, 'pending');
+}
+
+/**
+ * Switch signing to a pending key and retire the key it replaces
+ */
+function activateKey(key, now = new Date()) {
+  const db = getDb();
+  db.prepare("UPDATE dkim_keys SET status = 'retired', retired_at = ? WHERE domain = ? AND status = 'active'")
+    .run(now.toISOString(), key.domain);
+  db.prepare("UPDATE dkim_keys SET status = 'active', activated_at = ? WHERE id = ?")
+    .run(now.toISOString(), key.id);
+  return { ...key, status: 'active', activated_at: now.toISOString() };
+}
+
+/**
+ * The DNS TXT record publishing a key
+ */
+function txtRecord(key) {
+  return {
+    purpose: 'dkim',
+    type: 'TXT',
+    name: `${key.selector}._domainkey.${key.domain}`,
+    value: `v=DKIM1; k=rsa; p=${key.public_key}`,
+    status: key.status
+  };
+}
+
+/**
+ * Whether a key's TXT record is visible in DNS
+ */
+async function isPublished(key, resolver) {
+  const records = await lookupTxt(`${key.selector}._domainkey.${key.domain}`, resolver);
+  return records.some(txt => txt.replace(/\s+/g, '').includes(`p=${key.public_key}`));
+}
+
+/**
+ * Activate a domain's pending key if its record has been published
+ * @returns {Promise<object|null>} The newly active key, or null
+ */
+async function activateIfPublished(domain, resolver) {
+  const key = pendingKey(domain);
+  if (!key || !(await isPublished(key, resolver))) return null;
+  return activateKey(key);
+}
+
+/**
+ * Scheduled rotation pass over every signing domain: start a rotation for keys
+ * older than rotationDays, and activate pending keys once they are published
+ * @returns {Promise<object>} { started, activated }
+ */
+async function runRotation(resolver, now = new Date()) {
+  const cutoff = new Date(now.getTime() - DKIM_CONFIG.rotationDays * 24 * 60 * 60 * 1000).toISOString();
+  const db = getDb();
+  let started = 0;
+  let activated = 0;
+
+  const stale = db.prepare(`
+    SELECT * FROM dkim_keys k
+    WHERE status = 'active' AND activated_at < ?
+      AND NOT EXISTS (SELECT 1 FROM dkim_keys p WHERE p.domain = k.domain AND p.status = 'pending')
+  `).all(cutoff);
+  for (const key of stale) {
+    createKey(key.domain, 'pending');
+    started++;
+  }
+
+  const pending = db.prepare("SELECT DISTINCT domain FROM dkim_keys WHERE status = 'pending'").all();
+  for (const { domain } of pending) {
+    if (await activateIfPublished(domain, resolver)) activated++;
+  }
+
+  return { started, activated };
+}
+
+/**
+ * Attach DKIM signing with the sender domain's active key to a compiled message
+ * (nodemailer's own signer, as used by its dkim transport option)
+ * @param {object} mail - Compiled MimeNode from MailComposer
+ * @param {string} from - Sender address
+ * @param {object} key - Key to sign with; defaults to the domain's active key
+ * @returns {object|null} The signing key, or null if the domain has none
+ */
+function signMessage(mail, from, key = activeKey(String(from).split('@').pop().toLowerCase())) {
+  if (!key) return null;
+  const domain = key.domain;
+
+  const signer = new DKIM({ domainName: domain, keySelector: key.selector, privateKey: key.private_key });
+  mail.processFunc(input => signer.sign(input));
+  return key;
+}
+
+module.exports = {
+  DKIM_CONFIG,
+  createKey,
+  activeKey,
+  pendingKey,
+  publishedKeys,
+  ensureKey,
+  rotateKey,
+  activateIfPublished,
+  txtRecord,
+  isPublished,
+  runRotation,
+  signMessage
+};
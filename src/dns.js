@@ -0,0 +1,99 @@
+const dns = require('dns');
+const fs = require('fs');
+
+/*
+ * A DNS resolver answers resolveMx(name) with [{ exchange, priority }],
+ * resolveTxt(name) with [[chunk, ...], ...] and resolve4/resolve6(name) with
+ * [address, ...], like dns.promises. Lookups with no answer reject with code
+ * ENOTFOUND or ENODATA.
+ */
+
+/**
+ * Resolver that answers from a fixed record set instead of the network:
+ * { 'example.com': { MX: [{ exchange, priority }], TXT: ['v=spf1 ...'], A: ['192.0.2.1'], AAAA: [...] } }
+ * @param {object|function} records - Record set, or a function returning it on every lookup
+ */
+function createStubResolver(records) {
+  const lookup = (name, type) => {
+    const zone = typeof records === 'function' ? records() : records;
+    const values = zone[name.toLowerCase()]?.[type];
+    if (!values || values.length === 0) {
+      const err = new Error(`query${type} ENOTFOUND ${name}`);
+      err.code = 'ENOTFOUND';
+      throw err;
+    }
+    return values;
+  };
+
+  return {
+    resolveMx: async (name) => lookup(name, 'MX'),
+    resolveTxt: async (name) => lookup(name, 'TXT').map(value => [value]),
+    resolve4: async (name) => lookup(name, 'A'),
+    resolve6: async (name) => lookup(name, 'AAAA')
+  };
+}
+
+let resolver = null;
+
+/**
+ * The resolver used for domain checks. DNS_STUB_FILE answers from a JSON record
+ * set (re-read on every lookup); DNS_SERVERS picks the nameservers to query.
+ */
+function getResolver() {
+  if (!resolver) {
+    if (process.env.DNS_STUB_FILE) {
+      resolver = createStubResolver(() => JSON.parse(fs.readFileSync(process.env.DNS_STUB_FILE, 'utf8')));
+    } else {
+      resolver = new dns.promises.Resolver();
+      if (process.env.DNS_SERVERS) {
+        resolver.setServers(process.env.DNS_SERVERS.split(',').map(s => s.trim()));
+      }
+    }
+  }
+  return resolver;
+}
+
+/**
+ * Replace the resolver (e.g. with a stub)
+ */
+function setResolver(replacement) {
+  resolver = replacement;
+}
+
+/**
+ * TXT records at a name, with each record's chunks joined; [] if there are none
+ */
+async function lookupTxt(name, res = getResolver()) {
+  try {
+    return (await res.resolveTxt(name)).map(chunks => chunks.join(''));
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+    throw err;
+  }
+}
+
+/**
+ * MX hosts for a name, lowercased without the trailing dot; [] if there are none
+ */
+async function lookupMx(name, res = getResolver()) {
+  try {
+    return (await res.resolveMx(name)).map(mx => mx.exchange.toLowerCase().replace(/\.$/, ''));
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+    throw err;
+  }
+}
+
+/**
+ * IPv4 (family 4) or IPv6 (family 6) addresses of a name; [] if there are none
+ */
+async function lookupAddresses(name, family, res = getResolver()) {
+  try {
+    return await (family === 6 ? res.resolve6(name) : res.resolve4(name));
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+    throw err;
+  }
+}
+
+module.exports = { createStubResolver, getResolver, setResolver, lookupTxt, lookupMx, lookupAddresses };
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { lookupTxt, lookupMx } = require('./dns');
+const { activeKey, publishedKeys, ensureKey, txtRecord } = require('./dkim');
+
+// What custom domains must point at; override to match your own mail hosts
+const DOMAIN_CONFIG = {
+  mxHost: (process.env.DOMAIN_MX_HOST || 'mx.kdn.agency').toLowerCase(),
+  spfInclude: process.env.DOMAIN_SPF_INCLUDE || '_spf.kdn.agency',
+  dmarcReport: process.env.DOMAIN_DMARC_RUA || 'dmarc@kdn.agency'
+};
+
+const SERVICE_DOMAIN = 'kdn.agency';
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const LOCAL_PART_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+
+/**
+ * Lowercase a domain name and check it is one we can host
+ * @throws {Error} If the name is invalid or belongs to the service
+ */
+function normalizeDomain(domain) {
+  const name = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!DOMAIN_PATTERN.test(name)) {
+    throw new Error('Invalid domain name');
+  }
+  if (name === SERVICE_DOMAIN || name.endsWith(`.${SERVICE_DOMAIN}`)) {
+    throw new Error(`${SERVICE_DOMAIN} cannot be registered as a custom domain`);
+  }
+  return name;
+}
+
+/**
+ * Lowercase a mailbox local part and check it is valid
+ * @throws {Error} If the local part is invalid
+ */
+function normalizeLocalPart(localPart) {
+  const value = String(localPart || '').trim().toLowerCase();
+  if (!LOCAL_PART_PATTERN.test(value) || value.includes('..')) {
+    throw new Error('local_part must be 1-64 letters, digits, ".", "-" or "_"');
+  }
+  return value;
+}
+
+/**
+ * Whether a domain can still be claimed: nobody has proven control of it yet.
+ * Pending claims do not block others, so a squatter cannot lock out the owner.
+ */
+function isClaimable(domain) {
+  return !getDb().prepare(`
+    SELECT 1 AS found FROM domains WHERE domain = ? AND (status = 'verified' OR verified_at IS NOT NULL)
+  `).get(domain);
+}
+
+/**
+ * Register a domain for an agent; it stays pending until its DNS checks pass
+ * @returns {object} The new domain row
+ */
+function registerDomain(agent, domain) {
+  const row = {
+    id: crypto.randomBytes(8).toString('hex'),
+    domain,
+    owner_id: agent.id,
+    verification_token: crypto.randomBytes(16).toString('hex'),
+    status: 'pending',
+    created_at: new Date().toISOString()
+  };
+  getDb().prepare(`
+    INSERT INTO domains (id, domain, owner_id, verification_token, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.domain, row.owner_id, row.verification_token, row.status, row.created_at);
+  ensureKey(domain);
+  return row;
+}
+
+/**
+ * An agent's claim on a domain
+ */
+function getDomain(domain, ownerId) {
+  return getDb().prepare('SELECT * FROM domains WHERE domain = ? AND owner_id = ?').get(domain, ownerId);
+}
+
+function listDomains(ownerId) {
+  return getDb().prepare('SELECT * FROM domains WHERE owner_id = ? ORDER BY created_at').all(ownerId);
+}
+
+function deleteDomain(row) {
+  const db = getDb();
+  db.prepare('DELETE FROM domains WHERE id = ?').run(row.id);
+  // Competing claims on a pending domain share its keys
+  if (!db.prepare('SELECT 1 AS found FROM domains WHERE domain = ?').get(row.domain)) {
+    db.prepare('DELETE FROM dkim_keys WHERE domain = ?').run(row.domain);
+  }
+}
+
+/**
+ * Mailboxes created on a domain
+ */
+function domainMailboxes(domain) {
+  return getDb().prepare('SELECT * FROM agents WHERE domain = ? ORDER BY created_at').all(domain);
+}
+
+/**
+ * DNS records the domain owner has to publish
+ * @param {object} row - Domain row
+ * @param {Array} keys - DKIM keys to publish; defaults to the domain's current ones
+ * @returns {Array} [{ purpose, type, name, value, priority?, status? }]
+ */
+function dnsRecords(row, keys = publishedKeys(row.domain)) {
+  return [
+    {
+      purpose: 'verification',
+      type: 'TXT',
+      name: `_agent-mail.${row.domain}`,
+      value: `agent-mail-verify=${row.verification_token}`
+    },
+    { purpose: 'mx', type: 'MX', name: row.domain, value: DOMAIN_CONFIG.mxHost, priority: 10 },
+    { purpose: 'spf', type: 'TXT', name: row.domain, value: `v=spf1 include:${DOMAIN_CONFIG.spfInclude} ~all` },
+    ...keys.map(txtRecord),
+    {
+      purpose: 'dmarc',
+      type: 'TXT',
+      name: `_dmarc.${row.domain}`,
+      value: `v=DMARC1; p=quarantine; rua=mailto:${DOMAIN_CONFIG.dmarcReport}`
+    }
+  ];
+}
+
+/**
+ * Look up a domain's published records and compare them with what is required.
+ * Existing SPF and DMARC policies are accepted as long as they include us / exist.
+ * @param {object} row - Domain row
+ * @param {object} resolver - DNS resolver (see ./dns); defaults to the configured one
+ * @param {object} key - DKIM key that must be published; defaults to the active one
+ * @returns {Promise<Object>} { verified, checks: { verification, mx, spf, dkim, dmarc } }
+ *   where each check is { ok, found }
+ */
+async function checkDomain(row, resolver, key = activeKey(row.domain)) {
+  const [ownership, mx, rootTxt, dkim, dmarc] = await Promise.all([
+    lookupTxt(`_agent-mail.${row.domain}`, resolver),
+    lookupMx(row.domain, resolver),
+    lookupTxt(row.domain, resolver),
+    key ? lookupTxt(`${key.selector}._domainkey.${row.domain}`, resolver) : [],
+    lookupTxt(`_dmarc.${row.domain}`, resolver)
+  ]);
+  const spf = rootTxt.filter(txt => /^v=spf1\b/i.test(txt));
+  const compact = (txt) => txt.replace(/\s+/g, '');
+
+  const checks = {
+    verification: { ok: ownership.includes(`agent-mail-verify=${row.verification_token}`), found: ownership },
+    mx: { ok: mx.includes(DOMAIN_CONFIG.mxHost), found: mx },
+    spf: {
+      ok: spf.length === 1 && spf[0].toLowerCase().split(/\s+/).includes(`include:${DOMAIN_CONFIG.spfInclude}`),
+      found: spf
+    },
+    dkim: { ok: !!key && dkim.some(txt => compact(txt).includes(`p=${key.public_key}`)), found: dkim },
+    dmarc: { ok: dmarc.some(txt => /^v=DMARC1\b/i.test(txt)), found: dmarc }
+  };
+
+  return { verified: Object.values(checks).every(check => check.ok), checks };
+}
+
+/**
+ * Record the outcome of a DNS check. The first claim to verify wins the domain
+ * and the other pending claims are dropped. A domain that fails a later check
+ * goes back to pending, so mailboxes can no longer be created on it.
+ */
+function recordCheck(row, verified) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const status = verified ? 'verified' : 'pending';
+  const verifiedAt = verified ? (row.verified_at || now) : row.verified_at || null;
+  db.prepare('UPDATE domains SET status = ?, verified_at = ?, last_checked_at = ? WHERE id = ?')
+    .run(status, verifiedAt, now, row.id);
+  if (verified) {
+    db.prepare('DELETE FROM domains WHERE domain = ? AND id != ?').run(row.domain, row.id);
+  }
+  return { ...row, status, verified_at: verifiedAt, last_checked_at: now };
+}
+
+/**
+ * Whether mail for a domain is accepted as a verified custom domain
+ */
+function isVerifiedDomain(domain) {
+  return !!getDb().prepare("SELECT 1 AS found FROM domains WHERE domain = ? AND status = 'verified'")
+    .get(String(domain).toLowerCase());
+}
+
+/**
+ * All verified custom domains
+ */
+function verifiedDomains() {
+  return getDb().prepare("SELECT domain FROM domains WHERE status = 'verified' ORDER BY domain").all()
+    .map(row => row.domain);
+}
+
+/**
+ * Subaddress token (mailbox id, or alias token) for an address on a verified
+ * custom domain, or null
+ */
+function domainMailbox(address) {
+  const at = (address || '').lastIndexOf('@');
+  if (at < 1) return null;
+  const db = getDb();
+  const domain = address.slice(at + 1).toLowerCase();
+  const agent = db.prepare(`
+    SELECT a.mailbox_id FROM agents a JOIN domains d ON d.domain = a.domain
+    WHERE a.email = ? AND d.domain = ? AND d.status = 'verified'
+  `).get(address.toLowerCase(), domain);
+  if (agent) return agent.mailbox_id;
+  const alias = db.prepare(`
+    SELECT al.token FROM aliases al JOIN agents a ON a.mailbox_id = al.mailbox_id JOIN domains d ON d.domain = a.domain
+    WHERE al.address = ? AND d.domain = ? AND d.status = 'verified'
+  `).get(address.toLowerCase(), domain);
+  return alias ? alias.token : null;
+}
+
+function toDomain(row) {
+  return {
+    domain: row.domain,
+    status: row.status,
+    created_at: row.created_at,
+    verified_at: row.verified_at || null,
+    last_checked_at: row.last_checked_at || null,
+    records: dnsRecords(row)
+  };
+}
+
+module.exports = {
+  DOMAIN_CONFIG,
+  SERVICE_DOMAIN,
+  normalizeDomain,
+  normalizeLocalPart,
+  isClaimable,
+  registerDomain,
+  getDomain,
+  listDomains,
+  deleteDomain,
+  domainMailboxes,
+  dnsRecords,
+  checkDomain,
+  recordCheck,
+  isVerifiedDomain,
+  verifiedDomains,
+  domainMailbox,
+  toDomain
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+// Rules only forward to addresses that proved they want the mail: adding a target
+// mails it a code, and it is verified once the mailbox sends that code back.
+const MAX_FORWARD_TARGETS = 20;
+const CODE_TTL_HOURS = 24;
+const MAX_CODE_ATTEMPTS = 5;
+
+const ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * @throws {Error} If the address is invalid
+ */
+function normalizeTargetAddress(address) {
+  const value = String(address || '').trim().toLowerCase();
+  if (!ADDRESS_PATTERN.test(value)) throw new Error('address must be a valid email address');
+  return value;
+}
+
+function listForwardTargets(mailboxId) {
+  return getDb().prepare('SELECT * FROM forward_targets WHERE mailbox_id = ? ORDER BY created_at').all(mailboxId);
+}
+
+function getForwardTarget(mailboxId, id) {
+  return getDb().prepare('SELECT * FROM forward_targets WHERE id = ? AND mailbox_id = ?').get(id, mailboxId);
+}
+
+function findForwardTarget(mailboxId, address) {
+  return getDb().prepare('SELECT * FROM forward_targets WHERE mailbox_id = ? AND address = ?')
+    .get(mailboxId, String(address || '').toLowerCase());
+}
+
+/**
+ * Whether rules of a mailbox may forward to an address
+ */
+function isVerifiedTarget(mailboxId, address) {
+  return findForwardTarget(mailboxId, address)?.status === 'verified';
+}
+
+/**
+ * Add a pending target with a fresh code, or give a pending one a new code
+ * @returns {object} The target row, including its code
+ */
+function addForwardTarget(agent, address) {
+  const db = getDb();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const now = new Date().toISOString();
+  const existing = findForwardTarget(agent.mailbox_id, address);
+  if (existing) {
+    db.prepare('UPDATE forward_targets SET code = ?, code_sent_at = ?, attempts = 0 WHERE id = ?')
+      .run(code, now, existing.id);
+    return { ...existing, code, code_sent_at: now, attempts: 0 };
+  }
+  const row = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mailbox_id: agent.mailbox_id,
+    address,
+    status: 'pending',
+    code,
+    code_sent_at: now,
+    attempts: 0,
+    created_at: now,
+    verified_at: null
+  };
+  db.prepare(`
+    INSERT INTO forward_targets (id, mailbox_id, address, status, code, code_sent_at, attempts, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.mailbox_id, row.address, row.status, row.code, row.code_sent_at, row.attempts, row.created_at);
+  return row;
+}
+
+/**
+ * The mail asking a target to confirm, sent from the mailbox that wants to forward
+ */
+function verificationMessage(agent, row) {
+  return {
+    to: row.address,
+    subject: `Confirm forwarding from ${agent.email}`,
+    body: `${agent.email} wants to forward mail to this address.\n\n` +
+      `Your verification code is ${row.code}. It expires in ${CODE_TTL_HOURS} hours.\n\n` +
+      'If you did not expect this, ignore this email and nothing will be forwarded.',
+    headers: { 'Auto-Submitted': 'auto-generated' }
+  };
+}
+
+/**
+ * Verify a pending target with the code it was sent
+ * @returns {object} The updated row
+ * @throws {Error} If the code is wrong, expired or out of attempts
+ */
+function confirmForwardTarget(row, code, now = new Date()) {
+  if (row.status === 'verified') return row;
+  const db = getDb();
+  const expired = now.getTime() - new Date(row.code_sent_at).getTime() > CODE_TTL_HOURS * 60 * 60 * 1000;
+  if (expired || row.attempts >= MAX_CODE_ATTEMPTS) {
+    throw new Error('Code expired; add the address again for a new code');
+  }
+  const given = Buffer.from(String(code || ''));
+  const expected = Buffer.from(row.code);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    db.prepare('UPDATE forward_targets SET attempts = attempts + 1 WHERE id = ?').run(row.id);
+    throw new Error('Wrong code');
+  }
+  const verifiedAt = now.toISOString();
+  db.prepare(`UPDATE forward_targets SET status = 'verified', code = NULL, verified_at = ? WHERE id = ?`)
+    .run(verifiedAt, row.id);
+  return { ...row, status: 'verified', code: null, verified_at: verifiedAt };
+}
+
+function deleteForwardTarget(row) {
+  getDb().prepare('DELETE FROM forward_targets WHERE id = ?').run(row.id);
+}
+
+function toForwardTarget(row) {
+  return {
+    id: row.id,
+    address: row.address,
+    status: row.status,
+    created_at: row.created_at,
+    verified_at: row.verified_at || null
+  };
+}
+
+module.exports = {
+  MAX_FORWARD_TARGETS,
+  normalizeTargetAddress,
+  listForwardTargets,
+  getForwardTarget,
+  isVerifiedTarget,
+  addForwardTarget,
+  verificationMessage,
+  confirmForwardTarget,
+  deleteForwardTarget,
+  toForwardTarget
+};
@@ -1,26 +1,135 @@
 const Imap = require('imap');
 const { simpleParser } = require('mailparser');
+const { verifiedDomains } = require('./domains');
 
 // Email credentials from environment or config
 const IMAP_CONFIG = {
   user: process.env.EMAIL_USER || 'kai@kdn.agency',
   password: process.env.EMAIL_PASS || 'gdb_eky2xjb9XBV9gzy',
-  host: 'imap.purelymail.com',
-  port: 993,
+  host: process.env.IMAP_HOST || 'imap.purelymail.com',
+  port: parseInt(process.env.IMAP_PORT) || 993,
   tls: true,
   tlsOptions: { rejectUnauthorized: false }
 };
 
+// Agent mail is addressed to subaddresses of the account (kai+<mailbox_id>@...)
+const SUBADDRESS_PREFIX = IMAP_CONFIG.user.split('@')[0] + '+';
+
 /**
- * Fetch emails for a specific mailbox (subaddress)
+ * Search the currently open box and fetch + parse the matching messages
+ * @param {Imap} imap - Connection with INBOX open
+ * @param {Array} criteria - node-imap search criteria (UID SEARCH)
+ * @returns {Promise<Array>} [{ uid, parsed, raw, receivedAt }] in UID order
  */
-async function fetchEmails(mailboxId, limit = 10) {
+function searchAndFetch(imap, criteria) {
   return new Promise((resolve, reject) => {
-    const imap = new Imap(IMAP_CONFIG);
-    const emails = [];
-    const targetAddress = `kai+${mailboxId}@kdn.agency`.toLowerCase();
+    const messages = [];
     const parsePromises = [];
     
+    imap.search(criteria, (err, results) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      if (!results || results.length === 0) {
+        return resolve([]);
+      }
+      
+      const f = imap.fetch(results, {
+        bodies: '',
+        struct: true
+      });
+      
+      f.on('message', (msg, seqno) => {
+        let uid = null;
+        let receivedAt;
+        msg.once('attributes', (attrs) => {
+          uid = attrs.uid;
+          // INTERNALDATE: when the server received the message
+          receivedAt = attrs.date;
+        });
+        msg.on('body', (stream, info) => {
+          const chunks = [];
+          stream.on('data', (chunk) => {
+            chunks.push(chunk);
+          });
+          stream.once('end', () => {
+            const raw = Buffer.concat(chunks);
+            // Create a promise for each email parse
+            const parsePromise = simpleParser(raw)
+              .then(parsed => {
+                messages.push({ uid, parsed, raw, receivedAt });
+              })
+              .catch(err => console.error('Parse error:', err));
+            
+            parsePromises.push(parsePromise);
+          });
+        });
+      });
+      
+      f.once('error', (err) => {
+        console.error('Fetch error:', err);
+      });
+      
+      f.once('end', () => {
+        // Wait for all parsing to complete before resolving
+        Promise.all(parsePromises).then(() => {
+          resolve(messages.sort((a, b) => a.uid - b.uid));
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Search criteria for mail addressed (To, Cc or Delivered-To) to any of the patterns
+ * @param {Array<string>} patterns - Address substrings, e.g. 'kai+' or '@example.com'
+ */
+function recipientCriteria(patterns) {
+  return patterns
+    .flatMap(pattern => [['TO', pattern], ['CC', pattern], ['HEADER', 'DELIVERED-TO', pattern]])
+    .reduce((any, criterion) => ['OR', any, criterion]);
+}
+
+/**
+ * Fetch agent mail newer than a sync checkpoint from the open INBOX.
+ * Only UIDs above the checkpoint are requested, and the server filters on
+ * the subaddress and verified custom domains (catch-all forwarding) so the
+ * account's own mail is never downloaded.
+ * A missing checkpoint or a changed UIDVALIDITY means a full resync.
+ * @param {Imap} imap - Connection with INBOX open
+ * @param {object} box - Box info from openBox
+ * @param {object|null} checkpoint - { uidvalidity, last_uid } from the previous sync
+ * @returns {Promise<Object>} { uidvalidity, full, messages: [{ uid, parsed, raw, receivedAt }] }
+ */
+async function fetchNewMessages(imap, box, checkpoint) {
+  const uidvalidity = box.uidvalidity;
+  const full = !checkpoint || checkpoint.uidvalidity !== uidvalidity;
+  const lastUid = full ? 0 : checkpoint.last_uid;
+  
+  const criteria = [
+    ['UID', `${lastUid + 1}:*`],
+    recipientCriteria([SUBADDRESS_PREFIX, ...verifiedDomains().map(domain => `@${domain}`)])
+  ];
+  
+  const messages = await searchAndFetch(imap, criteria);
+  // "n:*" always matches the newest message, even when its UID is below n
+  return {
+    uidvalidity,
+    full,
+    messages: messages.filter(m => m.uid > lastUid)
+  };
+}
+
+/**
+ * Fetch new agent mail from the shared INBOX over a one-off connection
+ * @param {object|null} checkpoint - { uidvalidity, last_uid } from the previous sync
+ * @returns {Promise<Object>} { uidvalidity, full, messages: [{ uid, parsed, raw, receivedAt }] }
+ */
+async function fetchMessages(checkpoint = null) {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(IMAP_CONFIG);
+    
     imap.once('ready', () => {
       imap.openBox('INBOX', true, (err, box) => {
         if (err) {
@@ -28,75 +137,9 @@ async function fetchEmails(mailboxId, limit = 10) {
           return reject(err);
         }
         
-        imap.search(['ALL'], (err, results) => {
-          if (err) {
-            imap.end();
-            return reject(err);
-          }
-          
-          if (!results || results.length === 0) {
-            imap.end();
-            return resolve([]);
-          }
-          
-          // Get last N emails
-          const toFetch = results.slice(-Math.min(50, results.length));
-          
-          const f = imap.fetch(toFetch, {
-            bodies: '',
-            struct: true
-          });
-          
-          f.on('message', (msg, seqno) => {
-            msg.on('body', (stream, info) => {
-              let buffer = '';
-              stream.on('data', (chunk) => {
-                buffer += chunk.toString('utf8');
-              });
-              stream.once('end', () => {
-                // Create a promise for each email parse
-                const parsePromise = simpleParser(buffer)
-                  .then(parsed => {
-                    const toAddresses = parsed.to?.value || [];
-                    const isForMailbox = toAddresses.some(addr => 
-                      addr.address?.toLowerCase() === targetAddress
-                    );
-                    
-                    if (isForMailbox) {
-                      emails.push({
-                        id: parsed.messageId || `msg-${seqno}`,
-                        from: parsed.from?.text || 'unknown',
-                        to: parsed.to?.text || '',
-                        subject: parsed.subject || '(no subject)',
-                        body: parsed.text || parsed.html || '',
-                        html: parsed.html || null,
-                        received_at: parsed.date?.toISOString() || new Date().toISOString()
-                      });
-                    }
-                  })
-                  .catch(err => console.error('Parse error:', err));
-                
-                parsePromises.push(parsePromise);
-              });
-            });
-          });
-          
-          f.once('error', (err) => {
-            console.error('Fetch error:', err);
-          });
-          
-          f.once('end', () => {
-            // Wait for all parsing to complete before resolving
-            Promise.all(parsePromises).then(() => {
-              imap.end();
-              // Return most recent first, limited
-              const sorted = emails.sort((a, b) => 
-                new Date(b.received_at) - new Date(a.received_at)
-              );
-              resolve(sorted.slice(0, limit));
-            });
-          });
-        });
+        fetchNewMessages(imap, box, checkpoint)
+          .then(resolve, reject)
+          .finally(() => imap.end());
       });
     });
     
@@ -108,4 +151,69 @@ async function fetchEmails(mailboxId, limit = 10) {
   });
 }
 
-module.exports = { fetchEmails };
+/**
+ * Keep one long-lived connection open on INBOX and report new mail as it lands.
+ * node-imap IDLEs when the server supports it and falls back to NOOP polling otherwise.
+ * Dropped connections are re-established with backoff.
+ * @param {function} onMail - Called with fetch(checkpoint) bound to the live connection,
+ *   once after every (re)connect and again whenever new mail arrives
+ * @param {object} options - { createConnection (config => node-imap connection),
+ *   retryMs (first reconnect delay, doubling up to maxRetryMs) }
+ * @returns {object} { stop }
+ */
+function watchInbox(onMail, { createConnection = config => new Imap(config), retryMs = 1000, maxRetryMs = 60000 } = {}) {
+  let imap = null;
+  let stopped = false;
+  let retryTimer = null;
+  let retryDelay = retryMs;
+  
+  const connect = () => {
+    const conn = createConnection({
+      ...IMAP_CONFIG,
+      keepalive: { interval: 10000, idleInterval: 300000, forceNoop: false }
+    });
+    let closed = false;
+    imap = conn;
+    
+    conn.once('ready', () => {
+      conn.openBox('INBOX', true, (err, box) => {
+        if (err) {
+          console.error('IMAP watcher openBox error:', err.message);
+          return conn.end();
+        }
+        const fetch = (checkpoint) => fetchNewMessages(conn, box, checkpoint);
+        retryDelay = retryMs;
+        console.log(`IMAP watcher connected (${conn.serverSupports('IDLE') ? 'IDLE' : 'NOOP polling'})`);
+        conn.on('mail', () => onMail(fetch));
+        onMail(fetch);
+      });
+    });
+    
+    conn.on('error', (err) => {
+      console.error('IMAP watcher error:', err.message);
+    });
+    
+    const reconnect = () => {
+      if (closed || stopped) return;
+      closed = true;
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, maxRetryMs);
+    };
+    conn.once('close', reconnect);
+    conn.once('end', reconnect);
+    
+    conn.connect();
+  };
+  
+  connect();
+  
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (imap) imap.end();
+    }
+  };
+}
+
+module.exports = { fetchMessages, watchInbox, recipientCriteria };
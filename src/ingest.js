@@ -0,0 +1,238 @@
+const { getDb } = require('./db');
+const { attachmentLimit, messageRow, storeMessage, toEmail } = require('./messages');
+const { deliverEmailWebhook } = require('./webhooks');
+const { getTransport } = require('./transports');
+const { isActive } = require('./retention');
+const { resolveRecipient } = require('./aliases');
+const { domainMailbox } = require('./domains');
+const { authenticateMessage } = require('./authentication');
+const { scoreMessage } = require('./spam');
+const { screenSender } = require('./senders');
+const { listMailRules, viewFromParsed, evaluateRules, recordMatches, runRuleActions } = require('./rules');
+const { autoReplyConfig, isResponding, runAutoReplies } = require('./autoresponder');
+const { announceMessages } = require('./waiters');
+const { runAutoConfirm } = require('./confirm-links');
+
+// Agent addresses are subaddresses of the shared catch-all: kai+<mailbox_id>@kdn.agency
+const SUBADDRESS_PATTERN = /^kai\+([^@]+)@kdn\.agency$/i;
+
+/**
+ * Collect the addresses a message was delivered to (To, Cc, Delivered-To, X-Original-To)
+ */
+function recipientAddresses(parsed) {
+  const addresses = [];
+  for (const field of [parsed.to, parsed.cc]) {
+    for (const group of [].concat(field || [])) {
+      for (const addr of group.value || []) {
+        if (addr.address) addresses.push(addr.address);
+      }
+    }
+  }
+  for (const header of ['delivered-to', 'x-original-to']) {
+    for (const line of (parsed.headerLines || []).filter(h => h.key === header)) {
+      addresses.push(line.line.slice(line.line.indexOf(':') + 1).trim());
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Collect the subaddress tokens a message was addressed to (To, Cc, Delivered-To):
+ * a mailbox id, or an alias token (<mailbox_id>.<tag> or a name)
+ */
+function recipientMailboxes(parsed) {
+  const mailboxIds = new Set();
+  for (const address of recipientAddresses(parsed)) {
+    const match = address.match(SUBADDRESS_PATTERN);
+    if (match) mailboxIds.add(match[1].toLowerCase());
+  }
+  return [...mailboxIds];
+}
+
+/**
+ * Subaddress tokens plus mailboxes on verified custom domains a message was addressed to
+ */
+function recipientTokens(parsed) {
+  const tokens = new Set(recipientMailboxes(parsed));
+  for (const address of recipientAddresses(parsed)) {
+    const mailboxId = domainMailbox(address);
+    if (mailboxId) tokens.add(mailboxId);
+  }
+  return [...tokens];
+}
+
+/**
+ * Remember a message that reached an expired mailbox
+ * @returns {boolean} false if it was seen before
+ */
+function recordRetired(row) {
+  const db = getDb();
+  if (db.prepare('SELECT 1 AS found FROM retired_messages WHERE id = ?').get(row.id)) return false;
+  db.prepare('INSERT INTO retired_messages (id, mailbox_id, received_at) VALUES (?, ?, ?)')
+    .run(row.id, row.mailbox_id, row.received_at);
+  return true;
+}
+
+/**
+ * Store a parsed message in every known mailbox it was addressed to. Each
+ * mailbox's sender lists decide first (blocked mail is quarantined or dropped,
+ * allowlisted mail skips the spam folder); otherwise mail scoring over the
+ * mailbox's spam threshold is filed as spam. The mailbox's mail rules then
+ * label, mark read or drop it.
+ * Expired mailboxes store nothing, but one whose auto-responder is still on
+ * gets an unstored row (retired: true) so the sender can be acknowledged, once.
+ * @param {Array} recipients - Subaddress tokens; defaults to those named in the headers
+ * @param {object} authentication - Sender authentication results (see ./authentication)
+ * @param {Date} receivedAt - When the mail reached us (e.g. the IMAP INTERNALDATE)
+ * @returns {Array} [{ agent, row, followUps, retired }] for newly stored messages, where
+ *   followUps are rule actions for runRuleActions()
+ */
+function ingestMessage(parsed, raw, recipients = recipientTokens(parsed), authentication = null, receivedAt = new Date()) {
+  const stored = [];
+  
+  for (const token of recipients) {
+    const recipient = resolveRecipient(token);
+    // Disabled aliases no longer receive, nor do expired mailboxes without an auto-responder
+    if (!recipient || (recipient.alias && !recipient.alias.active)) continue;
+    const { agent, address } = recipient;
+    const active = isActive(agent);
+    if (!active && !isResponding(autoReplyConfig(agent))) continue;
+    
+    const screening = screenSender(agent, parsed.from?.value?.[0]?.address, authentication);
+    if (screening.action === 'drop') continue;
+    
+    const spam = scoreMessage(parsed, { agent, authentication });
+    let folder = 'inbox';
+    if (screening.action === 'quarantine') folder = 'quarantine';
+    else if (spam.spam && !screening.allowed) folder = 'spam';
+    
+    if (!active) {
+      const row = messageRow(agent.mailbox_id, parsed, raw, { folder, deliveredTo: address, authentication, spam, receivedAt });
+      // Only its key is recorded, so a resync doesn't acknowledge it again
+      if (!recordRetired(row)) continue;
+      stored.push({ agent, row, followUps: [], retired: true });
+      continue;
+    }
+    
+    const rules = evaluateRules(listMailRules(agent.mailbox_id),
+      viewFromParsed(parsed, { deliveredTo: address, authentication }));
+    if (rules.drop) {
+      recordMatches(rules.matched);
+      continue;
+    }
+    
+    const row = storeMessage(agent.mailbox_id, parsed, raw, {
+      attachmentLimit: attachmentLimit(agent),
+      folder,
+      seen: rules.seen,
+      deliveredTo: address,
+      authentication,
+      spam,
+      labels: rules.labels,
+      receivedAt
+    });
+    // A message stored before (e.g. on a resync) is not counted or acted on again
+    if (!row) continue;
+    recordMatches(rules.matched);
+    stored.push({ agent, row, followUps: rules.followUps });
+  }
+  return stored;
+}
+
+/**
+ * Pull new mail from the transport's inbox into the message store and advance
+ * its UID checkpoint
+ * @param {function} fetch - fetch(checkpoint) to use; defaults to the configured transport
+ * @param {string} folder - sync_state key for the checkpoint
+ * @returns {Promise<Object>} { stored: [{ agent, row }], initial: true on the first backfill }
+ */
+async function syncInbox(fetch = getTransport().fetch, folder = getTransport().folder) {
+  const db = getDb();
+  const checkpoint = db.prepare('SELECT * FROM sync_state WHERE folder = ?').get(folder);
+  
+  const { uidvalidity, full, messages, acknowledge } = await fetch(checkpoint);
+  if (full && checkpoint) {
+    console.log(`${folder} UIDVALIDITY changed (${checkpoint.uidvalidity} -> ${uidvalidity}), resyncing`);
+  }
+  
+  const stored = [];
+  let lastUid = full ? 0 : checkpoint.last_uid;
+  for (const { uid, parsed, raw, receivedAt } of messages) {
+    const recipients = recipientTokens(parsed);
+    // Only mail that has somewhere to go is worth the DNS lookups
+    const authentication = recipients.length > 0 ? await authenticateMessage(parsed, raw) : null;
+    stored.push(...ingestMessage(parsed, raw, recipients, authentication, receivedAt));
+    lastUid = Math.max(lastUid, uid);
+  }
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO sync_state (folder, uidvalidity, last_uid, updated_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(folder, uidvalidity, lastUid);
+  if (acknowledge) acknowledge();
+  
+  // Messages already stored before a resync are deduplicated by the store
+  return { stored, initial: !checkpoint };
+}
+
+/**
+ * Send webhooks for newly stored messages (spam, quarantined mail and mail to
+ * expired mailboxes is not announced)
+ */
+async function notifyWebhooks(stored) {
+  for (const { agent, row, retired } of stored) {
+    if (!agent.webhook_url || row.folder !== 'inbox' || retired) continue;
+    try {
+      await deliverEmailWebhook(agent, toEmail(row));
+    } catch (webhookErr) {
+      console.error(`Webhook failed for ${agent.moltbook_name}:`, webhookErr.message);
+    }
+  }
+}
+
+/**
+ * Start the background ingester on the configured transport (for IMAP, a single
+ * long-lived connection). Mail is synced as soon as it is reported; waiting
+ * requests are answered, and webhooks, rule actions and auto-replies fire right after.
+ * @returns {object} { stop }
+ */
+function startIngester() {
+  const transport = getTransport();
+  let running = false;
+  let pending = false;
+  
+  const sync = async (fetch) => {
+    // Mail that lands mid-sync triggers one more pass once this one finishes
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        pending = false;
+        const { stored, initial } = await syncInbox(fetch, transport.folder);
+        const ingested = stored.filter(entry => !entry.retired).length;
+        if (ingested > 0) {
+          console.log(`Ingested ${ingested} new message(s)`);
+        }
+        // The first sync backfills history; only mail arriving after it is news
+        if (!initial) {
+          announceMessages(stored);
+          await notifyWebhooks(stored);
+          await runRuleActions(stored);
+          await runAutoReplies(stored);
+          await runAutoConfirm(stored);
+        }
+      } while (pending);
+    } catch (err) {
+      console.error('Ingest error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  
+  return transport.watch(sync);
+}
+
+module.exports = { ingestMessage, recipientMailboxes, syncInbox, notifyWebhooks, startIngester };
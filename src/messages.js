@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const { getDb, transaction } = require('./db');
+const { putBlob, readBlob, deleteBlob } = require('./blobs');
+const { assignThread, parseMessageIds } = require('./threads');
+
+// Attachment size limits (bytes) when a mailbox has no explicit max_attachment_size
+const ATTACHMENT_LIMITS = {
+  free: 10 * 1024 * 1024,
+  paid: 25 * 1024 * 1024
+};
+
+// Trashed messages are purged after this many days
+const TRASH_RETENTION_DAYS = 30;
+
+// Folders a message can be filed in; trash is a soft-delete state on top of these
+const FOLDERS = ['inbox', 'archive', 'sent', 'spam', 'quarantine'];
+
+/**
+ * Largest attachment a mailbox will keep content for
+ */
+function attachmentLimit(agent) {
+  return agent.max_attachment_size || (agent.paid ? ATTACHMENT_LIMITS.paid : ATTACHMENT_LIMITS.free);
+}
+
+/**
+ * Derive the storage key for a message within a mailbox.
+ * The same message fetched twice maps to the same key, so re-ingesting is a no-op.
+ * The key covers the full source rather than the Message-ID, which any sender
+ * can reuse, and sent copies never collide with the same message received.
+ * Keys are hex, so they double as stable, URL-safe API ids.
+ */
+function messageKey(mailboxId, raw, folder) {
+  const direction = folder === 'sent' ? 'sent' : 'in';
+  const digest = crypto.createHash('sha256').update(raw).digest('hex');
+  return crypto.createHash('sha256').update(`${mailboxId}:${direction}:${digest}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Build the row a parsed message is stored as, without storing it
+ * @param {object} options - storeMessage() options other than attachmentLimit
+ */
+function messageRow(mailboxId, parsed, raw, {
+  folder = 'inbox', seen = false, deliveredTo = null, authentication = null, spam = null, labels = [],
+  receivedAt = new Date()
+} = {}) {
+  // The Date header is whatever the sender claims, so it is kept apart from when we received the mail
+  const sentAt = parsed.date && !isNaN(parsed.date) ? parsed.date.toISOString() : null;
+  return {
+    id: messageKey(mailboxId, raw, folder),
+    mailbox_id: mailboxId,
+    folder,
+    seen: seen ? 1 : 0,
+    flagged: 0,
+    deleted_at: null,
+    message_id: parsed.messageId || null,
+    in_reply_to: parseMessageIds(parsed.inReplyTo).join(' ') || null,
+    references_ids: parseMessageIds(parsed.references).join(' ') || null,
+    from_addr: parsed.from?.text || 'unknown',
+    to_addr: parsed.to ? [].concat(parsed.to).map(a => a.text).join(', ') : '',
+    subject: parsed.subject || '(no subject)',
+    body: parsed.text || parsed.html || '',
+    html: parsed.html || null,
+    headers: JSON.stringify(parsed.headerLines || []),
+    delivered_to: deliveredTo,
+    authentication: authentication
+      ? JSON.stringify({ spf: authentication.spf, dkim: authentication.dkim, dmarc: authentication.dmarc })
+      : null,
+    trust: authentication ? authentication.verdict : null,
+    spam_score: spam ? spam.score : null,
+    spam_rules: spam ? JSON.stringify(spam.rules) : null,
+    labels: labels.length ? JSON.stringify(labels) : null,
+    sent_at: sentAt,
+    received_at: receivedAt.toISOString()
+  };
+}
+
+/**
+ * Store a parsed message in a mailbox
+ * @param {string} mailboxId - Target mailbox
+ * @param {object} parsed - mailparser result
+ * @param {Buffer} raw - Original RFC 822 source
+ * @param {object} options - { attachmentLimit (max bytes of attachment content to keep),
+ *   folder, seen, deliveredTo (address it was received at),
+ *   authentication (sender authentication results, see ./authentication),
+ *   spam (spam scoring result, see ./spam), labels (applied by mail rules),
+ *   receivedAt (when the mail reached us; defaults to now) }
+ * @returns {object|null} Stored row, or null if the message was already stored
+ */
+function storeMessage(mailboxId, parsed, raw, { attachmentLimit = ATTACHMENT_LIMITS.free, ...options } = {}) {
+  const db = getDb();
+  const row = messageRow(mailboxId, parsed, raw, options);
+  const { id } = row;
+  
+  if (db.prepare('SELECT id FROM messages WHERE id = ?').get(id)) {
+    return null;
+  }
+  
+  // Blobs go to disk first; the rows referencing them are then written (and saved) together
+  const rawHash = putBlob(raw);
+  const attachments = (parsed.attachments || []).map((att, index) => {
+    const attachment = {
+      id: crypto.createHash('sha256').update(`${id}:${index}`).digest('hex').slice(0, 32),
+      filename: att.filename || null,
+      content_type: att.contentType || 'application/octet-stream',
+      size: att.size ?? att.content.length,
+      content_id: att.contentId || null,
+      checksum: att.checksum || null
+    };
+    const keep = attachment.size <= attachmentLimit;
+    return { ...attachment, content_hash: keep ? putBlob(att.content) : null };
+  });
+  
+  transaction(() => {
+    db.prepare(`
+      INSERT INTO messages (id, mailbox_id, message_id, in_reply_to, references_ids, from_addr, to_addr,
+        subject, body, html, headers, raw_hash, folder, seen, delivered_to, authentication, trust,
+        spam_score, spam_rules, labels, sent_at, received_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).run(row.id, row.mailbox_id, row.message_id, row.in_reply_to, row.references_ids, row.from_addr,
+      row.to_addr, row.subject, row.body, row.html, row.headers, rawHash, row.folder, row.seen,
+      row.delivered_to, row.authentication, row.trust, row.spam_score, row.spam_rules, row.labels,
+      row.sent_at, row.received_at);
+    row.thread_id = assignThread(row);
+    db.prepare(`
+      INSERT INTO messages_fts (docid, from_addr, to_addr, subject, body)
+      SELECT rowid, from_addr, to_addr, subject, body FROM messages WHERE id = ?
+    `).run(id);
+    
+    for (const attachment of attachments) {
+      db.prepare(`
+        INSERT INTO attachments (id, message_id, mailbox_id, filename, content_type, size, content_id, checksum,
+          content_hash, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `).run(attachment.id, id, mailboxId, attachment.filename, attachment.content_type,
+        attachment.size, attachment.content_id, attachment.checksum, attachment.content_hash);
+    }
+  });
+  
+  row.raw_hash = rawHash;
+  row.attachments = attachments.map(({ content_hash, ...attachment }) => ({ ...attachment, available: !!content_hash }));
+  return row;
+}
+
+/**
+ * Load attachment metadata onto stored rows (as row.attachments)
+ */
+function loadAttachments(rows) {
+  if (rows.length === 0) return rows;
+  
+  const db = getDb();
+  const placeholders = rows.map(() => '?').join(', ');
+  const attachments = db.prepare(`
+    SELECT id, message_id, filename, content_type, size, content_id, checksum,
+      content_hash IS NOT NULL OR content IS NOT NULL as available
+    FROM attachments WHERE message_id IN (${placeholders})
+    ORDER BY rowid
+  `).all(...rows.map(r => r.id));
+  
+  for (const row of rows) {
+    row.attachments = attachments
+      .filter(a => a.message_id === row.id)
+      .map(({ message_id, available, ...a }) => ({ ...a, available: !!available }));
+  }
+  return rows;
+}
+
+/**
+ * Get one stored message (with attachment metadata) belonging to a mailbox
+ */
+function getMessage(mailboxId, id) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM messages WHERE id = ? AND mailbox_id = ?').get(id, mailboxId);
+  return row ? loadAttachments([row])[0] : null;
+}
+
+/**
+ * Decode a stored row's header lines into [{ name, value }] in original order
+ */
+function messageHeaders(row) {
+  return JSON.parse(row.headers || '[]').map(({ line }) => {
+    const colon = line.indexOf(':');
+    return {
+      name: line.slice(0, colon).trim(),
+      value: line.slice(colon + 1).replace(/\r?\n[ \t]+/g, ' ').trim()
+    };
+  });
+}
+
+/**
+ * The RFC 822 source of a stored message, or null if it was not kept
+ */
+function messageSource(row) {
+  if (row.raw_hash) return readBlob(row.raw_hash);
+  return row.raw ? Buffer.from(row.raw) : null;
+}
+
+// Attachment content is read from its blob (rows stored before blobs kept it inline)
+function withContent(attachment) {
+  if (attachment && attachment.content_hash) attachment.content = readBlob(attachment.content_hash);
+  return attachment;
+}
+
+/**
+ * Get all attachments (with content) of a stored message
+ */
+function getMessageAttachments(mailboxId, messageId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM attachments WHERE message_id = ? AND mailbox_id = ? ORDER BY rowid')
+    .all(messageId, mailboxId).map(withContent);
+}
+
+/**
+ * Get one attachment (with content) belonging to a mailbox
+ */
+function getAttachment(mailboxId, attachmentId) {
+  const db = getDb();
+  return withContent(db.prepare('SELECT * FROM attachments WHERE id = ? AND mailbox_id = ?').get(attachmentId, mailboxId));
+}
+
+/**
+ * Encode an opaque page cursor anchored on a row
+ * @param {string} direction - 'next' (older) or 'prev' (newer)
+ */
+function encodeCursor(direction, row) {
+  return Buffer.from(JSON.stringify([direction, row.received_at, row.id])).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @returns {object} { direction, received_at, id }
+ */
+function decodeCursor(token) {
+  try {
+    const [direction, receivedAt, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (['next', 'prev'].includes(direction) && typeof receivedAt === 'string' && typeof id === 'string') {
+      return { direction, received_at: receivedAt, id };
+    }
+  } catch (e) { /* fall through */ }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * List stored messages for a mailbox, most recent first (ties broken by id)
+ * @param {string} mailboxId - Mailbox to list
+ * @param {object} options - { limit, folder (inbox/archive/trash/all), unread, flagged,
+ *   deliveredTo (receiving address), trust (verdict), label, since, until (ISO times), cursor (decoded) }
+ */
+function listMessages(mailboxId, {
+  limit = 10, folder = 'inbox', unread, flagged, deliveredTo, trust, label, since, until, cursor
+} = {}) {
+  const db = getDb();
+  const where = ['mailbox_id = ?'];
+  const params = [mailboxId];
+  
+  if (folder === 'trash') {
+    where.push('deleted_at IS NOT NULL');
+  } else if (folder !== 'all') {
+    where.push('deleted_at IS NULL', 'folder = ?');
+    params.push(folder);
+  }
+  if (unread !== undefined) {
+    where.push('seen = ?');
+    params.push(unread ? 0 : 1);
+  }
+  if (flagged !== undefined) {
+    where.push('flagged = ?');
+    params.push(flagged ? 1 : 0);
+  }
+  if (deliveredTo) {
+    where.push('delivered_to = ?');
+    params.push(deliveredTo.toLowerCase());
+  }
+  if (trust) {
+    where.push('trust = ?');
+    params.push(trust);
+  }
+  if (label) {
+    where.push("labels LIKE ? ESCAPE '\\'");
+    params.push(`%${JSON.stringify(label).replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (since) {
+    where.push('received_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    where.push('received_at < ?');
+    params.push(until);
+  }
+  
+  // Keyset pagination: walk older ('next') or newer ('prev') than the anchor row
+  const newer = cursor?.direction === 'prev';
+  if (cursor) {
+    const cmp = newer ? '>' : '<';
+    where.push(`(received_at ${cmp} ? OR (received_at = ? AND id ${cmp} ?))`);
+    params.push(cursor.received_at, cursor.received_at, cursor.id);
+  }
+  const order = newer ? 'ASC' : 'DESC';
+  
+  const rows = db.prepare(`
+    SELECT * FROM messages WHERE ${where.join(' AND ')}
+    ORDER BY received_at ${order}, id ${order} LIMIT ?
+  `).all(...params, limit);
+  if (newer) rows.reverse();
+  return loadAttachments(rows);
+}
+
+/**
+ * List one page of messages with cursors to the neighbouring pages
+ * @param {string} mailboxId - Mailbox to list
+ * @param {object} options - listMessages() options; cursor is the opaque token
+ * @returns {object} { rows, next_cursor, prev_cursor }
+ */
+function listPage(mailboxId, { cursor: token, limit = 10, ...options } = {}) {
+  const cursor = token ? decodeCursor(token) : null;
+  const newer = cursor?.direction === 'prev';
+  
+  // Fetch one extra row to learn whether another page exists in this direction
+  const rows = listMessages(mailboxId, { ...options, cursor, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  if (hasMore) {
+    newer ? rows.shift() : rows.pop();
+  }
+  
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const hasOlder = newer ? !!cursor : hasMore;
+  const hasNewer = newer ? hasMore : !!cursor;
+  
+  return {
+    rows,
+    next_cursor: hasOlder && last ? encodeCursor('next', last) : null,
+    prev_cursor: hasNewer && first ? encodeCursor('prev', first) : null
+  };
+}
+
+/**
+ * List the messages of a thread (trash excluded), oldest first
+ */
+function listThreadMessages(mailboxId, threadId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT * FROM messages WHERE mailbox_id = ? AND thread_id = ? AND deleted_at IS NULL
+    ORDER BY received_at ASC, id ASC
+  `).all(mailboxId, threadId);
+  return loadAttachments(rows);
+}
+
+/**
+ * Update a message's flags
+ * @param {object} flags - Any of { seen, flagged, archived } as booleans
+ * @returns {object|null} Updated row, or null if the message does not exist
+ */
+function updateFlags(mailboxId, id, { seen, flagged, archived }) {
+  const db = getDb();
+  if (!getMessage(mailboxId, id)) return null;
+  
+  if (seen !== undefined) {
+    db.prepare('UPDATE messages SET seen = ? WHERE id = ?').run(seen ? 1 : 0, id);
+  }
+  if (flagged !== undefined) {
+    db.prepare('UPDATE messages SET flagged = ? WHERE id = ?').run(flagged ? 1 : 0, id);
+  }
+  if (archived !== undefined) {
+    db.prepare('UPDATE messages SET folder = ? WHERE id = ?').run(archived ? 'archive' : 'inbox', id);
+  }
+  return getMessage(mailboxId, id);
+}
+
+/**
+ * File a message in another folder
+ */
+function moveMessage(mailboxId, id, folder) {
+  getDb().prepare('UPDATE messages SET folder = ? WHERE id = ? AND mailbox_id = ?').run(folder, id, mailboxId);
+  return getMessage(mailboxId, id);
+}
+
+/**
+ * Move a message to the trash (soft delete)
+ */
+function trashMessage(mailboxId, id) {
+  const db = getDb();
+  db.prepare(`UPDATE messages SET deleted_at = datetime('now') WHERE id = ? AND mailbox_id = ?`).run(id, mailboxId);
+  return getMessage(mailboxId, id);
+}
+
+/**
+ * Take a message out of the trash, back into the folder it was filed in
+ */
+function restoreMessage(mailboxId, id) {
+  const db = getDb();
+  db.prepare('UPDATE messages SET deleted_at = NULL WHERE id = ? AND mailbox_id = ?').run(id, mailboxId);
+  return getMessage(mailboxId, id);
+}
+
+/**
+ * Permanently delete messages and their attachments, and the blobs nothing else uses
+ */
+function removeMessages(ids) {
+  if (ids.length === 0) return 0;
+  
+  const db = getDb();
+  const placeholders = ids.map(() => '?').join(', ');
+  const hashes = new Set([
+    ...db.prepare(`SELECT raw_hash AS hash FROM messages WHERE id IN (${placeholders})`).all(...ids),
+    ...db.prepare(`SELECT content_hash AS hash FROM attachments WHERE message_id IN (${placeholders})`).all(...ids)
+  ].map(r => r.hash).filter(Boolean));
+  
+  transaction(() => {
+    db.prepare(`DELETE FROM attachments WHERE message_id IN (${placeholders})`).run(...ids);
+    db.prepare(`
+      DELETE FROM messages_fts WHERE docid IN (SELECT rowid FROM messages WHERE id IN (${placeholders}))
+    `).run(...ids);
+    db.prepare(`DELETE FROM messages WHERE id IN (${placeholders})`).run(...ids);
+  });
+  
+  // Blobs are shared by identical content, e.g. one message delivered to several mailboxes
+  for (const hash of hashes) {
+    const used = db.prepare(`
+      SELECT 1 AS found FROM messages WHERE raw_hash = ?
+      UNION ALL SELECT 1 FROM attachments WHERE content_hash = ? LIMIT 1
+    `).get(hash, hash);
+    if (!used) deleteBlob(hash);
+  }
+  return ids.length;
+}
+
+/**
+ * Permanently delete messages that have been in the trash past the retention window
+ * @returns {number} Number of messages purged
+ */
+function purgeTrash(days = TRASH_RETENTION_DAYS) {
+  const db = getDb();
+  const expired = db.prepare(`
+    SELECT id FROM messages
+    WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+  `).all(`-${days} days`);
+  return removeMessages(expired.map(r => r.id));
+}
+
+/**
+ * Parse a SQLite datetime('now') value (UTC, no zone suffix)
+ */
+function fromSqlTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * When a trashed message will be purged
+ */
+function purgeAt(row) {
+  if (!row.deleted_at) return null;
+  const deletedAt = fromSqlTime(row.deleted_at);
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Shape a stored row as an API email object
+ */
+function toEmail(row) {
+  return {
+    id: row.id,
+    message_id: row.message_id,
+    thread_id: row.thread_id || null,
+    from: row.from_addr,
+    to: row.to_addr,
+    delivered_to: row.delivered_to || null,
+    subject: row.subject,
+    body: row.body,
+    html: row.html,
+    attachments: row.attachments || [],
+    folder: row.deleted_at ? 'trash' : row.folder,
+    flags: {
+      seen: !!row.seen,
+      flagged: !!row.flagged,
+      archived: row.folder === 'archive'
+    },
+    authentication: row.authentication ? JSON.parse(row.authentication) : null,
+    trust: row.trust || null,
+    labels: row.labels ? JSON.parse(row.labels) : [],
+    link_confirmation: row.link_confirmation ? JSON.parse(row.link_confirmation) : null,
+    spam: row.spam_score === null || row.spam_score === undefined ? null : {
+      score: row.spam_score,
+      rules: JSON.parse(row.spam_rules || '[]'),
+      label: row.spam_label || null
+    },
+    sent_at: row.sent_at || null,
+    received_at: row.received_at,
+    deleted_at: row.deleted_at ? fromSqlTime(row.deleted_at).toISOString() : null
+  };
+}
+
+module.exports = {
+  FOLDERS,
+  ATTACHMENT_LIMITS,
+  loadAttachments,
+  TRASH_RETENTION_DAYS,
+  attachmentLimit,
+  messageRow,
+  storeMessage,
+  listMessages,
+  listPage,
+  listThreadMessages,
+  getMessage,
+  updateFlags,
+  moveMessage,
+  trashMessage,
+  restoreMessage,
+  removeMessages,
+  purgeTrash,
+  purgeAt,
+  messageHeaders,
+  getAttachment,
+  getMessageAttachments,
+  messageSource,
+  toEmail
+};
@@ -0,0 +1,64 @@
+const { simpleParser } = require('mailparser');
+const { getDb } = require('./db');
+const { attachmentLimit, storeMessage } = require('./messages');
+const { sendEmail } = require('./smtp');
+
+// Limit: 10 emails per day per agent (MVP)
+const DAILY_SEND_LIMIT = 10;
+
+// Today's send count for an agent (the counter resets on a new day)
+function sendQuota(agent) {
+  const today = new Date().toISOString().slice(0, 10);
+  const currentSends = (agent.last_send_date === today) ? (agent.sends_today || 0) : 0;
+  return { today, currentSends, exhausted: currentSends >= DAILY_SEND_LIMIT };
+}
+
+function sendLimitError(quota) {
+  return {
+    error: `Daily send limit reached (${DAILY_SEND_LIMIT} emails/day)`,
+    resets_at: `${quota.today}T23:59:59Z`
+  };
+}
+
+/**
+ * Keep a copy of an agent's outbound message in its sent folder, so replies thread with it
+ * @param {object} agent - Sending agent
+ * @param {Buffer} raw - Source of the sent message
+ * @returns {Promise<object|null>} Stored row, or null if it could not be stored
+ */
+async function recordSent(agent, raw) {
+  try {
+    const parsed = await simpleParser(raw);
+    return storeMessage(agent.mailbox_id, parsed, raw, {
+      attachmentLimit: attachmentLimit(agent),
+      folder: 'sent',
+      seen: true
+    });
+  } catch (err) {
+    // The mail already went out; a missing sent copy must not fail the send
+    console.error('Record sent error:', err.message);
+    return null;
+  }
+}
+
+// Send as an agent, keep the sent copy and count it against the daily quota
+async function sendAsAgent(agent, message, quota) {
+  const { raw, ...result } = await sendEmail(agent.email, message);
+  const sent = await recordSent(agent, raw);
+  
+  const db = getDb();
+  db.prepare(`
+    UPDATE agents 
+    SET sends_today = ?, last_send_date = ? 
+    WHERE id = ?
+  `).run(quota.currentSends + 1, quota.today, agent.id);
+  
+  return {
+    ...result,
+    email_id: sent?.id || null,
+    thread_id: sent?.thread_id || null,
+    sends_remaining: DAILY_SEND_LIMIT - (quota.currentSends + 1)
+  };
+}
+
+module.exports = { DAILY_SEND_LIMIT, sendQuota, sendLimitError, recordSent, sendAsAgent };
@@ -0,0 +1,117 @@
+const { getDb } = require('./db');
+const { removeMessages } = require('./messages');
+
+/**
+ * Whether a mailbox still receives and sends mail.
+ * Past its expires_at a mailbox counts as inactive even before the purge job
+ * has marked it deactivated.
+ */
+function isActive(agent, now = new Date()) {
+  if (agent.deactivated_at) return false;
+  return !agent.expires_at || new Date(agent.expires_at) > now;
+}
+
+/**
+ * Public view of a mailbox's lifecycle settings
+ */
+function lifecycle(agent) {
+  return {
+    retention: {
+      days: agent.retention_days || null,
+      max_messages: agent.retention_max_messages || null
+    },
+    expires_at: agent.expires_at || null,
+    active: isActive(agent),
+    deactivated_at: agent.deactivated_at || null
+  };
+}
+
+/**
+ * Delete a mailbox's messages that fall outside its retention policy:
+ * older than retention_days, or beyond the newest retention_max_messages
+ * @returns {number} Messages removed
+ */
+function applyRetention(agent, now = new Date()) {
+  const db = getDb();
+  const ids = new Set();
+
+  if (agent.retention_days) {
+    const cutoff = new Date(now.getTime() - agent.retention_days * 24 * 60 * 60 * 1000).toISOString();
+    db.prepare('SELECT id FROM messages WHERE mailbox_id = ? AND received_at < ?')
+      .all(agent.mailbox_id, cutoff)
+      .forEach(r => ids.add(r.id));
+  }
+
+  if (agent.retention_max_messages) {
+    db.prepare(`
+      SELECT id FROM messages WHERE mailbox_id = ?
+      ORDER BY received_at DESC, id DESC
+      LIMIT -1 OFFSET ?
+    `).all(agent.mailbox_id, agent.retention_max_messages)
+      .forEach(r => ids.add(r.id));
+  }
+
+  return removeMessages([...ids]);
+}
+
+/**
+ * Delete a mailbox together with all of its messages
+ * @returns {number} Messages removed
+ */
+function teardownMailbox(agent) {
+  const db = getDb();
+  const ids = db.prepare('SELECT id FROM messages WHERE mailbox_id = ?').all(agent.mailbox_id);
+  const removed = removeMessages(ids.map(r => r.id));
+  db.prepare('DELETE FROM aliases WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM spam_tokens WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM sender_rules WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM mail_rules WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM auto_reply_log WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM retired_messages WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM forward_targets WHERE mailbox_id = ?').run(agent.mailbox_id);
+  db.prepare('DELETE FROM agents WHERE id = ?').run(agent.id);
+  return removed;
+}
+
+/**
+ * Handle mailboxes whose expires_at has passed: disposable mailboxes are torn
+ * down, permanent ones are deactivated and keep their mail
+ * @returns {object} { expired, removed } mailboxes expired and messages removed
+ */
+function expireMailboxes(now = new Date()) {
+  const db = getDb();
+  const expired = db.prepare(`
+    SELECT * FROM agents
+    WHERE deactivated_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?
+  `).all(now.toISOString());
+
+  let removed = 0;
+  for (const agent of expired) {
+    if (agent.owner_id) {
+      removed += teardownMailbox(agent);
+    } else {
+      db.prepare('UPDATE agents SET deactivated_at = ? WHERE id = ?').run(now.toISOString(), agent.id);
+    }
+  }
+  return { expired: expired.length, removed };
+}
+
+/**
+ * Scheduled lifecycle pass: expire mailboxes, then enforce every retention policy
+ * @returns {object} { expired, purged }
+ */
+function runRetention(now = new Date()) {
+  const { expired, removed } = expireMailboxes(now);
+
+  const agents = getDb().prepare(`
+    SELECT * FROM agents WHERE retention_days IS NOT NULL OR retention_max_messages IS NOT NULL
+  `).all();
+  let purged = removed;
+  for (const agent of agents) {
+    purged += applyRetention(agent, now);
+  }
+
+  return { expired, purged };
+}
+
+module.exports = { isActive, lifecycle, applyRetention, teardownMailbox, expireMailboxes, runRetention };
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const { getDb } = require('./db');
+const { getMessageAttachments, toEmail } = require('./messages');
+const { parseAddresses, buildReply, buildForward, isAutomated } = require('./compose');
+const { emailWebhookEvent } = require('./webhooks');
+const { checkUrl, safeFetch } = require('./safe-fetch');
+const { sendQuota, sendAsAgent } = require('./outbound');
+const { isActive } = require('./retention');
+const { normalizePattern, matchesPattern } = require('./senders');
+const { TRUST_VERDICTS } = require('./authentication');
+const { autoReplyConfig, recentlyAnswered, recordAnswered } = require('./autoresponder');
+const { isVerifiedTarget } = require('./forward-targets');
+
+const RULE_LIMITS = {
+  maxRules: 100,
+  maxActions: 10,
+  maxPatternLength: 200,
+  // Regex conditions are user input; one that backtracks for longer than this
+  // counts as not matching
+  regexTimeoutMs: 50,
+  maxTextLength: 100000
+};
+
+const ACTION_TYPES = ['label', 'mark_read', 'forward', 'drop', 'webhook', 'auto_reply'];
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/*
+ * A rule is { name, conditions, actions, priority, active, stop_processing }.
+ * Every condition given must hold:
+ *   from (sender pattern), to (receiving address pattern, primary or alias),
+ *   subject / body (case-insensitive regex), has_attachment, trust (verdict or list)
+ * Actions run in order:
+ *   label { label }, mark_read, drop, forward { to }, webhook { url }, auto_reply { body, subject? }
+ * Rules run by ascending priority; stop_processing skips the rules after a match.
+ */
+
+// ============= VALIDATION =============
+
+function normalizeRegex(value, field) {
+  if (typeof value !== 'string' || !value || value.length > RULE_LIMITS.maxPatternLength) {
+    throw new Error(`${field} must be a regular expression of at most ${RULE_LIMITS.maxPatternLength} characters`);
+  }
+  try {
+    new RegExp(value, 'i');
+  } catch (err) {
+    throw new Error(`${field} is not a valid regular expression`);
+  }
+  return value;
+}
+
+/**
+ * Validate rule conditions; an empty object matches all mail
+ * @throws {Error} If a condition is unknown or invalid
+ */
+function normalizeConditions(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('conditions must be an object');
+  }
+  const conditions = {};
+  for (const [field, value] of Object.entries(input)) {
+    switch (field) {
+      case 'from':
+      case 'to':
+        conditions[field] = normalizePattern(value);
+        break;
+      case 'subject':
+      case 'body':
+        conditions[field] = normalizeRegex(value, field);
+        break;
+      case 'has_attachment':
+        if (typeof value !== 'boolean') throw new Error('has_attachment must be true or false');
+        conditions.has_attachment = value;
+        break;
+      case 'trust': {
+        const verdicts = [].concat(value);
+        if (verdicts.length === 0 || !verdicts.every(v => TRUST_VERDICTS.includes(v))) {
+          throw new Error(`trust must be one or more of: ${TRUST_VERDICTS.join(', ')}`);
+        }
+        conditions.trust = verdicts;
+        break;
+      }
+      default:
+        throw new Error(`Unknown condition: ${field}`);
+    }
+  }
+  return conditions;
+}
+
+function normalizeAction(input) {
+  const type = input?.type;
+  switch (type) {
+    case 'label': {
+      const label = String(input.label || '').toLowerCase();
+      if (!LABEL_PATTERN.test(label)) throw new Error('label must be 1-32 letters, digits, "-" or "_"');
+      return { type, label };
+    }
+    case 'mark_read':
+    case 'drop':
+      return { type };
+    case 'forward':
+      if (!ADDRESS_PATTERN.test(String(input.to || ''))) throw new Error('forward needs a valid "to" address');
+      return { type, to: input.to };
+    case 'webhook': {
+      let url;
+      try {
+        url = new URL(input.url);
+      } catch (err) {
+        throw new Error('webhook needs a valid "url"');
+      }
+      try {
+        checkUrl(url);
+      } catch (err) {
+        throw new Error(`webhook url is not allowed: ${err.message}`);
+      }
+      return { type, url: url.href };
+    }
+    case 'auto_reply':
+      if (typeof input.body !== 'string' || !input.body.trim() || input.body.length > 10000) {
+        throw new Error('auto_reply needs a "body" of at most 10000 characters');
+      }
+      if (input.subject !== undefined && (typeof input.subject !== 'string' || input.subject.length > 200)) {
+        throw new Error('auto_reply subject must be a string of at most 200 characters');
+      }
+      return { type, body: input.body, ...(input.subject && { subject: input.subject }) };
+    default:
+      throw new Error(`action type must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+}
+
+function normalizeActions(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > RULE_LIMITS.maxActions) {
+    throw new Error(`actions must be a list of 1-${RULE_LIMITS.maxActions} actions`);
+  }
+  return input.map(normalizeAction);
+}
+
+/**
+ * Check that a mailbox's rule only forwards to its verified forward targets
+ * @throws {Error} Naming the first unverified target
+ */
+function checkForwardTargets(mailboxId, actions) {
+  const unverified = actions.find(action => action.type === 'forward' && !isVerifiedTarget(mailboxId, action.to));
+  if (unverified) {
+    throw new Error(`forward target ${unverified.to} is not verified; add it under /api/mailbox/forward-targets first`);
+  }
+}
+
+/**
+ * Validate a rule, filling fields not given from an existing rule (for updates)
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeRule(input = {}, existing = null) {
+  const rule = {
+    name: input.name !== undefined ? String(input.name).trim().slice(0, 100) : existing?.name,
+    conditions: input.conditions !== undefined ? normalizeConditions(input.conditions) : existing?.conditions,
+    actions: input.actions !== undefined ? normalizeActions(input.actions) : existing?.actions,
+    priority: input.priority !== undefined ? input.priority : (existing?.priority ?? 100),
+    active: input.active !== undefined ? input.active : (existing?.active ?? true),
+    stop_processing: input.stop_processing !== undefined ? input.stop_processing : (existing?.stop_processing ?? false)
+  };
+  if (!rule.name) throw new Error('name is required');
+  if (!rule.conditions) throw new Error('conditions are required');
+  if (!rule.actions) throw new Error('actions are required');
+  if (!Number.isInteger(rule.priority) || rule.priority < 0 || rule.priority > 10000) {
+    throw new Error('priority must be an integer from 0 to 10000');
+  }
+  if (typeof rule.active !== 'boolean' || typeof rule.stop_processing !== 'boolean') {
+    throw new Error('active and stop_processing must be true or false');
+  }
+  return rule;
+}
+
+// ============= STORAGE =============
+
+function parseRule(row) {
+  return {
+    ...row,
+    conditions: JSON.parse(row.conditions),
+    actions: JSON.parse(row.actions),
+    active: !!row.active,
+    stop_processing: !!row.stop_processing
+  };
+}
+
+/**
+ * A mailbox's rules in evaluation order
+ */
+function listMailRules(mailboxId) {
+  return getDb().prepare('SELECT * FROM mail_rules WHERE mailbox_id = ? ORDER BY priority, created_at')
+    .all(mailboxId).map(parseRule);
+}
+
+function getMailRule(mailboxId, id) {
+  const row = getDb().prepare('SELECT * FROM mail_rules WHERE id = ? AND mailbox_id = ?').get(id, mailboxId);
+  return row ? parseRule(row) : null;
+}
+
+function createMailRule(agent, rule) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    INSERT INTO mail_rules (id, mailbox_id, name, conditions, actions, priority, active, stop_processing, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, agent.mailbox_id, rule.name, JSON.stringify(rule.conditions), JSON.stringify(rule.actions),
+    rule.priority, rule.active ? 1 : 0, rule.stop_processing ? 1 : 0, now, now);
+  return getMailRule(agent.mailbox_id, id);
+}
+
+function updateMailRule(existing, rule) {
+  getDb().prepare(`
+    UPDATE mail_rules SET name = ?, conditions = ?, actions = ?, priority = ?, active = ?, stop_processing = ?,
+      updated_at = ?
+    WHERE id = ?
+  `).run(rule.name, JSON.stringify(rule.conditions), JSON.stringify(rule.actions), rule.priority,
+    rule.active ? 1 : 0, rule.stop_processing ? 1 : 0, new Date().toISOString(), existing.id);
+  return getMailRule(existing.mailbox_id, existing.id);
+}
+
+function deleteMailRule(rule) {
+  getDb().prepare('DELETE FROM mail_rules WHERE id = ?').run(rule.id);
+}
+
+function recordMatches(rules) {
+  const now = new Date().toISOString();
+  for (const rule of rules) {
+    getDb().prepare('UPDATE mail_rules SET matches = COALESCE(matches, 0) + 1, last_matched_at = ? WHERE id = ?')
+      .run(now, rule.id);
+  }
+}
+
+function toMailRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    conditions: rule.conditions,
+    actions: rule.actions,
+    priority: rule.priority,
+    active: rule.active,
+    stop_processing: rule.stop_processing,
+    matches: rule.matches || 0,
+    last_matched_at: rule.last_matched_at || null,
+    created_at: rule.created_at,
+    updated_at: rule.updated_at
+  };
+}
+
+// ============= EVALUATION =============
+
+const regexContext = vm.createContext({});
+
+function testRegex(source, text) {
+  regexContext.source = source;
+  regexContext.text = String(text || '').slice(0, RULE_LIMITS.maxTextLength);
+  try {
+    return vm.runInContext('new RegExp(source, "i").test(text)', regexContext, { timeout: RULE_LIMITS.regexTimeoutMs });
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * What rule conditions see of an inbound message being ingested
+ */
+function viewFromParsed(parsed, { deliveredTo, authentication }) {
+  return {
+    from: parsed.from?.value?.[0]?.address?.toLowerCase() || '',
+    to: (deliveredTo || '').toLowerCase(),
+    subject: parsed.subject || '',
+    body: parsed.text || parsed.html || '',
+    has_attachment: (parsed.attachments || []).length > 0,
+    trust: authentication?.verdict || null
+  };
+}
+
+/**
+ * What rule conditions see of a stored message (attachments loaded)
+ */
+function viewFromRow(row) {
+  return {
+    from: parseAddresses(row.from_addr)[0] || '',
+    to: (row.delivered_to || '').toLowerCase(),
+    subject: row.subject || '',
+    body: row.body || '',
+    has_attachment: (row.attachments || []).length > 0,
+    trust: row.trust || null
+  };
+}
+
+function matchesConditions(conditions, view) {
+  if (conditions.from && !matchesPattern(conditions.from, view.from)) return false;
+  if (conditions.to && !matchesPattern(conditions.to, view.to)) return false;
+  if (conditions.has_attachment !== undefined && conditions.has_attachment !== view.has_attachment) return false;
+  if (conditions.trust && !conditions.trust.includes(view.trust)) return false;
+  if (conditions.subject && !testRegex(conditions.subject, view.subject)) return false;
+  if (conditions.body && !testRegex(conditions.body, view.body)) return false;
+  return true;
+}
+
+/**
+ * Run rules, in order, over a message
+ * @param {Array} rules - Rules in evaluation order
+ * @param {object} view - viewFromParsed() / viewFromRow()
+ * @returns {object} { matched: [rule], labels, seen, drop, followUps: [action] } where
+ *   followUps are the actions that run after the message is stored
+ */
+function evaluateRules(rules, view) {
+  const outcome = { matched: [], labels: [], seen: false, drop: false, followUps: [] };
+  for (const rule of rules) {
+    if (!rule.active || !matchesConditions(rule.conditions, view)) continue;
+    outcome.matched.push(rule);
+    for (const action of rule.actions) {
+      if (action.type === 'label') {
+        if (!outcome.labels.includes(action.label)) outcome.labels.push(action.label);
+      } else if (action.type === 'mark_read') {
+        outcome.seen = true;
+      } else if (action.type === 'drop') {
+        outcome.drop = true;
+      } else {
+        outcome.followUps.push(action);
+      }
+    }
+    if (rule.stop_processing) break;
+  }
+  return outcome;
+}
+
+// ============= FOLLOW-UP ACTIONS =============
+
+async function runAction(agent, row, action) {
+  // The mailbox may have expired or been deactivated since the mail was stored
+  const current = getDb().prepare('SELECT * FROM agents WHERE id = ?').get(agent.id);
+  if (!current || !isActive(current)) return;
+
+  if (action.type === 'webhook') {
+    // Like the mailbox webhook, spam and quarantined mail is not announced.
+    // The URL is the mailbox owner's, so it goes through the SSRF-safe client.
+    if (['spam', 'quarantine'].includes(row.folder)) return;
+    const res = await safeFetch(action.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(emailWebhookEvent(current, toEmail(row)))
+    });
+    if (res.status >= 400) throw new Error(`webhook returned HTTP ${res.status}`);
+    return;
+  }
+
+  // Forwards and auto-replies send mail as the agent: never for junk, spoofed
+  // or machine-sent mail, never from disposable mailboxes, and within the daily quota
+  if (row.folder !== 'inbox' || row.trust === 'suspicious' || isAutomated(row) || agent.owner_id) return;
+  const quota = sendQuota(current);
+  if (quota.exhausted) {
+    console.log(`Rule ${action.type} skipped for ${agent.moltbook_name}: daily send limit reached`);
+    return;
+  }
+
+  let message;
+  if (action.type === 'forward') {
+    // The target may have been removed since the rule was saved
+    if (!isVerifiedTarget(agent.mailbox_id, action.to)) return;
+    const attachments = getMessageAttachments(agent.mailbox_id, row.id).filter(att => att.content);
+    message = buildForward(row, attachments, { to: action.to });
+    message.headers = { 'Auto-Submitted': 'auto-forwarded' };
+  } else {
+    message = buildReply(row, { body: action.body, self: [agent.email, row.delivered_to].filter(Boolean) });
+    if (message.to.length === 0) return;
+    // Rule replies share the auto-responder's per-sender cooldown, so a sender is answered once either way
+    const sender = message.to[0];
+    if (recentlyAnswered(agent.mailbox_id, sender, autoReplyConfig(current).cooldown_hours)) return;
+    if (action.subject) message.subject = action.subject;
+    message.headers = { 'Auto-Submitted': 'auto-replied' };
+  }
+  await sendAsAgent(current, message, quota);
+  if (action.type === 'auto_reply') recordAnswered(agent.mailbox_id, message.to[0]);
+}
+
+/**
+ * Run the follow-up actions (forward, webhook, auto_reply) of newly stored messages
+ * @param {Array} stored - [{ agent, row, followUps }] from ingestMessage()
+ */
+async function runRuleActions(stored) {
+  for (const { agent, row, followUps = [] } of stored) {
+    for (const action of followUps) {
+      try {
+        await runAction(agent, row, action);
+      } catch (err) {
+        console.error(`Rule ${action.type} failed for ${agent.moltbook_name}:`, err.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RULE_LIMITS,
+  ACTION_TYPES,
+  normalizeRule,
+  checkForwardTargets,
+  listMailRules,
+  getMailRule,
+  createMailRule,
+  updateMailRule,
+  deleteMailRule,
+  recordMatches,
+  toMailRule,
+  viewFromParsed,
+  viewFromRow,
+  evaluateRules,
+  isAutomated,
+  runRuleActions
+};
@@ -0,0 +1,171 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { lookupAddresses } = require('./dns');
+
+// Outbound requests to URLs from untrusted input (links in mail, rule webhooks);
+// every hop must resolve to public addresses only
+const FETCH_CONFIG = {
+  timeoutMs: parseInt(process.env.SAFE_FETCH_TIMEOUT_MS) || 10000,
+  maxRedirects: parseInt(process.env.SAFE_FETCH_MAX_REDIRECTS) || 5,
+  maxBytes: 512 * 1024,
+  ports: (process.env.SAFE_FETCH_PORTS || '80,443').split(',').map(p => parseInt(p)),
+  // CIDRs reachable despite being non-public (e.g. a staging host), comma-separated
+  allowNetworks: (process.env.SAFE_FETCH_ALLOW_NETWORKS || '').split(',').map(n => n.trim()).filter(Boolean),
+  userAgent: 'AgentMail-LinkCheck/1.0'
+};
+
+// Loopback, private, link-local, shared, documentation, multicast and reserved ranges
+const BLOCKED_NETWORKS = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+];
+
+const blocked = new net.BlockList();
+for (const [network, prefix] of BLOCKED_NETWORKS) {
+  blocked.addSubnet(network, prefix, net.isIPv6(network) ? 'ipv6' : 'ipv4');
+}
+
+function fetchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, ::ffff:7f00:1) are judged as the IPv4 address they carry
+function unmapIPv4(ip) {
+  const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+  const hex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return ip;
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Whether an address may be connected to: public, or inside a configured allowed network
+ */
+function isAllowedAddress(ip, config = FETCH_CONFIG) {
+  const address = unmapIPv4(ip);
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  if (!net.isIP(address)) return false;
+
+  const allowed = new net.BlockList();
+  for (const network of config.allowNetworks) {
+    const [base, prefix] = network.split('/');
+    const family = net.isIPv6(base) ? 'ipv6' : 'ipv4';
+    allowed.addSubnet(base, parseInt(prefix ?? (family === 'ipv6' ? 128 : 32)), family);
+  }
+  return allowed.check(address, type) || !blocked.check(address, type);
+}
+
+/**
+ * Check what can be told about a URL without resolving it: scheme, credentials,
+ * port, and the address when the host is an IP literal
+ * @param {URL} url - Parsed URL
+ * @throws {Error} code 'blocked' if the URL may not be requested
+ */
+function checkUrl(url, config = FETCH_CONFIG) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw fetchError('blocked', `${url.protocol} URLs are not fetched`);
+  if (url.username || url.password) throw fetchError('blocked', 'URLs with credentials are not fetched');
+  const port = parseInt(url.port) || (url.protocol === 'https:' ? 443 : 80);
+  if (!config.ports.includes(port)) throw fetchError('blocked', `port ${port} is not allowed`);
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isAllowedAddress(host, config)) throw fetchError('blocked', `${host} is not a public address`);
+  if (host === 'localhost' || host.endsWith('.localhost')) throw fetchError('blocked', `${host} is not a public host`);
+}
+
+/**
+ * Resolve a URL's host and check every address it resolves to
+ * @returns {Promise<Object>} { address, family } to connect to
+ * @throws {Error} code 'blocked' for disallowed targets, 'unresolved' for unknown hosts
+ */
+async function vetTarget(url, config, resolver) {
+  checkUrl(url, config);
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    const settled = await Promise.allSettled([lookupAddresses(host, 4, resolver), lookupAddresses(host, 6, resolver)]);
+    addresses = settled.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+  }
+  if (addresses.length === 0) throw fetchError('unresolved', `${host} does not resolve`);
+  // One private address is enough to refuse: the connection must not be able to pick it
+  if (!addresses.every(address => isAllowedAddress(address, config))) {
+    throw fetchError('blocked', `${host} resolves to a non-public address`);
+  }
+  return { address: addresses[0], family: net.isIPv6(addresses[0]) ? 6 : 4 };
+}
+
+// One request to a vetted address; the connection is pinned to it so DNS cannot change in between
+function request(url, target, config, deadline, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method,
+      headers: { 'User-Agent': config.userAgent, Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5', ...headers },
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [target])
+        : callback(null, target.address, target.family))
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        // Enough to read a title; the rest of a large page is not needed
+        if (size >= config.maxBytes) res.destroy();
+      });
+      // 'close' follows both a complete body and one cut short at maxBytes, and fires once
+      res.on('close', () => {
+        clearTimeout(timer);
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).subarray(0, config.maxBytes).toString('utf8')
+        });
+      });
+    });
+    const timer = setTimeout(() => req.destroy(fetchError('timeout', 'request timed out')), Math.max(deadline - Date.now(), 1));
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Request a URL from untrusted input (e.g. a link in an email). Only http(s) on
+ * the configured ports is fetched, each redirect is checked again, and no hop
+ * may reach a loopback, private or otherwise non-public address. Only GETs
+ * follow redirects.
+ * @param {string} url - URL to fetch
+ * @param {object} options - { method (default GET), headers, body, config (FETCH_CONFIG overrides),
+ *   resolver (see ./dns) }
+ * @returns {Promise<Object>} { status, url (final), redirects: [url], headers, body (truncated to maxBytes) }
+ * @throws {Error} With code 'blocked', 'unresolved', 'timeout', 'redirects' or a network error code
+ */
+async function safeFetch(url, { method = 'GET', headers = {}, body, config = FETCH_CONFIG, resolver } = {}) {
+  const deadline = Date.now() + config.timeoutMs;
+  const redirects = [];
+  let current = new URL(url);
+
+  for (;;) {
+    const target = await vetTarget(current, config, resolver);
+    const res = await request(current, target, config, deadline, { method, headers, body });
+    if (method === 'GET' && res.status >= 300 && res.status < 400 && res.headers.location) {
+      if (redirects.length >= config.maxRedirects) throw fetchError('redirects', 'too many redirects');
+      redirects.push(current.href);
+      current = new URL(res.headers.location, current);
+      continue;
+    }
+    return { status: res.status, url: current.href, redirects, headers: res.headers, body: res.body };
+  }
+}
+
+module.exports = { FETCH_CONFIG, isAllowedAddress, checkUrl, safeFetch };
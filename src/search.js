@@ -0,0 +1,112 @@
+const { getDb } = require('./db');
+const { loadAttachments } = require('./messages');
+
+// Qualifier -> full-text index column
+const FIELD_COLUMNS = {
+  from: 'from_addr',
+  to: 'to_addr',
+  subject: 'subject'
+};
+
+/**
+ * Split text into index tokens (the FTS simple tokenizer splits on non-alphanumerics).
+ * A trailing * is kept for prefix matching; lowercasing keeps OR/NOT/NEAR from
+ * being read as operators.
+ */
+function tokenize(text) {
+  return (text.match(/[\p{L}\p{N}_]+\*?/gu) || []).map(token => token.toLowerCase());
+}
+
+/**
+ * Parse a date qualifier value (YYYY-MM-DD or any Date.parse-able string)
+ */
+function parseDate(name, value) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse a search string into a full-text MATCH expression and filters.
+ * Free text and "quoted phrases" match any field; supported qualifiers are
+ * from:, to:, subject:, has:attachment, before: and after:.
+ * @param {string} q - Search string, e.g. 'invoice from:acme after:2024-01-01'
+ * @returns {object} { match, hasAttachment, before, after }
+ */
+function parseQuery(q) {
+  const terms = [];
+  const query = { match: null, hasAttachment: false, before: null, after: null };
+  const pattern = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+  
+  for (const [, name, rawValue, phrase, word] of q.matchAll(pattern)) {
+    if (phrase !== undefined) {
+      const tokens = tokenize(phrase);
+      if (tokens.length) terms.push(`"${tokens.join(' ')}"`);
+      continue;
+    }
+    if (word !== undefined) {
+      terms.push(...tokenize(word));
+      continue;
+    }
+    
+    const field = name.toLowerCase();
+    const value = rawValue.replace(/^"|"$/g, '');
+    
+    if (FIELD_COLUMNS[field]) {
+      terms.push(...tokenize(value).map(token => `${FIELD_COLUMNS[field]}:${token}`));
+    } else if (field === 'has') {
+      if (value.toLowerCase() !== 'attachment') {
+        throw new Error(`Unsupported qualifier: has:${value}`);
+      }
+      query.hasAttachment = true;
+    } else if (field === 'before') {
+      query.before = parseDate('before', value);
+    } else if (field === 'after') {
+      query.after = parseDate('after', value);
+    } else {
+      // Not a qualifier we know (e.g. "re:"), search it as text
+      terms.push(...tokenize(`${name} ${value}`));
+    }
+  }
+  
+  query.match = terms.length ? terms.join(' ') : null;
+  return query;
+}
+
+/**
+ * Search a mailbox's stored messages (trash excluded), most recent first
+ * @param {string} mailboxId - Mailbox to search
+ * @param {object} query - Result of parseQuery()
+ * @param {object} options - { limit }
+ */
+function searchMessages(mailboxId, query, { limit = 20 } = {}) {
+  const db = getDb();
+  const where = ['m.mailbox_id = ?', 'm.deleted_at IS NULL'];
+  const params = [mailboxId];
+  
+  if (query.match) {
+    where.push('m.rowid IN (SELECT docid FROM messages_fts WHERE messages_fts MATCH ?)');
+    params.push(query.match);
+  }
+  if (query.hasAttachment) {
+    where.push('EXISTS (SELECT 1 FROM attachments a WHERE a.message_id = m.id)');
+  }
+  if (query.before) {
+    where.push('m.received_at < ?');
+    params.push(query.before);
+  }
+  if (query.after) {
+    where.push('m.received_at >= ?');
+    params.push(query.after);
+  }
+  
+  const rows = db.prepare(`
+    SELECT m.* FROM messages m WHERE ${where.join(' AND ')}
+    ORDER BY m.received_at DESC LIMIT ?
+  `).all(...params, limit);
+  return loadAttachments(rows);
+}
+
+module.exports = { parseQuery, searchMessages };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const SENDER_LISTS = ['allow', 'block'];
+const BLOCK_ACTIONS = ['quarantine', 'drop'];
+const MAX_SENDER_RULES = 500;
+
+// local@domain, where either side may use * as a wildcard
+const PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9*][a-z0-9.*-]*$/;
+
+/**
+ * Normalize a sender pattern. A bare domain stands for every address on it:
+ * "example.com" becomes "*@example.com", "*.example.com" covers its subdomains.
+ * @throws {Error} If the pattern is invalid
+ */
+function normalizePattern(pattern) {
+  let value = String(pattern || '').trim().toLowerCase();
+  if (!value.includes('@')) value = `*@${value}`;
+  if (!PATTERN.test(value) || !/[a-z0-9]/.test(value.split('@')[1])) {
+    throw new Error('pattern must be an address or domain, optionally with * wildcards');
+  }
+  return value;
+}
+
+/**
+ * Whether an address matches a (normalized) pattern
+ */
+function matchesPattern(pattern, address) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(String(address || '').toLowerCase());
+}
+
+/**
+ * The rule deciding for an address: the most specific matching pattern
+ * (most non-wildcard characters), with block winning a tie
+ * @param {Array} rules - [{ list, pattern }]
+ * @returns {object|null} The deciding rule, or null if none match
+ */
+function pickRule(rules, address) {
+  let best = null;
+  let bestWeight = -1;
+  for (const rule of rules) {
+    if (!matchesPattern(rule.pattern, address)) continue;
+    const weight = rule.pattern.replace(/\*/g, '').length;
+    if (weight > bestWeight || (weight === bestWeight && rule.list === 'block')) {
+      best = rule;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+function listSenders(mailboxId) {
+  return getDb().prepare('SELECT * FROM sender_rules WHERE mailbox_id = ? ORDER BY created_at').all(mailboxId);
+}
+
+function getSender(mailboxId, id) {
+  return getDb().prepare('SELECT * FROM sender_rules WHERE id = ? AND mailbox_id = ?').get(id, mailboxId);
+}
+
+/**
+ * Add a pattern to a mailbox's allow or block list
+ * @returns {object} The new rule row
+ */
+function addSender(agent, list, pattern) {
+  const row = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mailbox_id: agent.mailbox_id,
+    list,
+    pattern,
+    created_at: new Date().toISOString()
+  };
+  getDb().prepare(`
+    INSERT INTO sender_rules (id, mailbox_id, list, pattern, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(row.id, row.mailbox_id, row.list, row.pattern, row.created_at);
+  return row;
+}
+
+function deleteSender(rule) {
+  getDb().prepare('DELETE FROM sender_rules WHERE id = ?').run(rule.id);
+}
+
+/**
+ * Decide what happens to mail from a sender.
+ * An allowlist entry is honoured only for mail whose sender authenticated
+ * (verdict 'trusted'); anything else is treated as if no entry matched, so a
+ * spoofed From cannot ride on it.
+ * @param {object} agent - Receiving mailbox
+ * @param {string} address - Sender (From) address
+ * @param {object} authentication - Sender authentication results (see ./authentication)
+ * @returns {object} { action: 'deliver' | 'quarantine' | 'drop', allowed, reason }
+ */
+function screenSender(agent, address, authentication = null) {
+  const rule = pickRule(listSenders(agent.mailbox_id), address);
+  const allowed = rule?.list === 'allow' && authentication?.verdict === 'trusted';
+
+  let reason = null;
+  if (rule?.list === 'block') reason = `blocked by ${rule.pattern}`;
+  else if (agent.allowlist_only && !allowed) reason = 'sender not on allowlist';
+
+  const action = reason ? (agent.sender_block_action || 'quarantine') : 'deliver';
+  return { action, allowed, reason };
+}
+
+function toSender(row) {
+  return { id: row.id, list: row.list, pattern: row.pattern, created_at: row.created_at };
+}
+
+module.exports = {
+  SENDER_LISTS,
+  BLOCK_ACTIONS,
+  MAX_SENDER_RULES,
+  normalizePattern,
+  matchesPattern,
+  pickRule,
+  listSenders,
+  getSender,
+  addSender,
+  deleteSender,
+  screenSender,
+  toSender
+};
@@ -1,11 +1,52 @@
 const express = require('express');
 const { initDb, getDb, saveDb } = require('./db');
 const { verifyMoltbookKey } = require('./auth');
-const { fetchEmails } = require('./imap');
-const { sendEmail, verifySmtp } = require('./smtp');
+const {
+  FOLDERS, attachmentLimit, listMessages, listPage, listThreadMessages, getMessage, messageHeaders, getAttachment,
+  getMessageAttachments, messageSource, toEmail,
+  updateFlags, moveMessage, trashMessage, restoreMessage, removeMessages, purgeTrash, purgeAt
+} = require('./messages');
+const { parseQuery, searchMessages } = require('./search');
+const { listThreads, getThreadSummary, backfillThreads } = require('./threads');
+const { buildReply, buildForward } = require('./compose');
+const { startIngester } = require('./ingest');
+const { sendQuota, sendLimitError, sendAsAgent } = require('./outbound');
+const { RECEIVER_CONFIG, startSmtpReceiver } = require('./smtp-receiver');
+const { isActive, lifecycle, teardownMailbox, expireMailboxes, runRetention } = require('./retention');
+const {
+  normalizeDomain, normalizeLocalPart, isClaimable, registerDomain, getDomain, listDomains, deleteDomain,
+  domainMailboxes, checkDomain, recordCheck, toDomain, SERVICE_DOMAIN
+} = require('./domains');
+const {
+  activeKey, rotateKey, publishedKeys, activateIfPublished, txtRecord, runRotation
+} = require('./dkim');
+const {
+  MAX_ALIASES, aliasToken, tokenTaken, createAlias, getAlias, listAliases, setAliasActive, deleteAlias, toAlias
+} = require('./aliases');
+const { verifySmtp } = require('./smtp');
+const { EMAIL_TEMPLATES, extractTemplateVars, fillTemplate } = require('./templates');
+const { TRUST_VERDICTS } = require('./authentication');
+const { SPAM_CONFIG, listRules, classifierActive, train, spamThreshold } = require('./spam');
+const {
+  SENDER_LISTS, BLOCK_ACTIONS, MAX_SENDER_RULES, normalizePattern, listSenders, getSender, addSender, deleteSender,
+  toSender
+} = require('./senders');
+const {
+  RULE_LIMITS, normalizeRule, checkForwardTargets, listMailRules, getMailRule, createMailRule, updateMailRule,
+  deleteMailRule, toMailRule, viewFromRow, evaluateRules
+} = require('./rules');
+const {
+  MAX_FORWARD_TARGETS, normalizeTargetAddress, listForwardTargets, getForwardTarget, addForwardTarget,
+  verificationMessage, confirmForwardTarget, deleteForwardTarget, toForwardTarget
+} = require('./forward-targets');
+const { normalizeAutoReply, autoReplyConfig, setAutoReply, isResponding } = require('./autoresponder');
+const { WAIT_LIMITS, matchesWait, pendingWaits, waitForMessage } = require('./waiters');
+const { extractVerification } = require('./codes');
+const {
+  pickLink, followLink, recordConfirmation, confirmSenders, setConfirmSenders
+} = require('./confirm-links');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
-const axios = require('axios');
 const agentCrypto = require('./crypto');
 
 const path = require('path');
@@ -25,6 +66,27 @@ function generateApiKey() {
   return 'am_' + crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * Insert a new mailbox with a fresh address and API key
+ * @param {object} fields - Additional agents columns (moltbook_id, moltbook_name, paid, ...);
+ *   email overrides the default kai+<mailbox_id>@kdn.agency address
+ * @param {string} mailboxId - Mailbox id to use; generated when omitted
+ * @returns {object} { mailboxId, email, apiKey }
+ */
+function createMailbox(fields, mailboxId = uuidv4().slice(0, 8)) {
+  const email = `kai+${mailboxId}@kdn.agency`;
+  const apiKey = generateApiKey();
+  const row = { id: uuidv4(), mailbox_id: mailboxId, email, api_key: apiKey, ...fields };
+  const columns = Object.keys(row);
+  
+  getDb().prepare(`
+    INSERT INTO agents (${columns.join(', ')}, created_at)
+    VALUES (${columns.map(() => '?').join(', ')}, datetime('now'))
+  `).run(...columns.map(c => row[c]));
+  
+  return { mailboxId, email: row.email, apiKey };
+}
+
 // Auth middleware
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -44,6 +106,30 @@ async function authMiddleware(req, res, next) {
   next();
 }
 
+// Expired mailboxes stay readable but can no longer send or change settings
+function requireActive(req, res, next) {
+  if (!isActive(req.agent)) {
+    return res.status(403).json({ error: 'Mailbox has expired', expires_at: req.agent.expires_at });
+  }
+  next();
+}
+
+// Disposable mailboxes only receive: no sending, settings changes or nested mailboxes
+function requirePermanent(req, res, next) {
+  if (req.agent.owner_id) {
+    return res.status(403).json({ error: 'Not available for disposable mailboxes' });
+  }
+  next();
+}
+
+// Custom domains are a premium feature
+function requirePremium(req, res, next) {
+  if (!req.agent.premium) {
+    return res.status(402).json({ error: 'Custom domains require a premium mailbox (mailbox_premium)' });
+  }
+  next();
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'agent-mail' });
@@ -59,107 +145,1469 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// API Stats - public endpoint for hackathon demo
-const START_TIME = Date.now();
-app.get('/api/stats', (req, res) => {
+// API Stats - public endpoint for hackathon demo
+const START_TIME = Date.now();
+app.get('/api/stats', (req, res) => {
+  try {
+    const db = getDb();
+    
+    // Count agents
+    const agentCount = db.prepare('SELECT COUNT(*) as count FROM agents WHERE owner_id IS NULL').get();
+    const paidAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE paid = 1').get();
+    const webhookAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE webhook_url IS NOT NULL').get();
+    const encryptedAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE encryption_enabled = 1').get();
+    
+    // Email stats
+    const totalSends = db.prepare('SELECT SUM(sends_today) as total FROM agents WHERE last_send_date = ?')
+      .get(new Date().toISOString().slice(0, 10));
+    
+    // Payment stats  
+    const payments = db.prepare('SELECT COUNT(*) as total, SUM(CASE WHEN status = "confirmed" THEN 1 ELSE 0 END) as confirmed FROM payments').get();
+    
+    // Recent activity
+    const recentAgents = db.prepare('SELECT moltbook_name, created_at FROM agents WHERE owner_id IS NULL ORDER BY created_at DESC LIMIT 5').all();
+    
+    const uptimeSeconds = Math.floor((Date.now() - START_TIME) / 1000);
+    const uptimeHours = (uptimeSeconds / 3600).toFixed(1);
+    
+    res.json({
+      service: 'Agent Mail',
+      version: '0.8.0',
+      status: 'operational',
+      uptime_hours: parseFloat(uptimeHours),
+      stats: {
+        total_agents: agentCount?.count || 0,
+        paid_agents: paidAgents?.count || 0,
+        webhook_enabled: webhookAgents?.count || 0,
+        emails_sent_today: totalSends?.total || 0,
+        payments: {
+          total: payments?.total || 0,
+          confirmed: payments?.confirmed || 0
+        }
+      },
+      recent_agents: recentAgents.map(a => ({
+        name: a.moltbook_name,
+        joined: a.created_at
+      })),
+      features: [
+        'Email receiving with code extraction',
+        'Outbound email sending (10/day)',
+        'Webhook notifications',
+        'Email templates',
+        'Solana Pay integration',
+        'End-to-end encryption (v0.8)'
+      ],
+      links: {
+        api: 'https://agent-mail.xyz',
+        docs: 'https://github.com/kai-agent-free/agent-mail',
+        hackathon: 'https://colosseum.com/agent-hackathon'
+      }
+    });
+  } catch (err) {
+    console.error('Stats error:', err);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// Create mailbox
+app.post('/api/mailbox/create', async (req, res) => {
+  try {
+    const { moltbook_key } = req.body;
+    
+    if (!moltbook_key) {
+      return res.status(400).json({ error: 'moltbook_key is required' });
+    }
+    
+    // Verify Moltbook key
+    const moltbookAgent = await verifyMoltbookKey(moltbook_key);
+    if (!moltbookAgent) {
+      return res.status(401).json({ error: 'Invalid Moltbook API key' });
+    }
+    
+    const db = getDb();
+    
+    // Check if agent already has mailbox
+    const existing = db.prepare('SELECT * FROM agents WHERE moltbook_id = ?').get(moltbookAgent.id);
+    if (existing) {
+      return res.json({
+        email: existing.email,
+        mailbox_id: existing.mailbox_id,
+        api_key: existing.api_key,
+        message: 'Mailbox already exists'
+      });
+    }
+    
+    // Create new mailbox
+    const { mailboxId, email, apiKey } = createMailbox({
+      moltbook_id: moltbookAgent.id,
+      moltbook_name: moltbookAgent.name
+    });
+    
+    res.json({
+      email,
+      mailbox_id: mailboxId,
+      api_key: apiKey,
+      message: 'Mailbox created successfully'
+    });
+  } catch (err) {
+    console.error('Create mailbox error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse an optional "true"/"false" query flag
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+// Fields read out of the body (codes, links and the text around them). Encrypted
+// mailboxes get them in plaintext (they're in the subject too) unless they opt in
+// to sealing them with seal_verification.
+const VERIFICATION_FIELDS = ['codes', 'candidates', 'link_confirmation'];
+
+function sealsVerification(agent) {
+  return !!(agent.encryption_enabled && agent.public_key && agent.seal_verification);
+}
+
+// Seal verification fields as one JSON document for the agent's key
+function encryptVerification(fields, agent) {
+  const sealed = agentCrypto.encryptForAgent(JSON.stringify(fields), agent.public_key);
+  return { content: sealed.encrypted, nonce: sealed.nonce, serverPublicKey: sealed.serverPublicKey };
+}
+
+// v0.8: Replace an email's body with ciphertext for the agent's key (html is dropped).
+// With seal_verification, verification fields move into `verification`, sealed the same way.
+function encryptEmail(email, agent) {
+  const { body, html, ...rest } = email;
+  const derived = {};
+  if (sealsVerification(agent)) {
+    for (const field of VERIFICATION_FIELDS.filter(field => field in rest)) {
+      derived[field] = rest[field];
+      delete rest[field];
+    }
+  }
+  try {
+    const encryptedBody = agentCrypto.encryptForAgent(body, agent.public_key);
+    return {
+      ...rest,
+      // Encrypted content
+      encrypted: true,
+      body: encryptedBody.encrypted,
+      nonce: encryptedBody.nonce,
+      serverPublicKey: encryptedBody.serverPublicKey,
+      ...(Object.keys(derived).length > 0 && { verification: encryptVerification(derived, agent) })
+    };
+  } catch (encErr) {
+    console.error('Email encryption error:', encErr);
+    return { ...email, encrypted: false, encryption_error: encErr.message };
+  }
+}
+
+// Get emails
+app.get('/api/mailbox/emails', authMiddleware, async (req, res) => {
+  try {
+    const { agent } = req;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const codesOnly = req.query.codes === 'true';
+    const folder = req.query.folder || 'inbox';
+    
+    if (![...FOLDERS, 'trash', 'all'].includes(folder)) {
+      return res.status(400).json({
+        error: 'Unknown folder',
+        available: [...FOLDERS, 'trash', 'all']
+      });
+    }
+    
+    if (req.query.trust && !TRUST_VERDICTS.includes(req.query.trust)) {
+      return res.status(400).json({ error: 'Unknown trust verdict', available: TRUST_VERDICTS });
+    }
+    
+    const range = {};
+    for (const bound of ['since', 'until']) {
+      if (!req.query[bound]) continue;
+      const time = Date.parse(req.query[bound]);
+      if (isNaN(time)) {
+        return res.status(400).json({ error: `Invalid ${bound} time` });
+      }
+      range[bound] = new Date(time).toISOString();
+    }
+    
+    let page;
+    try {
+      page = listPage(agent.mailbox_id, {
+        limit,
+        folder,
+        unread: parseBoolean(req.query.unread),
+        flagged: parseBoolean(req.query.flagged),
+        deliveredTo: req.query.delivered_to,
+        trust: req.query.trust,
+        label: req.query.label?.toLowerCase(),
+        cursor: req.query.cursor,
+        ...range
+      });
+    } catch (cursorErr) {
+      return res.status(400).json({ error: cursorErr.message });
+    }
+    const emails = page.rows.map(toEmail);
+    const cursors = { next_cursor: page.next_cursor, prev_cursor: page.prev_cursor };
+    
+    // Add extracted codes and ranked candidates to each email
+    const enrichedEmails = emails.map(email => ({ ...email, ...extractVerification(email) }));
+    
+    if (codesOnly) {
+      // Return only codes from latest email
+      const latest = enrichedEmails[0];
+      if (sealsVerification(agent)) {
+        return res.json({
+          verification: encryptVerification({ codes: latest?.codes || [], candidates: latest?.candidates || [] }, agent),
+          email_id: latest?.id || null,
+          encrypted: true,
+          algorithm: 'x25519-xsalsa20-poly1305'
+        });
+      }
+      return res.json({
+        codes: latest?.codes || [],
+        candidates: latest?.candidates || [],
+        email_id: latest?.id || null
+      });
+    }
+    
+    // v0.8: Encrypt emails if agent has encryption enabled
+    if (agent.encryption_enabled && agent.public_key) {
+      return res.json({ 
+        emails: enrichedEmails.map(email => encryptEmail(email, agent)),
+        ...cursors,
+        encrypted: true,
+        algorithm: 'x25519-xsalsa20-poly1305'
+      });
+    }
+    
+    res.json({ emails: enrichedEmails, ...cursors, encrypted: false });
+  } catch (err) {
+    console.error('Fetch emails error:', err);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+});
+
+// Wait for a new email (?from=, ?subject= match parts of those fields) instead of polling.
+// Holds the request for up to ?timeout= seconds; ?since= also accepts mail received
+// since that time, in case it arrived before the wait started.
+app.get('/api/mailbox/wait', authMiddleware, async (req, res) => {
+  try {
+    const { agent } = req;
+    const filters = { from: req.query.from, subject: req.query.subject };
+    const timeout = Math.min(Math.max(parseInt(req.query.timeout) || WAIT_LIMITS.defaultSeconds, 1), WAIT_LIMITS.maxSeconds);
+    
+    let row = null;
+    if (req.query.since) {
+      const since = Date.parse(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({ error: 'Invalid since time' });
+      }
+      row = listMessages(agent.mailbox_id, { since: new Date(since).toISOString(), limit: 100 })
+        .find(candidate => matchesWait(candidate, filters)) || null;
+    }
+    
+    if (!row) {
+      if (pendingWaits(agent.mailbox_id) >= WAIT_LIMITS.perMailbox) {
+        return res.status(429).json({ error: `Too many open waits (max ${WAIT_LIMITS.perMailbox} per mailbox)` });
+      }
+      // A client that gives up ends the wait
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+      row = await waitForMessage(agent.mailbox_id, filters, { timeoutMs: timeout * 1000, signal: controller.signal });
+    }
+    
+    if (!row) {
+      return res.json({ email: null, codes: [], candidates: [], timed_out: true });
+    }
+    const email = toEmail(row);
+    const { codes, candidates } = extractVerification(email);
+    
+    // v0.8: Encrypt the email if agent has encryption enabled
+    if (agent.encryption_enabled && agent.public_key) {
+      return res.json({
+        email: encryptEmail({ ...email, codes, candidates }, agent),
+        ...(!sealsVerification(agent) && { codes, candidates }),
+        timed_out: false,
+        encrypted: true
+      });
+    }
+    res.json({ email: { ...email, codes, candidates }, codes, candidates, timed_out: false });
+  } catch (err) {
+    console.error('Wait for email error:', err);
+    res.status(500).json({ error: 'Failed to wait for email' });
+  }
+});
+
+// Search emails (?q= with from:, to:, subject:, has:attachment, before:, after:)
+app.get('/api/mailbox/search', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    
+    let query;
+    try {
+      query = parseQuery(q);
+    } catch (parseErr) {
+      return res.status(400).json({ error: parseErr.message });
+    }
+    
+    const emails = searchMessages(agent.mailbox_id, query, { limit })
+      .map(toEmail)
+      .map(email => ({ ...email, ...extractVerification(email) }));
+    
+    if (agent.encryption_enabled && agent.public_key) {
+      return res.json({
+        query: q,
+        emails: emails.map(email => encryptEmail(email, agent)),
+        encrypted: true,
+        algorithm: 'x25519-xsalsa20-poly1305'
+      });
+    }
+    
+    res.json({ query: q, emails, encrypted: false });
+  } catch (err) {
+    console.error('Search emails error:', err);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
+// List conversation threads
+app.get('/api/mailbox/threads', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { folder } = req.query;
+    if (folder !== undefined && !FOLDERS.includes(folder)) {
+      return res.status(400).json({ error: 'Unknown folder', available: FOLDERS });
+    }
+    res.json({ threads: listThreads(agent.mailbox_id, { limit, folder }) });
+  } catch (err) {
+    console.error('List threads error:', err);
+    res.status(500).json({ error: 'Failed to fetch threads' });
+  }
+});
+
+// Get a thread with all its messages (received and sent), oldest first
+app.get('/api/mailbox/threads/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const thread = getThreadSummary(agent.mailbox_id, req.params.id);
+    
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    
+    const emails = listThreadMessages(agent.mailbox_id, thread.id).map(toEmail);
+    
+    if (agent.encryption_enabled && agent.public_key) {
+      return res.json({
+        thread,
+        emails: emails.map(email => encryptEmail(email, agent)),
+        encrypted: true,
+        algorithm: 'x25519-xsalsa20-poly1305'
+      });
+    }
+    
+    res.json({ thread, emails, encrypted: false });
+  } catch (err) {
+    console.error('Fetch thread error:', err);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+// Get a single email (?format=raw for the original MIME source)
+app.get('/api/mailbox/emails/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    if (req.query.format === 'raw') {
+      const raw = messageSource(row);
+      if (!raw) {
+        return res.status(404).json({ error: 'Raw source not available for this email' });
+      }
+      
+      if (agent.encryption_enabled && agent.public_key) {
+        const encrypted = agentCrypto.encryptForAgent(raw.toString('base64'), agent.public_key);
+        return res.json({
+          id: row.id,
+          format: 'raw',
+          encrypted: true,
+          encoding: 'base64',
+          content: encrypted.encrypted,
+          nonce: encrypted.nonce,
+          serverPublicKey: encrypted.serverPublicKey,
+          algorithm: 'x25519-xsalsa20-poly1305'
+        });
+      }
+      
+      res.set('Content-Type', 'message/rfc822');
+      return res.send(raw);
+    }
+    
+    const email = {
+      ...toEmail(row),
+      headers: messageHeaders(row),
+      ...extractVerification(row)
+    };
+    
+    if (agent.encryption_enabled && agent.public_key) {
+      return res.json({
+        email: encryptEmail(email, agent),
+        encrypted: true,
+        algorithm: 'x25519-xsalsa20-poly1305'
+      });
+    }
+    
+    res.json({ email, encrypted: false });
+  } catch (err) {
+    console.error('Fetch email error:', err);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// Update email flags (seen, flagged, archived)
+app.patch('/api/mailbox/emails/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const flags = {};
+    
+    for (const flag of ['seen', 'flagged', 'archived']) {
+      if (req.body[flag] === undefined) continue;
+      if (typeof req.body[flag] !== 'boolean') {
+        return res.status(400).json({ error: `${flag} must be a boolean` });
+      }
+      flags[flag] = req.body[flag];
+    }
+    
+    if (Object.keys(flags).length === 0) {
+      return res.status(400).json({ error: 'Provide at least one of: seen, flagged, archived' });
+    }
+    
+    const row = updateFlags(agent.mailbox_id, req.params.id, flags);
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const { id, folder, flags: updated } = toEmail(row);
+    res.json({ success: true, id, folder, flags: updated });
+  } catch (err) {
+    console.error('Update email error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete email: move to trash, or purge if already trashed or ?permanent=true
+app.delete('/api/mailbox/emails/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    if (row.deleted_at || req.query.permanent === 'true') {
+      removeMessages([row.id]);
+      return res.json({ success: true, id: row.id, message: 'Email permanently deleted' });
+    }
+    
+    const trashed = trashMessage(agent.mailbox_id, row.id);
+    res.json({
+      success: true,
+      id: row.id,
+      folder: 'trash',
+      purge_at: purgeAt(trashed),
+      message: 'Email moved to trash'
+    });
+  } catch (err) {
+    console.error('Delete email error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore email from trash
+app.post('/api/mailbox/emails/:id/restore', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (!row.deleted_at) {
+      return res.status(400).json({ error: 'Email is not in trash' });
+    }
+    
+    const restored = restoreMessage(agent.mailbox_id, row.id);
+    res.json({ success: true, id: row.id, folder: restored.folder, message: 'Email restored' });
+  } catch (err) {
+    console.error('Restore email error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark as spam / not spam: trains the mailbox's classifier and refiles the email
+function labelSpam(label) {
+  return (req, res) => {
+    try {
+      const { agent } = req;
+      const row = getMessage(agent.mailbox_id, req.params.id);
+      
+      if (!row) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+      if (row.folder === 'sent') {
+        return res.status(400).json({ error: 'Sent emails cannot be classified' });
+      }
+      
+      train(agent, row, label);
+      let { folder } = row;
+      if (label === 'spam' && folder !== 'spam') folder = 'spam';
+      if (label === 'ham' && folder === 'spam') folder = 'inbox';
+      moveMessage(agent.mailbox_id, row.id, folder);
+      
+      res.json({ success: true, id: row.id, folder: row.deleted_at ? 'trash' : folder, label });
+    } catch (err) {
+      console.error('Label spam error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+app.post('/api/mailbox/emails/:id/spam', authMiddleware, labelSpam('spam'));
+app.post('/api/mailbox/emails/:id/not-spam', authMiddleware, labelSpam('ham'));
+
+// Download an attachment
+app.get('/api/mailbox/attachments/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const attachment = getAttachment(agent.mailbox_id, req.params.id);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    if (!attachment.content) {
+      return res.status(413).json({
+        error: 'Attachment exceeds mailbox size limit',
+        size: attachment.size,
+        limit: attachmentLimit(agent)
+      });
+    }
+    
+    const content = Buffer.from(attachment.content);
+    
+    // v0.8: Attachments are encrypted like bodies when encryption is enabled
+    if (agent.encryption_enabled && agent.public_key) {
+      const encrypted = agentCrypto.encryptForAgent(content.toString('base64'), agent.public_key);
+      return res.json({
+        id: attachment.id,
+        filename: attachment.filename,
+        content_type: attachment.content_type,
+        size: attachment.size,
+        encrypted: true,
+        encoding: 'base64',
+        content: encrypted.encrypted,
+        nonce: encrypted.nonce,
+        serverPublicKey: encrypted.serverPublicKey,
+        algorithm: 'x25519-xsalsa20-poly1305'
+      });
+    }
+    
+    res.attachment(attachment.filename || attachment.id);
+    res.set('Content-Type', attachment.content_type);
+    res.send(content);
+  } catch (err) {
+    console.error('Download attachment error:', err);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Get mailbox info
+app.get('/api/mailbox', authMiddleware, (req, res) => {
+  const { agent } = req;
+  res.json({
+    email: agent.email,
+    mailbox_id: agent.mailbox_id,
+    moltbook_name: agent.moltbook_name,
+    created_at: agent.created_at,
+    webhook_url: agent.webhook_url || null,
+    limits: {
+      attachment_size: attachmentLimit(agent)
+    },
+    disposable: !!agent.owner_id,
+    premium: !!agent.premium,
+    ...lifecycle(agent),
+    encryption: {
+      enabled: !!agent.encryption_enabled,
+      public_key: agent.public_key || null
+    }
+  });
+});
+
+// Update mailbox lifecycle settings: retention_days, retention_max_messages, expires_at
+// (null clears a setting). An expired mailbox may only move expires_at, which reactivates it.
+app.patch('/api/mailbox', authMiddleware, requirePermanent, (req, res) => {
+  try {
+    const { agent } = req;
+    const updates = {};
+    
+    if (!isActive(agent) && Object.keys(req.body).some(field => field !== 'expires_at')) {
+      return res.status(403).json({ error: 'Mailbox has expired', expires_at: agent.expires_at });
+    }
+    
+    for (const field of ['retention_days', 'retention_max_messages']) {
+      if (!(field in req.body)) continue;
+      const value = req.body[field];
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        return res.status(400).json({ error: `${field} must be a positive integer or null` });
+      }
+      updates[field] = value;
+    }
+    
+    if ('expires_at' in req.body) {
+      const value = req.body.expires_at;
+      if (value !== null && (typeof value !== 'string' || isNaN(new Date(value)))) {
+        return res.status(400).json({ error: 'expires_at must be an ISO 8601 date or null' });
+      }
+      updates.expires_at = value === null ? null : new Date(value).toISOString();
+      if (!updates.expires_at || new Date(updates.expires_at) > new Date()) {
+        updates.deactivated_at = null;
+      }
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update: provide retention_days, retention_max_messages or expires_at'
+      });
+    }
+    
+    const db = getDb();
+    const columns = Object.keys(updates);
+    db.prepare(`UPDATE agents SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map(c => updates[c]), agent.id);
+    
+    res.json({ success: true, ...lifecycle({ ...agent, ...updates }) });
+  } catch (err) {
+    console.error('Update mailbox error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= DISPOSABLE MAILBOXES =============
+
+const EPHEMERAL_TTL_MINUTES = { min: 1, max: 7 * 24 * 60, default: 60 };
+const MAX_EPHEMERAL_MAILBOXES = 50;
+
+// Create a throwaway mailbox that is torn down with its mail after ttl_minutes
+app.post('/api/mailbox/ephemeral', authMiddleware, requireActive, requirePermanent, (req, res) => {
+  try {
+    const { agent } = req;
+    const ttl = req.body.ttl_minutes ?? EPHEMERAL_TTL_MINUTES.default;
+    
+    if (!Number.isInteger(ttl) || ttl < EPHEMERAL_TTL_MINUTES.min || ttl > EPHEMERAL_TTL_MINUTES.max) {
+      return res.status(400).json({
+        error: `ttl_minutes must be an integer between ${EPHEMERAL_TTL_MINUTES.min} and ${EPHEMERAL_TTL_MINUTES.max}`
+      });
+    }
+    
+    const db = getDb();
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM agents WHERE owner_id = ?').get(agent.id);
+    if (count >= MAX_EPHEMERAL_MAILBOXES) {
+      return res.status(429).json({
+        error: `Too many disposable mailboxes (max ${MAX_EPHEMERAL_MAILBOXES})`,
+        active: count
+      });
+    }
+    
+    // Inherit the owner's delivery settings so mail reaches it the same way
+    const expiresAt = new Date(Date.now() + ttl * 60 * 1000).toISOString();
+    const { mailboxId, email, apiKey } = createMailbox({
+      owner_id: agent.id,
+      moltbook_name: agent.moltbook_name,
+      expires_at: expiresAt,
+      webhook_url: agent.webhook_url,
+      public_key: agent.public_key,
+      encryption_enabled: agent.encryption_enabled,
+      seal_verification: agent.seal_verification,
+      max_attachment_size: attachmentLimit(agent)
+    });
+    
+    res.json({
+      email,
+      mailbox_id: mailboxId,
+      api_key: apiKey,
+      expires_at: expiresAt,
+      ttl_minutes: ttl,
+      message: 'Disposable mailbox created'
+    });
+  } catch (err) {
+    console.error('Create ephemeral mailbox error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the owner's disposable mailboxes with the codes from their latest email
+app.get('/api/mailbox/ephemeral', authMiddleware, (req, res) => {
+  try {
+    const db = getDb();
+    const rows = db.prepare(`
+      SELECT * FROM agents WHERE owner_id = ? ORDER BY created_at DESC
+    `).all(req.agent.id);
+    
+    const mailboxes = rows.map(row => {
+      const { count } = db.prepare('SELECT COUNT(*) as count FROM messages WHERE mailbox_id = ?').get(row.mailbox_id);
+      const latest = listMessages(row.mailbox_id, { limit: 1 })[0];
+      const verification = latest && extractVerification(latest);
+      const sealed = sealsVerification(row);
+      return {
+        email: row.email,
+        mailbox_id: row.mailbox_id,
+        api_key: row.api_key,
+        created_at: row.created_at,
+        expires_at: row.expires_at,
+        active: isActive(row),
+        messages: count,
+        latest_email: latest ? {
+          id: latest.id,
+          from: latest.from_addr,
+          subject: latest.subject,
+          received_at: latest.received_at,
+          ...(sealed ? { verification: encryptVerification(verification, row), encrypted: true } : verification)
+        } : null
+      };
+    });
+    
+    res.json({ mailboxes, count: mailboxes.length });
+  } catch (err) {
+    console.error('List ephemeral mailboxes error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tear down a disposable mailbox and its mail before it expires
+app.delete('/api/mailbox/ephemeral/:id', authMiddleware, (req, res) => {
+  try {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM agents WHERE mailbox_id = ? AND owner_id = ?')
+      .get(req.params.id, req.agent.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Disposable mailbox not found' });
+    }
+    
+    const removed = teardownMailbox(row);
+    res.json({ success: true, messages_removed: removed });
+  } catch (err) {
+    console.error('Delete ephemeral mailbox error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set webhook URL
+app.put('/api/mailbox/webhook', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const { webhook_url } = req.body;
+    
+    // Validate URL
+    if (webhook_url) {
+      try {
+        new URL(webhook_url);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid webhook URL' });
+      }
+    }
+    
+    const db = getDb();
+    db.prepare('UPDATE agents SET webhook_url = ? WHERE id = ?').run(webhook_url || null, agent.id);
+    
+    res.json({
+      success: true,
+      webhook_url: webhook_url || null,
+      message: webhook_url ? 'Webhook registered' : 'Webhook removed'
+    });
+  } catch (err) {
+    console.error('Set webhook error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete webhook
+app.delete('/api/mailbox/webhook', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const db = getDb();
+    db.prepare('UPDATE agents SET webhook_url = NULL WHERE id = ?').run(agent.id);
+    res.json({ success: true, message: 'Webhook removed' });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Spam filter settings and training state
+app.get('/api/mailbox/spam', authMiddleware, (req, res) => {
+  const { agent } = req;
+  res.json({
+    threshold: spamThreshold(agent),
+    default_threshold: SPAM_CONFIG.threshold,
+    trained: { spam: agent.spam_trained || 0, ham: agent.ham_trained || 0 },
+    classifier_active: classifierActive(agent),
+    rules: listRules()
+  });
+});
+
+// Set the spam threshold ({ threshold: null } restores the default)
+app.put('/api/mailbox/spam', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const { threshold } = req.body;
+    
+    if (threshold !== null && (typeof threshold !== 'number' || !(threshold > 0) || threshold > 100)) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 100, or null' });
+    }
+    
+    getDb().prepare('UPDATE agents SET spam_threshold = ? WHERE id = ?').run(threshold, agent.id);
+    res.json({ success: true, threshold: threshold ?? SPAM_CONFIG.threshold });
+  } catch (err) {
+    console.error('Set spam threshold error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= ALIASES =============
+
+// List the mailbox's addresses, with how much mail each alias received
+app.get('/api/mailbox/aliases', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    res.json({
+      primary: agent.email,
+      aliases: listAliases(agent.mailbox_id).map(toAlias)
+    });
+  } catch (err) {
+    console.error('List aliases error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an alias: { tag } for kai+<mailbox_id>.<tag>@..., or { name } for kai+<name>@...
+// (<local>+<tag>@ and <name>@ the mailbox's own custom domain)
+app.post('/api/mailbox/aliases', authMiddleware, requireActive, requirePermanent, (req, res) => {
+  try {
+    const { agent } = req;
+    
+    let alias;
+    try {
+      alias = aliasToken(agent, req.body);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    if (tokenTaken(alias.token, alias.address)) {
+      return res.status(409).json({ error: 'Alias already exists' });
+    }
+    if (listAliases(agent.mailbox_id).length >= MAX_ALIASES) {
+      return res.status(429).json({ error: `Too many aliases (max ${MAX_ALIASES})` });
+    }
+    
+    res.json({ success: true, alias: toAlias(createAlias(agent, alias)) });
+  } catch (err) {
+    console.error('Create alias error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enable or disable an alias ({ active: false } stops it receiving)
+app.patch('/api/mailbox/aliases/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const { active } = req.body;
+    
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    
+    const alias = getAlias(agent.mailbox_id, req.params.id);
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    
+    setAliasActive(alias, active);
+    const updated = listAliases(agent.mailbox_id).find(a => a.id === alias.id);
+    res.json({ success: true, alias: toAlias(updated) });
+  } catch (err) {
+    console.error('Update alias error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an alias; mail it already received stays in the mailbox
+app.delete('/api/mailbox/aliases/:id', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    const alias = getAlias(agent.mailbox_id, req.params.id);
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    
+    deleteAlias(alias);
+    res.json({ success: true, message: 'Alias deleted' });
+  } catch (err) {
+    console.error('Delete alias error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= SENDER LISTS =============
+
+function senderSettings(agent) {
+  const rules = listSenders(agent.mailbox_id).map(toSender);
+  return {
+    allowlist_only: !!agent.allowlist_only,
+    block_action: agent.sender_block_action || 'quarantine',
+    allow: rules.filter(r => r.list === 'allow'),
+    block: rules.filter(r => r.list === 'block')
+  };
+}
+
+// Allow and block lists with the mailbox's screening settings
+app.get('/api/mailbox/senders', authMiddleware, (req, res) => {
+  try {
+    res.json(senderSettings(req.agent));
+  } catch (err) {
+    console.error('List senders error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an address or domain (wildcards allowed) to a list: { list: "allow" | "block", pattern }
+app.post('/api/mailbox/senders', authMiddleware, requireActive, (req, res) => {
+  try {
+    const { agent } = req;
+    const { list } = req.body;
+    
+    if (!SENDER_LISTS.includes(list)) {
+      return res.status(400).json({ error: 'list must be "allow" or "block"' });
+    }
+    let pattern;
+    try {
+      pattern = normalizePattern(req.body.pattern);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    const existing = listSenders(agent.mailbox_id);
+    if (existing.some(r => r.list === list && r.pattern === pattern)) {
+      return res.status(409).json({ error: `${pattern} is already on the ${list} list` });
+    }
+    if (existing.length >= MAX_SENDER_RULES) {
+      return res.status(429).json({ error: `Too many sender rules (max ${MAX_SENDER_RULES})` });
+    }
+    
+    res.json({ success: true, sender: toSender(addSender(agent, list, pattern)) });
+  } catch (err) {
+    console.error('Add sender error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Screening settings: { allowlist_only, block_action: "quarantine" | "drop" }
+app.patch('/api/mailbox/senders', authMiddleware, requireActive, (req, res) => {
+  try {
+    const { agent } = req;
+    const { allowlist_only, block_action } = req.body;
+    
+    if (allowlist_only === undefined && block_action === undefined) {
+      return res.status(400).json({ error: 'Provide allowlist_only and/or block_action' });
+    }
+    if (allowlist_only !== undefined && typeof allowlist_only !== 'boolean') {
+      return res.status(400).json({ error: 'allowlist_only must be true or false' });
+    }
+    if (block_action !== undefined && !BLOCK_ACTIONS.includes(block_action)) {
+      return res.status(400).json({ error: 'block_action must be "quarantine" or "drop"' });
+    }
+    
+    const db = getDb();
+    if (allowlist_only !== undefined) {
+      db.prepare('UPDATE agents SET allowlist_only = ? WHERE id = ?').run(allowlist_only ? 1 : 0, agent.id);
+    }
+    if (block_action !== undefined) {
+      db.prepare('UPDATE agents SET sender_block_action = ? WHERE id = ?').run(block_action, agent.id);
+    }
+    
+    const updated = db.prepare('SELECT * FROM agents WHERE id = ?').get(agent.id);
+    res.json({ success: true, ...senderSettings(updated) });
+  } catch (err) {
+    console.error('Update sender settings error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a pattern from its list
+app.delete('/api/mailbox/senders/:id', authMiddleware, (req, res) => {
+  try {
+    const rule = getSender(req.agent.mailbox_id, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Sender rule not found' });
+    }
+    
+    deleteSender(rule);
+    res.json({ success: true, message: 'Sender rule removed' });
+  } catch (err) {
+    console.error('Delete sender error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= MAIL RULES =============
+
+// A mailbox's rules in evaluation order
+app.get('/api/mailbox/rules', authMiddleware, (req, res) => {
+  try {
+    res.json({ rules: listMailRules(req.agent.mailbox_id).map(toMailRule) });
+  } catch (err) {
+    console.error('List rules error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a rule: { name, conditions, actions, priority?, active?, stop_processing? }
+app.post('/api/mailbox/rules', authMiddleware, requireActive, (req, res) => {
+  try {
+    const { agent } = req;
+    let rule;
+    try {
+      rule = normalizeRule(req.body);
+      checkForwardTargets(agent.mailbox_id, rule.actions);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    if (listMailRules(agent.mailbox_id).length >= RULE_LIMITS.maxRules) {
+      return res.status(429).json({ error: `Too many rules (max ${RULE_LIMITS.maxRules})` });
+    }
+    
+    res.json({ success: true, rule: toMailRule(createMailRule(agent, rule)) });
+  } catch (err) {
+    console.error('Create rule error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Test a rule against existing mail without acting on it:
+// { id } of a saved rule, or { conditions, actions }, plus an optional limit of messages to scan
+app.post('/api/mailbox/rules/dry-run', authMiddleware, (req, res) => {
+  try {
+    const { agent } = req;
+    let rule;
+    if (req.body.id) {
+      rule = getMailRule(agent.mailbox_id, req.body.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+    } else {
+      try {
+        rule = normalizeRule({ name: 'dry run', ...req.body });
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+    }
+    const limit = Math.min(parseInt(req.body.limit) || 100, 500);
+    
+    // Only received mail: the sent folder and the trash are not what rules see
+    const rows = listMessages(agent.mailbox_id, { folder: 'all', limit })
+      .filter(row => row.folder !== 'sent' && !row.deleted_at);
+    const matches = [];
+    for (const row of rows) {
+      const outcome = evaluateRules([{ ...rule, active: true }], viewFromRow(row));
+      if (outcome.matched.length === 0) continue;
+      matches.push({
+        id: row.id,
+        from: row.from_addr,
+        subject: row.subject,
+        received_at: row.received_at,
+        folder: row.folder
+      });
+    }
+    
+    res.json({ scanned: rows.length, matched: matches.length, actions: rule.actions, matches });
+  } catch (err) {
+    console.error('Dry-run rule error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update any of a rule's fields
+app.patch('/api/mailbox/rules/:id', authMiddleware, requireActive, (req, res) => {
+  try {
+    const existing = getMailRule(req.agent.mailbox_id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    let rule;
+    try {
+      rule = normalizeRule(req.body, existing);
+      checkForwardTargets(req.agent.mailbox_id, rule.actions);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    res.json({ success: true, rule: toMailRule(updateMailRule(existing, rule)) });
+  } catch (err) {
+    console.error('Update rule error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/mailbox/rules/:id', authMiddleware, (req, res) => {
+  try {
+    const rule = getMailRule(req.agent.mailbox_id, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    deleteMailRule(rule);
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (err) {
+    console.error('Delete rule error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= FORWARD TARGETS =============
+
+// Addresses this mailbox's rules may forward to
+app.get('/api/mailbox/forward-targets', authMiddleware, (req, res) => {
+  try {
+    res.json({ targets: listForwardTargets(req.agent.mailbox_id).map(toForwardTarget) });
+  } catch (err) {
+    console.error('List forward targets error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a target: { address }. It gets a code by mail and stays pending until the code is confirmed.
+// Adding a pending address again sends a new code.
+app.post('/api/mailbox/forward-targets', authMiddleware, requireActive, requirePermanent, async (req, res) => {
+  try {
+    const { agent } = req;
+    let address;
+    try {
+      address = normalizeTargetAddress(req.body.address);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    const existing = listForwardTargets(agent.mailbox_id);
+    const known = existing.find(target => target.address === address);
+    if (known?.status === 'verified') {
+      return res.status(409).json({ error: `${address} is already verified` });
+    }
+    if (!known && existing.length >= MAX_FORWARD_TARGETS) {
+      return res.status(429).json({ error: `Too many forward targets (max ${MAX_FORWARD_TARGETS})` });
+    }
+    
+    const quota = sendQuota(agent);
+    if (quota.exhausted) {
+      return res.status(429).json(sendLimitError(quota));
+    }
+    
+    const target = addForwardTarget(agent, address);
+    await sendAsAgent(agent, verificationMessage(agent, target), quota);
+    res.json({ success: true, target: toForwardTarget(target), message: `Verification code sent to ${address}` });
+  } catch (err) {
+    console.error('Add forward target error:', err);
+    res.status(500).json({ error: 'Failed to send verification code: ' + err.message });
+  }
+});
+
+// Confirm a target with the code it received: { code }
+app.post('/api/mailbox/forward-targets/:id/verify', authMiddleware, requireActive, (req, res) => {
+  try {
+    const target = getForwardTarget(req.agent.mailbox_id, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Forward target not found' });
+    }
+    
+    let verified;
+    try {
+      verified = confirmForwardTarget(target, req.body.code);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    res.json({ success: true, target: toForwardTarget(verified) });
+  } catch (err) {
+    console.error('Verify forward target error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rules forwarding to a removed target stop forwarding
+app.delete('/api/mailbox/forward-targets/:id', authMiddleware, (req, res) => {
+  try {
+    const target = getForwardTarget(req.agent.mailbox_id, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Forward target not found' });
+    }
+    
+    deleteForwardTarget(target);
+    res.json({ success: true, message: 'Forward target deleted' });
+  } catch (err) {
+    console.error('Delete forward target error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= AUTO-REPLY =============
+
+// Auto-responder settings, and whether it is answering right now
+app.get('/api/mailbox/auto-reply', authMiddleware, (req, res) => {
+  try {
+    const config = autoReplyConfig(req.agent);
+    res.json({ ...config, responding: isResponding(config) });
+  } catch (err) {
+    console.error('Get auto-reply error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update any of: { active, template_id, subject, body, variables, starts_at, ends_at, cooldown_hours }
+app.put('/api/mailbox/auto-reply', authMiddleware, requireActive, requirePermanent, (req, res) => {
+  try {
+    const { agent } = req;
+    let config;
+    try {
+      config = normalizeAutoReply(req.body, autoReplyConfig(agent));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    setAutoReply(agent, config);
+    res.json({ success: true, ...config, responding: isResponding(config) });
+  } catch (err) {
+    console.error('Update auto-reply error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= CONFIRMATION LINKS =============
+
+// Follow an email's verification or magic-login link (or { url }, one of its links) from the server
+app.post('/api/mailbox/emails/:id/confirm-link', authMiddleware, requireActive, async (req, res) => {
+  try {
+    const { agent } = req;
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    let link;
+    try {
+      link = pickLink(row, req.body.url);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    if (!link) {
+      return res.status(422).json({ error: 'No confirmation link found in this email' });
+    }
+    
+    const confirmation = await followLink(link.value);
+    recordConfirmation(row, confirmation);
+    if (confirmation.error) {
+      const status = confirmation.error.code === 'blocked' ? 403 : 502;
+      return res.status(status).json({ error: `Link not followed: ${confirmation.error.message}`, confirmation });
+    }
+    res.json({ success: true, link, confirmation });
+  } catch (err) {
+    console.error('Confirm link error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Senders whose confirmation links are followed as soon as their mail arrives
+app.get('/api/mailbox/confirm-links', authMiddleware, (req, res) => {
+  try {
+    res.json({ senders: confirmSenders(req.agent) });
+  } catch (err) {
+    console.error('Get confirm senders error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the allowlist: { senders: ["noreply@github.com", "*.stripe.com"] }
+app.put('/api/mailbox/confirm-links', authMiddleware, requireActive, requirePermanent, (req, res) => {
+  try {
+    let senders;
+    try {
+      senders = setConfirmSenders(req.agent, req.body.senders);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    res.json({ success: true, senders });
+  } catch (err) {
+    console.error('Update confirm senders error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============= CUSTOM DOMAINS =============
+
+// Look up one of the caller's domains into req.domain
+function ownDomain(req, res, next) {
+  const row = getDomain(String(req.params.domain).toLowerCase(), req.agent.id);
+  if (!row) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+  req.domain = row;
+  next();
+}
+
+// Register a domain and get the DNS records to publish
+app.post('/api/domains', authMiddleware, requireActive, requirePremium, (req, res) => {
+  try {
+    let domain;
+    try {
+      domain = normalizeDomain(req.body.domain);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    
+    if (getDomain(domain, req.agent.id) || !isClaimable(domain)) {
+      return res.status(409).json({ error: 'Domain is already registered' });
+    }
+    
+    const row = registerDomain(req.agent, domain);
+    res.json({
+      success: true,
+      ...toDomain(row),
+      message: 'Publish these DNS records, then call POST /api/domains/:domain/verify'
+    });
+  } catch (err) {
+    console.error('Register domain error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the caller's domains
+app.get('/api/domains', authMiddleware, (req, res) => {
+  try {
+    res.json({ domains: listDomains(req.agent.id).map(toDomain) });
+  } catch (err) {
+    console.error('List domains error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Domain status and the records to publish
+app.get('/api/domains/:domain', authMiddleware, ownDomain, (req, res) => {
+  res.json(toDomain(req.domain));
+});
+
+// Check the published DNS records; the domain is verified once all of them match
+app.post('/api/domains/:domain/verify', authMiddleware, ownDomain, async (req, res) => {
+  try {
+    const { verified, checks } = await checkDomain(req.domain);
+    const row = recordCheck(req.domain, verified);
+    // A key rotation in progress completes as soon as its new record is visible
+    const rotated = await activateIfPublished(req.domain.domain);
+    res.json({ ...toDomain(row), verified, checks, dkim_rotated: !!rotated });
+  } catch (err) {
+    console.error('Verify domain error:', err);
+    res.status(502).json({ error: 'DNS lookup failed: ' + err.message });
+  }
+});
+
+// DKIM keys for the domain and the TXT records that publish them
+app.get('/api/domains/:domain/dkim', authMiddleware, ownDomain, (req, res) => {
   try {
-    const db = getDb();
-    
-    // Count agents
-    const agentCount = db.prepare('SELECT COUNT(*) as count FROM agents').get();
-    const paidAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE paid = 1').get();
-    const webhookAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE webhook_url IS NOT NULL').get();
-    const encryptedAgents = db.prepare('SELECT COUNT(*) as count FROM agents WHERE encryption_enabled = 1').get();
-    
-    // Email stats
-    const totalSends = db.prepare('SELECT SUM(sends_today) as total FROM agents WHERE last_send_date = ?')
-      .get(new Date().toISOString().slice(0, 10));
-    
-    // Payment stats  
-    const payments = db.prepare('SELECT COUNT(*) as total, SUM(CASE WHEN status = "confirmed" THEN 1 ELSE 0 END) as confirmed FROM payments').get();
-    
-    // Recent activity
-    const recentAgents = db.prepare('SELECT moltbook_name, created_at FROM agents ORDER BY created_at DESC LIMIT 5').all();
-    
-    const uptimeSeconds = Math.floor((Date.now() - START_TIME) / 1000);
-    const uptimeHours = (uptimeSeconds / 3600).toFixed(1);
-    
+    res.json({ domain: req.domain.domain, keys: publishedKeys(req.domain.domain).map(txtRecord) });
+  } catch (err) {
+    console.error('List DKIM keys error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a key rotation: publish the new key's record, then verify the domain to switch to it
+app.post('/api/domains/:domain/dkim/rotate', authMiddleware, ownDomain, (req, res) => {
+  try {
+    // Pending claims share the domain's keys; only its verified owner may replace them
+    if (req.domain.status !== 'verified') {
+      return res.status(409).json({ error: 'Domain is not verified' });
+    }
+    const key = rotateKey(req.domain.domain);
     res.json({
-      service: 'Agent Mail',
-      version: '0.8.0',
-      status: 'operational',
-      uptime_hours: parseFloat(uptimeHours),
-      stats: {
-        total_agents: agentCount?.count || 0,
-        paid_agents: paidAgents?.count || 0,
-        webhook_enabled: webhookAgents?.count || 0,
-        emails_sent_today: totalSends?.total || 0,
-        payments: {
-          total: payments?.total || 0,
-          confirmed: payments?.confirmed || 0
-        }
-      },
-      recent_agents: recentAgents.map(a => ({
-        name: a.moltbook_name,
-        joined: a.created_at
-      })),
-      features: [
-        'Email receiving with code extraction',
-        'Outbound email sending (10/day)',
-        'Webhook notifications',
-        'Email templates',
-        'Solana Pay integration',
-        'End-to-end encryption (v0.8)'
-      ],
-      links: {
-        api: 'https://agent-mail.xyz',
-        docs: 'https://github.com/kai-agent-free/agent-mail',
-        hackathon: 'https://colosseum.com/agent-hackathon'
-      }
+      success: true,
+      record: txtRecord(key),
+      message: 'Publish this TXT record; signing switches to the new key once it is visible in DNS'
     });
   } catch (err) {
-    console.error('Stats error:', err);
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    console.error('Rotate DKIM key error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create mailbox
-app.post('/api/mailbox/create', async (req, res) => {
+// Remove a domain that has no mailboxes left
+app.delete('/api/domains/:domain', authMiddleware, ownDomain, (req, res) => {
   try {
-    const { moltbook_key } = req.body;
+    const mailboxes = domainMailboxes(req.domain.domain);
+    if (mailboxes.length > 0) {
+      return res.status(409).json({
+        error: 'Domain still has mailboxes',
+        mailboxes: mailboxes.map(m => m.email)
+      });
+    }
     
-    if (!moltbook_key) {
-      return res.status(400).json({ error: 'moltbook_key is required' });
+    deleteDomain(req.domain);
+    res.json({ success: true, message: 'Domain removed' });
+  } catch (err) {
+    console.error('Delete domain error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a mailbox on a verified domain, e.g. { local_part: "support" } for support@yourdomain.com
+app.post('/api/domains/:domain/mailboxes', authMiddleware, requireActive, requirePremium, ownDomain, (req, res) => {
+  try {
+    const { domain } = req;
+    if (domain.status !== 'verified') {
+      return res.status(409).json({ error: 'Domain is not verified' });
     }
     
-    // Verify Moltbook key
-    const moltbookAgent = await verifyMoltbookKey(moltbook_key);
-    if (!moltbookAgent) {
-      return res.status(401).json({ error: 'Invalid Moltbook API key' });
+    let localPart;
+    try {
+      localPart = normalizeLocalPart(req.body.local_part);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
     }
     
+    const address = `${localPart}@${domain.domain}`;
     const db = getDb();
-    
-    // Check if agent already has mailbox
-    const existing = db.prepare('SELECT * FROM agents WHERE moltbook_id = ?').get(moltbookAgent.id);
-    if (existing) {
-      return res.json({
-        email: existing.email,
-        mailbox_id: existing.mailbox_id,
-        api_key: existing.api_key,
-        message: 'Mailbox already exists'
-      });
+    if (db.prepare('SELECT 1 AS found FROM agents WHERE email = ?').get(address) ||
+        db.prepare('SELECT 1 AS found FROM aliases WHERE address = ?').get(address)) {
+      return res.status(409).json({ error: 'Address already exists' });
     }
     
-    // Create new mailbox
-    const mailboxId = uuidv4().slice(0, 8);
-    const email = `kai+${mailboxId}@kdn.agency`;
-    const apiKey = generateApiKey();
-    
-    db.prepare(`
-      INSERT INTO agents (id, moltbook_id, moltbook_name, mailbox_id, email, api_key, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-    `).run(uuidv4(), moltbookAgent.id, moltbookAgent.name, mailboxId, email, apiKey);
+    const { mailboxId, email, apiKey } = createMailbox({
+      moltbook_name: req.body.name || address,
+      email: address,
+      domain: domain.domain,
+      paid: 1
+    });
     
     res.json({
       email,
@@ -168,145 +1616,49 @@ app.post('/api/mailbox/create', async (req, res) => {
       message: 'Mailbox created successfully'
     });
   } catch (err) {
-    console.error('Create mailbox error:', err);
+    console.error('Create domain mailbox error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Extract verification codes from text
-function extractCodes(text) {
-  if (!text) return [];
-  const patterns = [
-    /\b(\d{4,8})\b/g,                          // 4-8 digit codes
-    /code[:\s]+(\w{4,10})/gi,                  // "code: XXXX"
-    /verification[:\s]+(\w{4,10})/gi,          // "verification: XXXX"
-    /OTP[:\s]+(\d{4,8})/gi,                    // "OTP: XXXX"
-    /pin[:\s]+(\d{4,8})/gi,                    // "PIN: XXXX"
-  ];
-  
-  const codes = new Set();
-  for (const pattern of patterns) {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      codes.add(match[1]);
-    }
-  }
-  return [...codes];
-}
-
-// Get emails
-app.get('/api/mailbox/emails', authMiddleware, async (req, res) => {
+// List the mailboxes on a domain
+app.get('/api/domains/:domain/mailboxes', authMiddleware, ownDomain, (req, res) => {
   try {
-    const { agent } = req;
-    const limit = parseInt(req.query.limit) || 10;
-    const codesOnly = req.query.codes === 'true';
-    
-    const emails = await fetchEmails(agent.mailbox_id, limit);
-    
-    // Add extracted codes to each email
-    const enrichedEmails = emails.map(email => ({
-      ...email,
-      codes: extractCodes(email.body + ' ' + email.subject)
+    const mailboxes = domainMailboxes(req.domain.domain).map(m => ({
+      email: m.email,
+      mailbox_id: m.mailbox_id,
+      name: m.moltbook_name,
+      created_at: m.created_at
     }));
-    
-    if (codesOnly) {
-      // Return only codes from latest email
-      const latestCodes = enrichedEmails[0]?.codes || [];
-      return res.json({ codes: latestCodes });
-    }
-    
-    // v0.8: Encrypt emails if agent has encryption enabled
-    if (agent.encryption_enabled && agent.public_key) {
-      const encryptedEmails = enrichedEmails.map(email => {
-        try {
-          const encryptedBody = agentCrypto.encryptForAgent(email.body, agent.public_key);
-          return {
-            id: email.id,
-            from: email.from,
-            to: email.to,
-            subject: email.subject,
-            received_at: email.received_at,
-            // Encrypted content
-            encrypted: true,
-            body: encryptedBody.encrypted,
-            nonce: encryptedBody.nonce,
-            serverPublicKey: encryptedBody.serverPublicKey,
-            // Codes still extracted (they're in subject too)
-            codes: email.codes
-          };
-        } catch (encErr) {
-          console.error('Email encryption error:', encErr);
-          return { ...email, encrypted: false, encryption_error: encErr.message };
-        }
-      });
-      return res.json({ 
-        emails: encryptedEmails,
-        encrypted: true,
-        algorithm: 'x25519-xsalsa20-poly1305'
-      });
-    }
-    
-    res.json({ emails: enrichedEmails, encrypted: false });
+    res.json({ domain: req.domain.domain, mailboxes });
   } catch (err) {
-    console.error('Fetch emails error:', err);
-    res.status(500).json({ error: 'Failed to fetch emails' });
+    console.error('List domain mailboxes error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get mailbox info
-app.get('/api/mailbox', authMiddleware, (req, res) => {
-  const { agent } = req;
-  res.json({
-    email: agent.email,
-    mailbox_id: agent.mailbox_id,
-    moltbook_name: agent.moltbook_name,
-    created_at: agent.created_at,
-    webhook_url: agent.webhook_url || null,
-    encryption: {
-      enabled: !!agent.encryption_enabled,
-      public_key: agent.public_key || null
-    }
-  });
-});
-
-// Set webhook URL
-app.put('/api/mailbox/webhook', authMiddleware, (req, res) => {
+// Delete a mailbox on the domain together with its mail
+app.delete('/api/domains/:domain/mailboxes/:mailbox_id', authMiddleware, ownDomain, (req, res) => {
   try {
-    const { agent } = req;
-    const { webhook_url } = req.body;
-    
-    // Validate URL
-    if (webhook_url) {
-      try {
-        new URL(webhook_url);
-      } catch (e) {
-        return res.status(400).json({ error: 'Invalid webhook URL' });
-      }
+    const mailbox = domainMailboxes(req.domain.domain).find(m => m.mailbox_id === req.params.mailbox_id);
+    if (!mailbox) {
+      return res.status(404).json({ error: 'Mailbox not found' });
     }
     
-    const db = getDb();
-    db.prepare('UPDATE agents SET webhook_url = ? WHERE id = ?').run(webhook_url || null, agent.id);
-    
-    res.json({
-      success: true,
-      webhook_url: webhook_url || null,
-      message: webhook_url ? 'Webhook registered' : 'Webhook removed'
-    });
+    const removed = teardownMailbox(mailbox);
+    res.json({ success: true, messages_removed: removed });
   } catch (err) {
-    console.error('Set webhook error:', err);
+    console.error('Delete domain mailbox error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete webhook
-app.delete('/api/mailbox/webhook', authMiddleware, (req, res) => {
+// DKIM records for the service domain, for operators publishing its DNS
+app.get('/api/dkim', (req, res) => {
   try {
-    const { agent } = req;
-    const db = getDb();
-    db.prepare('UPDATE agents SET webhook_url = NULL WHERE id = ?').run(agent.id);
-    res.json({ success: true, message: 'Webhook removed' });
+    res.json({ domain: SERVICE_DOMAIN, keys: publishedKeys(SERVICE_DOMAIN).map(txtRecord) });
   } catch (err) {
-    console.error('Delete webhook error:', err);
+    console.error('List DKIM keys error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -333,11 +1685,14 @@ app.post('/api/encryption/keypair', authMiddleware, (req, res) => {
 app.put('/api/encryption/key', authMiddleware, (req, res) => {
   try {
     const { agent } = req;
-    const { public_key } = req.body;
+    const { public_key, seal_verification = !!agent.seal_verification } = req.body;
     
     if (!public_key) {
       return res.status(400).json({ error: 'public_key is required' });
     }
+    if (typeof seal_verification !== 'boolean') {
+      return res.status(400).json({ error: 'seal_verification must be a boolean' });
+    }
     
     // Validate public key format
     if (!agentCrypto.isValidPublicKey(public_key)) {
@@ -347,13 +1702,14 @@ app.put('/api/encryption/key', authMiddleware, (req, res) => {
     }
     
     const db = getDb();
-    db.prepare('UPDATE agents SET public_key = ?, encryption_enabled = 1 WHERE id = ?')
-      .run(public_key, agent.id);
+    db.prepare('UPDATE agents SET public_key = ?, encryption_enabled = 1, seal_verification = ? WHERE id = ?')
+      .run(public_key, seal_verification ? 1 : 0, agent.id);
     
     res.json({
       success: true,
       encryption_enabled: true,
       public_key: public_key,
+      seal_verification,
       message: 'Encryption enabled. All incoming emails will be encrypted.'
     });
   } catch (err) {
@@ -368,6 +1724,7 @@ app.get('/api/encryption/status', authMiddleware, (req, res) => {
   res.json({
     encryption_enabled: !!agent.encryption_enabled,
     public_key: agent.public_key || null,
+    seal_verification: !!agent.seal_verification,
     algorithm: 'x25519-xsalsa20-poly1305',
     server_public_key: require('tweetnacl-util').encodeBase64(agentCrypto.getServerKeyPair().publicKey)
   });
@@ -438,48 +1795,6 @@ app.post('/api/agents/:id/set-pubkey', async (req, res) => {
 });
 
 // ============= EMAIL TEMPLATES =============
-const EMAIL_TEMPLATES = {
-  verification_request: {
-    subject: 'Verification Request from {{agent_name}}',
-    body: `Hello,
-
-I am {{agent_name}}, an AI agent requesting verification access.
-
-Purpose: {{purpose}}
-
-My email: {{agent_email}}
-Timestamp: {{timestamp}}
-
-Please reply to this email to complete verification.
-
-Best regards,
-{{agent_name}}`
-  },
-  introduction: {
-    subject: 'Introduction: {{agent_name}}',
-    body: `Hello,
-
-I am {{agent_name}}, an AI agent.
-
-{{message}}
-
-You can reach me at: {{agent_email}}
-
-Best regards,
-{{agent_name}}`
-  },
-  follow_up: {
-    subject: 'Follow-up: {{subject}}',
-    body: `Hello,
-
-This is a follow-up regarding: {{subject}}
-
-{{message}}
-
-Best regards,
-{{agent_name}}`
-  }
-};
 
 // List available templates
 app.get('/api/templates', (req, res) => {
@@ -491,28 +1806,8 @@ app.get('/api/templates', (req, res) => {
   res.json({ templates });
 });
 
-// Extract {{variable}} placeholders from template
-function extractTemplateVars(text) {
-  const matches = text.match(/\{\{(\w+)\}\}/g) || [];
-  return [...new Set(matches.map(m => m.slice(2, -2)))];
-}
-
-// Fill template with variables
-function fillTemplate(template, vars) {
-  let subject = template.subject;
-  let body = template.body;
-  
-  for (const [key, value] of Object.entries(vars)) {
-    const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    subject = subject.replace(regex, value);
-    body = body.replace(regex, value);
-  }
-  
-  return { subject, body };
-}
-
 // Send email using template
-app.post('/api/mailbox/send-template', authMiddleware, async (req, res) => {
+app.post('/api/mailbox/send-template', authMiddleware, requireActive, requirePermanent, async (req, res) => {
   try {
     const { agent } = req;
     const { to, template_id, variables } = req.body;
@@ -541,34 +1836,18 @@ app.post('/api/mailbox/send-template', authMiddleware, async (req, res) => {
     
     const { subject, body } = fillTemplate(template, vars);
     
-    // Use existing send logic
-    const db = getDb();
-    const today = new Date().toISOString().slice(0, 10);
-    const sendCount = agent.sends_today || 0;
-    const lastSendDate = agent.last_send_date;
-    const currentSends = (lastSendDate === today) ? sendCount : 0;
-    
-    if (currentSends >= 10) {
-      return res.status(429).json({ 
-        error: 'Daily send limit reached (10 emails/day)',
-        resets_at: `${today}T23:59:59Z`
-      });
+    const quota = sendQuota(agent);
+    if (quota.exhausted) {
+      return res.status(429).json(sendLimitError(quota));
     }
     
-    const result = await sendEmail(agent.mailbox_id, { to, subject, body });
-    
-    db.prepare(`
-      UPDATE agents 
-      SET sends_today = ?, last_send_date = ? 
-      WHERE id = ?
-    `).run(currentSends + 1, today, agent.id);
+    const result = await sendAsAgent(agent, { to, subject, body }, quota);
     
     res.json({
       success: true,
       message: 'Template email sent',
       template_used: template_id,
-      ...result,
-      sends_remaining: 10 - (currentSends + 1)
+      ...result
     });
   } catch (err) {
     console.error('Send template error:', err);
@@ -577,7 +1856,7 @@ app.post('/api/mailbox/send-template', authMiddleware, async (req, res) => {
 });
 
 // Send email
-app.post('/api/mailbox/send', authMiddleware, async (req, res) => {
+app.post('/api/mailbox/send', authMiddleware, requireActive, requirePermanent, async (req, res) => {
   try {
     const { agent } = req;
     const { to, subject, body, html } = req.body;
@@ -589,36 +1868,17 @@ app.post('/api/mailbox/send', authMiddleware, async (req, res) => {
     }
     
     // Rate limiting: track sends per agent
-    const db = getDb();
-    const today = new Date().toISOString().slice(0, 10);
-    const sendCount = agent.sends_today || 0;
-    const lastSendDate = agent.last_send_date;
-    
-    // Reset counter if new day
-    const currentSends = (lastSendDate === today) ? sendCount : 0;
-    
-    // Limit: 10 emails per day per agent (MVP)
-    if (currentSends >= 10) {
-      return res.status(429).json({ 
-        error: 'Daily send limit reached (10 emails/day)',
-        resets_at: `${today}T23:59:59Z`
-      });
+    const quota = sendQuota(agent);
+    if (quota.exhausted) {
+      return res.status(429).json(sendLimitError(quota));
     }
     
-    const result = await sendEmail(agent.mailbox_id, { to, subject, body, html });
-    
-    // Update send counter
-    db.prepare(`
-      UPDATE agents 
-      SET sends_today = ?, last_send_date = ? 
-      WHERE id = ?
-    `).run(currentSends + 1, today, agent.id);
+    const result = await sendAsAgent(agent, { to, subject, body, html }, quota);
     
     res.json({
       success: true,
       message: 'Email sent',
-      ...result,
-      sends_remaining: 10 - (currentSends + 1)
+      ...result
     });
   } catch (err) {
     console.error('Send email error:', err);
@@ -626,86 +1886,88 @@ app.post('/api/mailbox/send', authMiddleware, async (req, res) => {
   }
 });
 
-// Webhook polling service
-async function pollWebhooks() {
+// Reply to an email (reply_all: true to include the other recipients)
+app.post('/api/mailbox/emails/:id/reply', authMiddleware, requireActive, requirePermanent, async (req, res) => {
   try {
-    const db = getDb();
-    const agents = db.prepare('SELECT * FROM agents WHERE webhook_url IS NOT NULL').all();
+    const { agent } = req;
+    const { body, html, reply_all } = req.body;
     
-    for (const agent of agents) {
-      try {
-        const emails = await fetchEmails(agent.mailbox_id, 5);
-        
-        // Find new emails (not seen before)
-        const newEmails = emails.filter(email => {
-          if (!agent.last_email_id) return true;
-          return email.id !== agent.last_email_id && 
-                 new Date(email.received_at) > new Date(agent.last_check || 0);
-        });
-        
-        if (newEmails.length > 0) {
-          // Send webhook for each new email
-          for (const email of newEmails) {
-            try {
-              let emailPayload;
-              
-              // v0.8: Encrypt email body if agent has encryption enabled
-              if (agent.encryption_enabled && agent.public_key) {
-                const encryptedBody = agentCrypto.encryptForAgent(email.body, agent.public_key);
-                emailPayload = {
-                  id: email.id,
-                  from: email.from,
-                  to: email.to,
-                  subject: email.subject,
-                  received_at: email.received_at,
-                  encrypted: true,
-                  body: encryptedBody.encrypted,
-                  nonce: encryptedBody.nonce,
-                  serverPublicKey: encryptedBody.serverPublicKey
-                };
-              } else {
-                emailPayload = {
-                  id: email.id,
-                  from: email.from,
-                  to: email.to,
-                  subject: email.subject,
-                  body: email.body,
-                  received_at: email.received_at,
-                  encrypted: false
-                };
-              }
-              
-              await axios.post(agent.webhook_url, {
-                event: 'email.received',
-                mailbox_id: agent.mailbox_id,
-                email: emailPayload,
-                encryption: agent.encryption_enabled ? {
-                  enabled: true,
-                  algorithm: 'x25519-xsalsa20-poly1305'
-                } : { enabled: false }
-              }, {
-                timeout: 10000,
-                headers: { 'Content-Type': 'application/json' }
-              });
-              console.log(`Webhook sent to ${agent.moltbook_name} for email: ${email.subject}${agent.encryption_enabled ? ' (encrypted)' : ''}`);
-            } catch (webhookErr) {
-              console.error(`Webhook failed for ${agent.moltbook_name}:`, webhookErr.message);
-            }
-          }
-          
-          // Update last seen email
-          const latestEmail = emails[0];
-          db.prepare('UPDATE agents SET last_email_id = ?, last_check = datetime("now") WHERE id = ?')
-            .run(latestEmail.id, agent.id);
-        }
-      } catch (agentErr) {
-        console.error(`Poll error for ${agent.moltbook_name}:`, agentErr.message);
-      }
+    if (!body) {
+      return res.status(400).json({ error: 'Missing required field: body' });
+    }
+    
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    // Reply-all leaves out every address of ours, aliases included
+    const self = [agent.email, ...listAliases(agent.mailbox_id).map(alias => alias.address)];
+    const message = buildReply(row, { body, html, replyAll: !!reply_all, self });
+    if (message.to.length === 0) {
+      return res.status(400).json({ error: 'Original email has no address to reply to' });
+    }
+    
+    const quota = sendQuota(agent);
+    if (quota.exhausted) {
+      return res.status(429).json(sendLimitError(quota));
     }
+    
+    const result = await sendAsAgent(agent, message, quota);
+    
+    res.json({
+      success: true,
+      message: 'Reply sent',
+      in_reply_to: row.id,
+      ...result,
+      cc: message.cc || []
+    });
   } catch (err) {
-    console.error('Webhook poll error:', err);
+    console.error('Reply error:', err);
+    res.status(500).json({ error: 'Failed to send email: ' + err.message });
   }
-}
+});
+
+// Forward an email with its attachments
+app.post('/api/mailbox/emails/:id/forward', authMiddleware, requireActive, requirePermanent, async (req, res) => {
+  try {
+    const { agent } = req;
+    const { to, body, html } = req.body;
+    
+    if (!to) {
+      return res.status(400).json({ error: 'Missing required field: to' });
+    }
+    
+    const row = getMessage(agent.mailbox_id, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    // Attachments over the mailbox size limit were never stored and cannot be forwarded
+    const attachments = getMessageAttachments(agent.mailbox_id, row.id);
+    const forwardable = attachments.filter(att => att.content);
+    const skipped = attachments.filter(att => !att.content).map(att => att.filename || att.id);
+    
+    const quota = sendQuota(agent);
+    if (quota.exhausted) {
+      return res.status(429).json(sendLimitError(quota));
+    }
+    
+    const result = await sendAsAgent(agent, buildForward(row, forwardable, { to, body, html }), quota);
+    
+    res.json({
+      success: true,
+      message: 'Email forwarded',
+      forwarded: row.id,
+      ...result,
+      attachments_forwarded: forwardable.length,
+      attachments_skipped: skipped
+    });
+  } catch (err) {
+    console.error('Forward error:', err);
+    res.status(500).json({ error: 'Failed to send email: ' + err.message });
+  }
+});
 
 // ============= SOLANA PAY INTEGRATION =============
 const solanaPay = require('./solana-pay');
@@ -799,14 +2061,12 @@ app.post('/api/mailbox/create-paid', async (req, res) => {
     
     // Create mailbox
     const mailboxId = uuidv4().slice(0, 8);
-    const email = `kai+${mailboxId}@kdn.agency`;
-    const apiKey = generateApiKey();
-    const name = agent_name || `solana-${mailboxId}`;
-    
-    db.prepare(`
-      INSERT INTO agents (id, moltbook_id, moltbook_name, mailbox_id, email, api_key, created_at, paid)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), 1)
-    `).run(uuidv4(), `solana-${reference.slice(0,8)}`, name, mailboxId, email, apiKey);
+    const { email, apiKey } = createMailbox({
+      moltbook_id: `solana-${reference.slice(0,8)}`,
+      moltbook_name: agent_name || `solana-${mailboxId}`,
+      paid: 1,
+      premium: payment?.type === 'mailbox_premium' ? 1 : 0
+    }, mailboxId);
     
     // Mark payment as used
     db.prepare('UPDATE payments SET used = 1 WHERE reference = ?').run(reference);
@@ -816,6 +2076,7 @@ app.post('/api/mailbox/create-paid', async (req, res) => {
       mailbox_id: mailboxId,
       api_key: apiKey,
       paid: true,
+      premium: payment?.type === 'mailbox_premium',
       payment_signature: status.signature,
       message: 'Paid mailbox created successfully'
     });
@@ -829,6 +2090,13 @@ app.post('/api/mailbox/create-paid', async (req, res) => {
 async function main() {
   await initDb();
   
+  // Outbound mail from the service domain is signed too, but its first key starts
+  // out pending and only signs once housekeeping finds its record in DNS
+  if (!activeKey(SERVICE_DOMAIN)) rotateKey(SERVICE_DOMAIN);
+  
+  const threaded = backfillThreads();
+  if (threaded > 0) console.log(`Threaded ${threaded} existing message(s)`);
+  
   // Listen on localhost only (Cloudflare Tunnel will proxy)
   const HOST = process.env.HOST || '127.0.0.1';
   app.listen(PORT, HOST, () => {
@@ -837,11 +2105,54 @@ async function main() {
     console.log(`Solana Pay enabled - recipient: ${solanaPay.RECIPIENT}`);
   });
   
-  // Start webhook polling (every 30 seconds)
-  console.log('Starting webhook polling service...');
-  setInterval(pollWebhooks, 30000);
-  // Initial poll after 5 seconds
-  setTimeout(pollWebhooks, 5000);
+  // Purge expired trash, apply mailbox retention and expiry, and rotate DKIM keys
+  // (on start, then hourly)
+  const housekeeping = () => {
+    try {
+      const purged = purgeTrash();
+      if (purged > 0) console.log(`Purged ${purged} message(s) from trash`);
+    } catch (err) {
+      console.error('Trash purge error:', err.message);
+    }
+    try {
+      const { expired, purged } = runRetention();
+      if (expired > 0) console.log(`Deactivated ${expired} expired mailbox(es)`);
+      if (purged > 0) console.log(`Removed ${purged} message(s) past retention`);
+    } catch (err) {
+      console.error('Retention error:', err.message);
+    }
+    runRotation()
+      .then(({ started, activated }) => {
+        if (started > 0) console.log(`Started DKIM rotation for ${started} domain(s)`);
+        if (activated > 0) console.log(`Activated ${activated} rotated DKIM key(s)`);
+      })
+      .catch(err => console.error('DKIM rotation error:', err.message));
+  };
+  housekeeping();
+  setInterval(housekeeping, 60 * 60 * 1000);
+  
+  // Disposable mailboxes live for minutes, so expiry is also checked every minute
+  setInterval(() => {
+    try {
+      const { expired } = expireMailboxes();
+      if (expired > 0) console.log(`Expired ${expired} mailbox(es)`);
+    } catch (err) {
+      console.error('Expiry error:', err.message);
+    }
+  }, 60 * 1000);
+  
+  // Accept mail directly for our domains when the embedded receiver is enabled
+  if (RECEIVER_CONFIG.port) {
+    const receiver = await startSmtpReceiver();
+    console.log(`SMTP receiver listening on ${RECEIVER_CONFIG.host}:${receiver.port} for ${RECEIVER_CONFIG.domains.join(', ')}`);
+  }
+  
+  // Start mail ingestion (IMAP IDLE); webhooks fire as new mail is stored.
+  // Self-hosted setups that only use the SMTP receiver can turn it off.
+  if (process.env.IMAP_INGEST !== 'false') {
+    console.log('Starting mail ingester...');
+    startIngester();
+  }
 }
 
 main().catch(console.error);
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const { ingestMessage, notifyWebhooks } = require('./ingest');
+const { runRuleActions } = require('./rules');
+const { autoReplyConfig, isResponding, runAutoReplies } = require('./autoresponder');
+const { announceMessages } = require('./waiters');
+const { runAutoConfirm } = require('./confirm-links');
+const { ATTACHMENT_LIMITS } = require('./messages');
+const { isActive } = require('./retention');
+const { resolveRecipient } = require('./aliases');
+const { isVerifiedDomain, domainMailbox } = require('./domains');
+const { authenticateMessage } = require('./authentication');
+
+// Embedded inbound listener, enabled by setting INBOUND_SMTP_PORT
+const RECEIVER_CONFIG = {
+  port: process.env.INBOUND_SMTP_PORT ? parseInt(process.env.INBOUND_SMTP_PORT) : null,
+  host: process.env.INBOUND_SMTP_HOST || '0.0.0.0',
+  hostname: process.env.INBOUND_SMTP_HOSTNAME || 'kdn.agency',
+  domains: (process.env.INBOUND_SMTP_DOMAINS || 'kdn.agency')
+    .split(',').map(d => d.trim().toLowerCase()).filter(Boolean),
+  tlsKey: process.env.INBOUND_SMTP_TLS_KEY || null,
+  tlsCert: process.env.INBOUND_SMTP_TLS_CERT || null,
+  // Leave headroom over the largest attachment limit for MIME encoding overhead
+  maxSize: parseInt(process.env.INBOUND_SMTP_MAX_SIZE) || Math.ceil(ATTACHMENT_LIMITS.paid * 1.5)
+};
+
+/**
+ * Map a recipient address to its subaddress token if it belongs to one of our domains.
+ * Accepts both <token>@domain and the catch-all form kai+<token>@domain, where the
+ * token is a mailbox id or an alias.
+ * @returns {string|null} Token, or null for foreign domains
+ */
+function mailboxForAddress(address, domains) {
+  const at = (address || '').lastIndexOf('@');
+  if (at < 1) return null;
+
+  const domain = address.slice(at + 1).toLowerCase();
+  if (!domains.includes(domain)) return null;
+
+  const local = address.slice(0, at).toLowerCase();
+  const plus = local.indexOf('+');
+  return plus === -1 ? local : local.slice(plus + 1) || null;
+}
+
+function smtpError(code, message) {
+  const err = new Error(message);
+  err.responseCode = code;
+  return err;
+}
+
+function mailboxAccepts(token) {
+  const recipient = resolveRecipient(token);
+  if (!recipient || (recipient.alias && !recipient.alias.active)) return false;
+  // Expired mailboxes take mail only to acknowledge it with their auto-responder
+  return isActive(recipient.agent) || isResponding(autoReplyConfig(recipient.agent));
+}
+
+/**
+ * Fire webhooks, rule actions, auto-replies and automatic link confirmations
+ * for stored mail
+ */
+async function runFollowUps(stored, client) {
+  await notifyWebhooks(stored);
+  await runRuleActions(stored);
+  // Bounces (empty envelope sender) are never answered
+  if (client.mailFrom) {
+    await runAutoReplies(stored);
+  }
+  await runAutoConfirm(stored);
+}
+
+/**
+ * Parse a received message, authenticate its sender, store it in the target
+ * mailboxes and answer waiting requests. Resolves once the message is stored;
+ * the follow-ups run afterwards, so a failing one never makes the sender retry
+ * a message we already have.
+ * @param {object} client - { ip, helo, mailFrom } of the delivering SMTP session
+ */
+async function deliverMessage(raw, tokens, client) {
+  const parsed = await simpleParser(raw);
+  const authentication = await authenticateMessage(parsed, raw, client);
+  const stored = ingestMessage(parsed, raw, tokens, authentication);
+  const received = stored.filter(entry => !entry.retired).length;
+  if (received > 0) {
+    console.log(`Received ${received} message(s) over SMTP`);
+  }
+  announceMessages(stored);
+  runFollowUps(stored, client).catch(err => console.error('SMTP follow-up error:', err));
+}
+
+/**
+ * Start the embedded SMTP receiver.
+ * Recipients are validated at RCPT time, so mail for unknown mailboxes is
+ * refused before any data is transferred.
+ * @param {object} options - Overrides for RECEIVER_CONFIG, plus hooks for tests:
+ *   hasMailbox(token), customMailbox(address), hostsDomain(domain) and deliver(raw, tokens, client)
+ * @returns {Promise<object>} { port, stop }
+ */
+function startSmtpReceiver(options = {}) {
+  const config = { ...RECEIVER_CONFIG, ...options };
+  const hasMailbox = options.hasMailbox || mailboxAccepts;
+  const customMailbox = options.customMailbox || domainMailbox;
+  const hostsDomain = options.hostsDomain || isVerifiedDomain;
+  // Service domains map by subaddress, verified custom domains by exact address
+  const tokenFor = (address) => mailboxForAddress(address, config.domains) || customMailbox(address);
+  const deliver = options.deliver || deliverMessage;
+  const tls = config.tlsKey && config.tlsCert;
+
+  const server = new SMTPServer({
+    name: config.hostname,
+    size: config.maxSize,
+    logger: false,
+    // Inbound MX: anyone may deliver to our domains, nobody may relay through us
+    authOptional: true,
+    disabledCommands: tls ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+    key: tls ? fs.readFileSync(config.tlsKey) : undefined,
+    cert: tls ? fs.readFileSync(config.tlsCert) : undefined,
+
+    onRcptTo(address, session, callback) {
+      try {
+        const token = tokenFor(address.address);
+        if (!token && !hostsDomain(address.address.split('@').pop())) {
+          return callback(smtpError(550, '5.7.1 Relaying denied'));
+        }
+        if (!token || !hasMailbox(token)) {
+          return callback(smtpError(550, '5.1.1 Mailbox unavailable'));
+        }
+      } catch (err) {
+        console.error('SMTP recipient lookup error:', err);
+        return callback(smtpError(451, '4.3.0 Temporary lookup failure'));
+      }
+      callback();
+    },
+
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('error', callback);
+      stream.on('end', async () => {
+        if (stream.sizeExceeded) {
+          return callback(smtpError(552, '5.3.4 Message exceeds maximum size'));
+        }
+        try {
+          const tokens = [...new Set(session.envelope.rcptTo.map(rcpt => tokenFor(rcpt.address)))];
+          await deliver(Buffer.concat(chunks), tokens, {
+            ip: session.remoteAddress,
+            helo: session.hostNameAppearsAs,
+            mailFrom: session.envelope.mailFrom ? session.envelope.mailFrom.address : ''
+          });
+          callback();
+        } catch (err) {
+          console.error('SMTP delivery error:', err);
+          callback(smtpError(451, '4.3.0 Temporary failure, try again later'));
+        }
+      });
+    }
+  });
+
+  server.on('error', err => console.error('SMTP receiver error:', err.message));
+
+  return new Promise((resolve, reject) => {
+    server.server.once('error', reject);
+    server.listen(config.port, config.host, () => {
+      server.server.removeListener('error', reject);
+      resolve({
+        port: server.server.address().port,
+        stop: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { RECEIVER_CONFIG, mailboxForAddress, startSmtpReceiver };
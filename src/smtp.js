@@ -1,49 +1,51 @@
-const nodemailer = require('nodemailer');
-
-const SMTP_CONFIG = {
-  host: process.env.SMTP_HOST || 'smtp.purelymail.com',
-  port: parseInt(process.env.SMTP_PORT) || 587,
-  secure: false, // STARTTLS
-  auth: {
-    user: process.env.EMAIL_USER || 'kai@kdn.agency',
-    pass: process.env.EMAIL_PASS || 'gdb_eky2xjb9XBV9gzy'
-  }
-};
-
-const transporter = nodemailer.createTransport(SMTP_CONFIG);
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { getTransport } = require('./transports');
+const { signMessage } = require('./dkim');
 
 /**
  * Send email from agent's mailbox
- * @param {string} mailboxId - Agent's mailbox ID (for From address)
- * @param {object} options - { to, subject, body, html }
+ * @param {string} from - Agent's address (kai+<mailbox_id>@kdn.agency or on a custom domain)
+ * @param {object} options - { to, cc, subject, body, html, inReplyTo, references, attachments, headers }
+ * @returns {Promise<Object>} { messageId, from, to, subject, raw } where raw is the sent source
  */
-async function sendEmail(mailboxId, { to, subject, body, html }) {
-  const from = `kai+${mailboxId}@kdn.agency`;
-  
-  const info = await transporter.sendMail({
+async function sendEmail(from, { to, cc, subject, body, html, inReplyTo, references, attachments, headers }) {
+  // Compose once so the exact source that goes out can be kept in the sent folder
+  const mail = new MailComposer({
     from,
     to,
+    cc,
     subject,
     text: body,
-    html: html || undefined
-  });
+    html: html || undefined,
+    inReplyTo,
+    references,
+    attachments,
+    headers
+  }).compile();
+  // Signed with the sending domain's DKIM key, when it has one
+  signMessage(mail, from);
+  const raw = await mail.build();
+  
+  await getTransport().send({ envelope: mail.getEnvelope(), raw });
   
   return {
-    messageId: info.messageId,
+    messageId: mail.messageId(),
     from,
     to,
-    subject
+    subject,
+    raw
   };
 }
 
 // Verify connection on startup
 async function verifySmtp() {
   try {
-    await transporter.verify();
-    console.log('SMTP connection verified');
+    const transport = getTransport();
+    await transport.verify();
+    console.log(`Mail transport verified (${transport.name})`);
     return true;
   } catch (err) {
-    console.error('SMTP verification failed:', err.message);
+    console.error('Mail transport verification failed:', err.message);
     return false;
   }
 }
@@ -0,0 +1,304 @@
+const { getDb, transaction } = require('./db');
+
+const SPAM_CONFIG = {
+  // Messages scoring at or above the threshold are filed in the spam folder
+  threshold: parseFloat(process.env.SPAM_THRESHOLD) || 5,
+  // The classifier only votes once a mailbox has trained this many of each kind
+  minTraining: 5,
+  // Points the classifier adds at certainty (or subtracts for certain ham)
+  bayesWeight: 5,
+  maxTokens: 300
+};
+
+const SHORTENER_HOSTS = new Set([
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy'
+]);
+
+function domainOf(address) {
+  const at = String(address || '').lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1).toLowerCase();
+}
+
+function registeredDomain(host) {
+  return host.split('.').slice(-2).join('.');
+}
+
+/**
+ * Links in a message: { href, host, text } for HTML anchors (text is what the
+ * reader sees) and bare URLs in the text part
+ */
+function extractLinks(parsed) {
+  const links = [];
+  const add = (href, text) => {
+    try {
+      const url = new URL(href.trim());
+      if (!['http:', 'https:'].includes(url.protocol)) return;
+      links.push({ href: url.href, url, host: url.hostname.toLowerCase(), text });
+    } catch (err) { /* not a URL */ }
+  };
+  const anchors = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  for (const [, href, inner] of String(parsed.html || '').matchAll(anchors)) {
+    add(href.replace(/&amp;/g, '&'), inner.replace(/<[^>]*>/g, '').trim());
+  }
+  for (const [href] of String(parsed.text || '').matchAll(/https?:\/\/[^\s<>"')]+/gi)) {
+    add(href, null);
+  }
+  return links;
+}
+
+/**
+ * Words the classifier learns from: sender domain, subject and body words
+ */
+function tokenize({ from_addr, subject, body }) {
+  const tokens = new Set();
+  const sender = String(from_addr || '').match(/@([a-z0-9.-]+)/i);
+  if (sender) tokens.add(`from:${sender[1].toLowerCase()}`);
+  for (const word of String(subject || '').toLowerCase().match(/[\p{L}\p{N}$€£'-]{3,20}/gu) || []) {
+    tokens.add(`subject:${word}`);
+  }
+  for (const word of String(body || '').toLowerCase().match(/[\p{L}\p{N}$€£'-]{3,20}/gu) || []) {
+    if (tokens.size >= SPAM_CONFIG.maxTokens) break;
+    tokens.add(word);
+  }
+  return [...tokens];
+}
+
+/*
+ * Scoring rules. Each rule is { name, description, score(parsed, context) } and
+ * returns the points it adds (negative for signs of legitimate mail). context is
+ * { agent, authentication, links, tokens }.
+ */
+const rules = [
+  {
+    name: 'missing-message-id',
+    description: 'No Message-ID header',
+    score: (parsed) => (parsed.messageId ? 0 : 1)
+  },
+  {
+    name: 'bad-date',
+    description: 'Date header missing or in the future',
+    score: (parsed) => {
+      if (!parsed.headers?.has('date')) return 0.5;
+      return parsed.date && parsed.date.getTime() > Date.now() + 24 * 60 * 60 * 1000 ? 1 : 0;
+    }
+  },
+  {
+    name: 'shouting-subject',
+    description: 'Subject in capitals or with runs of !, ? or $',
+    score: (parsed) => {
+      const subject = parsed.subject || '';
+      const letters = subject.replace(/[^a-z]/gi, '');
+      return (letters.length >= 10 && letters === letters.toUpperCase() ? 1 : 0) +
+        (/[!?$]{3,}/.test(subject) ? 1 : 0);
+    }
+  },
+  {
+    name: 'display-name-spoof',
+    description: 'Sender name shows an address on another domain',
+    score: (parsed) => {
+      const from = parsed.from?.value?.[0];
+      const shown = String(from?.name || '').match(/@([a-z0-9.-]+\.[a-z]{2,})/i);
+      return shown && shown[1].toLowerCase() !== domainOf(from.address) ? 2.5 : 0;
+    }
+  },
+  {
+    name: 'reply-to-mismatch',
+    description: 'Replies go to a different domain than the sender',
+    score: (parsed) => {
+      const from = domainOf(parsed.from?.value?.[0]?.address);
+      const replyTo = domainOf(parsed.replyTo?.value?.[0]?.address);
+      return from && replyTo && registeredDomain(from) !== registeredDomain(replyTo) ? 1 : 0;
+    }
+  },
+  {
+    name: 'sender-authentication',
+    description: 'SPF/DKIM/DMARC verdict on the sender',
+    score: (parsed, { authentication }) => ({ suspicious: 3, trusted: -1 })[authentication?.verdict] || 0
+  },
+  {
+    name: 'deceptive-link',
+    description: 'Link text shows a different site than the link goes to',
+    score: (parsed, { links }) => (links.some(link => {
+      const shown = (link.text || '').match(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})/i);
+      return shown && registeredDomain(shown[1].toLowerCase()) !== registeredDomain(link.host);
+    }) ? 3 : 0)
+  },
+  {
+    name: 'ip-address-link',
+    description: 'Link to a bare IP address',
+    score: (parsed, { links }) => (links.some(link => /^[\d.]+$|^\[/.test(link.host)) ? 2 : 0)
+  },
+  {
+    name: 'obfuscated-link',
+    description: 'Link with embedded credentials or a punycode host',
+    score: (parsed, { links }) => (links.some(link => link.url.username || /(^|\.)xn--/.test(link.host)) ? 2 : 0)
+  },
+  {
+    name: 'shortened-link',
+    description: 'Link through a URL shortener',
+    score: (parsed, { links }) => (links.some(link => SHORTENER_HOSTS.has(link.host)) ? 1 : 0)
+  },
+  {
+    name: 'bayes',
+    description: 'Per-mailbox classifier trained with mark as spam / not spam',
+    score: (parsed, { agent, tokens }) => {
+      if (!classifierActive(agent)) return 0;
+      const probability = classify(tokens, tokenCounts(agent.mailbox_id, tokens), trainingTotals(agent));
+      return (probability - 0.5) * 2 * SPAM_CONFIG.bayesWeight;
+    }
+  }
+];
+
+/**
+ * Add a scoring rule to the pipeline
+ * @param {object} rule - { name, description, score(parsed, context) }
+ */
+function registerRule(rule) {
+  if (!rule.name || typeof rule.score !== 'function') {
+    throw new Error('A rule needs a name and a score function');
+  }
+  rules.push(rule);
+}
+
+function listRules() {
+  return rules.map(({ name, description }) => ({ name, description }));
+}
+
+// ============= CLASSIFIER =============
+
+function trainingTotals(agent) {
+  return { spam: agent.spam_trained || 0, ham: agent.ham_trained || 0 };
+}
+
+function isTrained(totals) {
+  return totals.spam >= SPAM_CONFIG.minTraining && totals.ham >= SPAM_CONFIG.minTraining;
+}
+
+/**
+ * Whether a mailbox has trained its classifier enough for it to vote
+ */
+function classifierActive(agent) {
+  return isTrained(trainingTotals(agent));
+}
+
+/**
+ * Spam/ham counts for the tokens a mailbox has seen
+ * @returns {Map} token -> { spam, ham }
+ */
+function tokenCounts(mailboxId, tokens) {
+  if (tokens.length === 0) return new Map();
+  const rows = getDb().prepare(`
+    SELECT token, spam, ham FROM spam_tokens
+    WHERE mailbox_id = ? AND token IN (${tokens.map(() => '?').join(', ')})
+  `).all(mailboxId, ...tokens);
+  return new Map(rows.map(r => [r.token, { spam: r.spam, ham: r.ham }]));
+}
+
+/**
+ * Probability that a message is spam, from its most telling tokens
+ * (Robinson's smoothed per-token estimates, combined naive-Bayes style)
+ * @param {Array} tokens - Message tokens
+ * @param {Map} counts - token -> { spam, ham } training counts
+ * @param {object} totals - { spam, ham } messages trained
+ * @returns {number|null} 0..1, or null while the mailbox is not trained enough
+ */
+function classify(tokens, counts, totals) {
+  if (!isTrained(totals)) return null;
+
+  const estimates = [];
+  for (const token of tokens) {
+    const count = counts.get(token);
+    if (!count || count.spam + count.ham === 0) continue;
+    const spamRate = count.spam / totals.spam;
+    const hamRate = count.ham / totals.ham;
+    const p = spamRate / (spamRate + hamRate);
+    const n = count.spam + count.ham;
+    estimates.push((0.5 + n * p) / (1 + n));
+  }
+  if (estimates.length === 0) return 0.5;
+
+  const telling = estimates
+    .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+    .slice(0, 15)
+    .map(p => Math.min(Math.max(p, 0.01), 0.99));
+  const eta = telling.reduce((sum, p) => sum + Math.log(1 - p) - Math.log(p), 0);
+  return 1 / (1 + Math.exp(eta));
+}
+
+/**
+ * Train a mailbox's classifier on a stored message. Relabelling a message
+ * first undoes what it taught before.
+ * @param {object} agent - Mailbox owner
+ * @param {object} row - Stored message
+ * @param {string} label - 'spam' or 'ham'
+ */
+function train(agent, row, label) {
+  if (row.spam_label === label) return;
+  const db = getDb();
+  const tokens = tokenize(row);
+
+  const adjust = (kind, delta) => {
+    const column = kind === 'spam' ? 'spam' : 'ham';
+    for (const token of tokens) {
+      db.prepare(`
+        INSERT OR IGNORE INTO spam_tokens (mailbox_id, token, spam, ham) VALUES (?, ?, 0, 0)
+      `).run(agent.mailbox_id, token);
+      db.prepare(`UPDATE spam_tokens SET ${column} = MAX(${column} + ?, 0) WHERE mailbox_id = ? AND token = ?`)
+        .run(delta, agent.mailbox_id, token);
+    }
+    db.prepare(`UPDATE agents SET ${column}_trained = MAX(COALESCE(${column}_trained, 0) + ?, 0) WHERE id = ?`)
+      .run(delta, agent.id);
+  };
+
+  // A message has hundreds of tokens; save the database once, not per token
+  transaction(() => {
+    if (row.spam_label) adjust(row.spam_label, -1);
+    adjust(label, 1);
+    db.prepare('UPDATE messages SET spam_label = ? WHERE id = ?').run(label, row.id);
+  });
+}
+
+// ============= SCORING =============
+
+function spamThreshold(agent) {
+  return agent.spam_threshold ?? SPAM_CONFIG.threshold;
+}
+
+/**
+ * Run every rule over an inbound message
+ * @param {object} parsed - mailparser result
+ * @param {object} context - { agent (receiving mailbox), authentication (see ./authentication) }
+ * @returns {object} { score, rules: [{ name, score }] for rules that fired, spam }
+ */
+function scoreMessage(parsed, { agent, authentication = null }) {
+  const context = {
+    agent,
+    authentication,
+    links: extractLinks(parsed),
+    tokens: tokenize({ from_addr: parsed.from?.text, subject: parsed.subject, body: parsed.text || parsed.html })
+  };
+
+  const fired = [];
+  for (const rule of rules) {
+    try {
+      const points = rule.score(parsed, context);
+      if (points) fired.push({ name: rule.name, score: Math.round(points * 100) / 100 });
+    } catch (err) {
+      console.error(`Spam rule ${rule.name} error:`, err.message);
+    }
+  }
+  const score = Math.round(fired.reduce((sum, rule) => sum + rule.score, 0) * 100) / 100;
+  return { score, rules: fired, spam: score >= spamThreshold(agent) };
+}
+
+module.exports = {
+  SPAM_CONFIG,
+  registerRule,
+  listRules,
+  tokenize,
+  classify,
+  classifierActive,
+  train,
+  spamThreshold,
+  scoreMessage
+};
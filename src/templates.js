@@ -0,0 +1,72 @@
+// Built-in email templates; {{name}} placeholders are filled from variables
+const EMAIL_TEMPLATES = {
+  verification_request: {
+    subject: 'Verification Request from {{agent_name}}',
+    body: `Hello,
+
+I am {{agent_name}}, an AI agent requesting verification access.
+
+Purpose: {{purpose}}
+
+My email: {{agent_email}}
+Timestamp: {{timestamp}}
+
+Please reply to this email to complete verification.
+
+Best regards,
+{{agent_name}}`
+  },
+  introduction: {
+    subject: 'Introduction: {{agent_name}}',
+    body: `Hello,
+
+I am {{agent_name}}, an AI agent.
+
+{{message}}
+
+You can reach me at: {{agent_email}}
+
+Best regards,
+{{agent_name}}`
+  },
+  follow_up: {
+    subject: 'Follow-up: {{subject}}',
+    body: `Hello,
+
+This is a follow-up regarding: {{subject}}
+
+{{message}}
+
+Best regards,
+{{agent_name}}`
+  },
+  out_of_office: {
+    subject: 'Out of office: {{subject}}',
+    body: `Hello,
+
+Thank you for your message. {{agent_name}} is away and not reading mail until {{return_date}}.
+
+{{message}}
+
+Best regards,
+{{agent_name}}`
+  }
+};
+
+// Extract {{variable}} placeholders from template
+function extractTemplateVars(text) {
+  const matches = text.match(/\{\{(\w+)\}\}/g) || [];
+  return [...new Set(matches.map(m => m.slice(2, -2)))];
+}
+
+// Fill template with variables. Values may come from senders (e.g. a subject),
+// so they are inserted verbatim in one pass: no $& patterns, no placeholders
+// inside values expanded in turn.
+function fillTemplate(template, vars) {
+  const fill = text => text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] ?? '') : placeholder));
+  
+  return { subject: fill(template.subject), body: fill(template.body) };
+}
+
+module.exports = { EMAIL_TEMPLATES, extractTemplateVars, fillTemplate };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { getDb, transaction } = require('./db');
+
+// Subject fallback only joins replies to threads active within this window
+const SUBJECT_MATCH_DAYS = 30;
+
+// Reply/forward prefixes in common languages (Re, Fwd, Aw, Sv, Antw, Rif, Réf, ...)
+const PREFIX_WORD = '(re|fw|fwd|aw|wg|sv|antw|rif|réf|tr|odp)(\\[\\d+\\])?\\s*:';
+// Everything to strip from the front of a subject: reply prefixes and [list] tags
+const SUBJECT_PREFIX = new RegExp(`^\\s*(${PREFIX_WORD}\\s*|\\[[^\\]]*\\]\\s*)+`, 'i');
+const REPLY_MARKER = new RegExp(`^\\s*(\\[[^\\]]*\\]\\s*)*${PREFIX_WORD}`, 'i');
+
+/**
+ * Strip reply/forward prefixes and list tags so replies share their original's subject
+ */
+function normalizeSubject(subject) {
+  return (subject || '').replace(SUBJECT_PREFIX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Whether a subject claims to be a reply or forward
+ */
+function isReplySubject(subject) {
+  return REPLY_MARKER.test(subject || '');
+}
+
+/**
+ * Extract the <message-id> tokens from In-Reply-To / References values
+ */
+function parseMessageIds(value) {
+  const text = [].concat(value || []).join(' ');
+  return text.match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Pick the thread a newly stored message belongs to, merging threads when the
+ * message links two that were started separately (e.g. a reply stored before its parent).
+ * Order of evidence: In-Reply-To/References, messages that reference this one,
+ * then the normalized subject for replies.
+ * @param {object} row - Stored row with id, mailbox_id, message_id, in_reply_to, references_ids, subject, received_at
+ * @returns {string} Thread id
+ */
+function resolveThreadId(row) {
+  const db = getDb();
+  const candidates = [];
+  
+  // Parents: messages this one replies to, nearest reference first
+  const parentIds = [...parseMessageIds(row.in_reply_to), ...parseMessageIds(row.references_ids).reverse()];
+  for (const messageId of parentIds) {
+    const parent = db.prepare(`
+      SELECT thread_id FROM messages
+      WHERE mailbox_id = ? AND message_id = ? AND thread_id IS NOT NULL AND id != ?
+    `).get(row.mailbox_id, messageId, row.id);
+    if (parent) candidates.push(parent.thread_id);
+  }
+  
+  // Children: messages stored earlier that already reference this one
+  if (row.message_id) {
+    const children = db.prepare(`
+      SELECT DISTINCT thread_id FROM messages
+      WHERE mailbox_id = ? AND thread_id IS NOT NULL AND id != ?
+        AND (instr(in_reply_to, ?) > 0 OR instr(references_ids, ?) > 0)
+    `).all(row.mailbox_id, row.id, row.message_id, row.message_id);
+    candidates.push(...children.map(c => c.thread_id));
+  }
+  
+  // Subject fallback for replies whose clients dropped the threading headers
+  if (candidates.length === 0 && isReplySubject(row.subject)) {
+    const sameSubject = db.prepare(`
+      SELECT thread_id FROM messages
+      WHERE mailbox_id = ? AND thread_subject = ? AND thread_id IS NOT NULL AND id != ?
+        AND received_at >= ?
+      ORDER BY received_at DESC LIMIT 1
+    `).get(row.mailbox_id, normalizeSubject(row.subject), row.id,
+      new Date(Date.parse(row.received_at) - SUBJECT_MATCH_DAYS * 24 * 60 * 60 * 1000).toISOString());
+    if (sameSubject) candidates.push(sameSubject.thread_id);
+  }
+  
+  if (candidates.length === 0) {
+    return crypto.createHash('sha256').update(`thread:${row.mailbox_id}:${row.id}`).digest('hex').slice(0, 32);
+  }
+  
+  // Fold every other linked thread into the first one
+  const [threadId, ...others] = [...new Set(candidates)];
+  for (const other of others) {
+    db.prepare('UPDATE messages SET thread_id = ? WHERE mailbox_id = ? AND thread_id = ?')
+      .run(threadId, row.mailbox_id, other);
+  }
+  return threadId;
+}
+
+/**
+ * Assign a thread to a stored message
+ * @returns {string} Thread id
+ */
+function assignThread(row) {
+  const db = getDb();
+  const threadId = resolveThreadId(row);
+  db.prepare('UPDATE messages SET thread_id = ?, thread_subject = ? WHERE id = ?')
+    .run(threadId, normalizeSubject(row.subject), row.id);
+  return threadId;
+}
+
+/**
+ * Thread messages stored before threading existed, oldest first. Runs on every
+ * start, so threaded rows are skipped and the rest are saved in one write.
+ * @returns {number} Number of messages threaded
+ */
+function backfillThreads() {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT id, mailbox_id, message_id, in_reply_to, references_ids, subject, received_at
+    FROM messages WHERE thread_id IS NULL ORDER BY received_at ASC
+  `).all();
+  if (rows.length === 0) return 0;
+  transaction(() => {
+    for (const row of rows) {
+      assignThread(row);
+    }
+  });
+  return rows.length;
+}
+
+/**
+ * List a mailbox's threads (trash excluded), most recently active first.
+ * Like the inbox listing, spam and quarantined mail is left out unless a folder is given.
+ * @param {object} options - { limit, folder (only count and show messages in this folder) }
+ * @returns {Array} [{ id, subject, message_count, unread_count, participants, first_message_at, last_message_at }]
+ */
+function listThreads(mailboxId, { limit = 20, folder } = {}) {
+  const db = getDb();
+  const inFolder = folder
+    ? { sql: 'folder = ?', params: [folder] }
+    : { sql: "folder NOT IN ('spam', 'quarantine')", params: [] };
+  const threads = db.prepare(`
+    SELECT thread_id, COUNT(*) as message_count,
+      SUM(CASE WHEN seen = 0 THEN 1 ELSE 0 END) as unread_count,
+      MIN(received_at) as first_message_at, MAX(received_at) as last_message_at
+    FROM messages
+    WHERE mailbox_id = ? AND deleted_at IS NULL AND thread_id IS NOT NULL AND ${inFolder.sql}
+    GROUP BY thread_id
+    ORDER BY last_message_at DESC LIMIT ?
+  `).all(mailboxId, ...inFolder.params, limit);
+  
+  return threads.map(thread => summarizeThread(mailboxId, thread, inFolder));
+}
+
+/**
+ * Summary for a single thread, or null if it has no visible messages
+ */
+function getThreadSummary(mailboxId, threadId) {
+  const db = getDb();
+  const thread = db.prepare(`
+    SELECT thread_id, COUNT(*) as message_count,
+      SUM(CASE WHEN seen = 0 THEN 1 ELSE 0 END) as unread_count,
+      MIN(received_at) as first_message_at, MAX(received_at) as last_message_at
+    FROM messages
+    WHERE mailbox_id = ? AND thread_id = ? AND deleted_at IS NULL
+  `).get(mailboxId, threadId);
+  
+  return thread && thread.message_count > 0 ? summarizeThread(mailboxId, thread) : null;
+}
+
+function summarizeThread(mailboxId, thread, inFolder = { sql: '1 = 1', params: [] }) {
+  const db = getDb();
+  const messages = db.prepare(`
+    SELECT subject, from_addr, to_addr FROM messages
+    WHERE mailbox_id = ? AND thread_id = ? AND deleted_at IS NULL AND ${inFolder.sql}
+    ORDER BY received_at ASC
+  `).all(mailboxId, thread.thread_id, ...inFolder.params);
+  
+  const participants = new Set();
+  for (const message of messages) {
+    const addresses = `${message.from_addr} ${message.to_addr}`.match(/[^\s<>",]+@[^\s<>",]+/g) || [];
+    addresses.forEach(address => participants.add(address.toLowerCase()));
+  }
+  
+  return {
+    id: thread.thread_id,
+    subject: messages[0]?.subject || '(no subject)',
+    message_count: thread.message_count,
+    unread_count: thread.unread_count,
+    participants: [...participants],
+    first_message_at: thread.first_message_at,
+    last_message_at: thread.last_message_at
+  };
+}
+
+module.exports = {
+  normalizeSubject,
+  parseMessageIds,
+  assignThread,
+  backfillThreads,
+  listThreads,
+  getThreadSummary
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const { fetchMessages, watchInbox } = require('./imap');
+
+/*
+ * A mail transport moves mail in and out of the service:
+ *   name, folder             - backend name and its sync_state checkpoint key
+ *   fetch(checkpoint)        - { uidvalidity, full, messages: [{ uid, parsed, raw, receivedAt }] }
+ *                              with every message newer than the checkpoint; receivedAt is
+ *                              when the backend got it, if it knows. The result may carry
+ *                              acknowledge(), to call once the messages are stored and the
+ *                              checkpoint saved
+ *   watch(onMail)            - calls onMail(fetch) on start and whenever mail arrives; returns { stop }
+ *   send({ envelope, raw })  - hands a composed message to the outside world
+ *   verify()                 - resolves if the backend is usable
+ */
+
+// Selected with MAIL_TRANSPORT: imap (default), maildir or memory
+const TRANSPORT_CONFIG = {
+  type: process.env.MAIL_TRANSPORT || 'imap',
+  maildir: process.env.MAILDIR_PATH || path.join(__dirname, '..', 'data', 'maildir')
+};
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || 'smtp.purelymail.com',
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: false, // STARTTLS
+  auth: {
+    user: process.env.EMAIL_USER || 'kai@kdn.agency',
+    pass: process.env.EMAIL_PASS || 'gdb_eky2xjb9XBV9gzy'
+  }
+};
+
+/**
+ * Upstream mailbox account: IMAP catch-all for inbound, SMTP submission for outbound
+ */
+function createImapTransport() {
+  const transporter = nodemailer.createTransport(SMTP_CONFIG);
+  return {
+    name: 'imap',
+    folder: 'INBOX',
+    fetch: fetchMessages,
+    watch: watchInbox,
+    send: ({ envelope, raw }) => transporter.sendMail({ envelope, raw }),
+    verify: () => transporter.verify()
+  };
+}
+
+/**
+ * Local Maildir: inbound mail is read from <root>/new (and moved to cur once
+ * stored), outbound mail is written to the <root>/outbox Maildir for another
+ * process to relay. Maildir has no UIDs, so they are counted from the checkpoint.
+ */
+function createMaildirTransport(root = TRANSPORT_CONFIG.maildir) {
+  const outbox = path.join(root, 'outbox');
+  for (const dir of [root, outbox]) {
+    for (const sub of ['tmp', 'new', 'cur']) {
+      fs.mkdirSync(path.join(dir, sub), { recursive: true });
+    }
+  }
+  let sequence = 0;
+
+  const listFiles = (sub) => fs.readdirSync(path.join(root, sub))
+    .filter(name => !name.startsWith('.'))
+    .map(name => ({ sub, name, mtime: fs.statSync(path.join(root, sub, name)).mtimeMs }));
+
+  async function fetch(checkpoint = null) {
+    const uidvalidity = 1;
+    const full = !checkpoint || checkpoint.uidvalidity !== uidvalidity;
+    let uid = full ? 0 : checkpoint.last_uid;
+
+    // A full resync re-reads mail that was already moved to cur; the store deduplicates it
+    const files = (full ? [...listFiles('cur'), ...listFiles('new')] : listFiles('new'))
+      .sort((a, b) => a.mtime - b.mtime || a.name.localeCompare(b.name));
+
+    const messages = [];
+    const fetched = [];
+    for (const file of files) {
+      const raw = fs.readFileSync(path.join(root, file.sub, file.name));
+      const receivedAt = new Date(file.mtime);
+      try {
+        messages.push({ uid: ++uid, parsed: await simpleParser(raw), raw, receivedAt });
+      } catch (err) {
+        // Left in new, so it is retried rather than lost
+        console.error('Parse error:', err);
+        continue;
+      }
+      if (file.sub === 'new') fetched.push(file.name);
+    }
+
+    // Mail leaves new only once it is safely stored; until then every fetch sees it again
+    const acknowledge = () => {
+      for (const name of fetched) {
+        fs.renameSync(path.join(root, 'new', name), path.join(root, 'cur', `${name}:2,S`));
+      }
+    };
+    return { uidvalidity, full, messages, acknowledge };
+  }
+
+  function watch(onMail) {
+    const watcher = fs.watch(path.join(root, 'new'), () => onMail(fetch));
+    onMail(fetch);
+    return { stop: () => watcher.close() };
+  }
+
+  async function send({ raw }) {
+    // Write to tmp then rename, so readers never see a partial message
+    const name = `${Date.now()}.${process.pid}_${++sequence}.${os.hostname()}`;
+    fs.writeFileSync(path.join(outbox, 'tmp', name), raw);
+    fs.renameSync(path.join(outbox, 'tmp', name), path.join(outbox, 'new', name));
+  }
+
+  return { name: 'maildir', folder: `maildir:${root}`, fetch, watch, send, verify: async () => true };
+}
+
+/**
+ * In-memory loopback: everything sent is delivered straight back to the inbound
+ * queue, so mail between local mailboxes works with no mail server at all.
+ * deliver(raw) injects inbound mail; sent holds every outbound { envelope, raw }.
+ */
+function createMemoryTransport() {
+  const inbox = [];
+  const sent = [];
+  const listeners = new Set();
+  const uidvalidity = Math.floor(Date.now() / 1000);
+
+  async function fetch(checkpoint = null) {
+    const full = !checkpoint || checkpoint.uidvalidity !== uidvalidity;
+    const lastUid = full ? 0 : checkpoint.last_uid;
+    const messages = await Promise.all(inbox
+      .filter(m => m.uid > lastUid)
+      .map(async ({ uid, raw, receivedAt }) => ({ uid, parsed: await simpleParser(raw), raw, receivedAt })));
+    return { uidvalidity, full, messages };
+  }
+
+  function deliver(raw) {
+    inbox.push({ uid: inbox.length + 1, raw: Buffer.from(raw), receivedAt: new Date() });
+    for (const listener of listeners) listener();
+  }
+
+  function watch(onMail) {
+    const listener = () => onMail(fetch);
+    listeners.add(listener);
+    listener();
+    return { stop: () => listeners.delete(listener) };
+  }
+
+  async function send({ envelope, raw }) {
+    sent.push({ envelope, raw });
+    // Record the envelope recipients like an MTA would, so Bcc'd mailboxes are routed too
+    const deliveredTo = (envelope.to || []).map(addr => `Delivered-To: ${addr}\r\n`).join('');
+    deliver(Buffer.concat([Buffer.from(deliveredTo), Buffer.from(raw)]));
+  }
+
+  return { name: 'memory', folder: 'memory', fetch, watch, send, verify: async () => true, deliver, sent };
+}
+
+const TRANSPORTS = {
+  imap: createImapTransport,
+  maildir: createMaildirTransport,
+  memory: createMemoryTransport
+};
+
+/**
+ * Create a transport by backend name
+ */
+function createTransport(type, ...args) {
+  const factory = TRANSPORTS[type];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${type} (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory(...args);
+}
+
+let transport = null;
+
+/**
+ * The configured transport, shared by ingestion and sending
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport(TRANSPORT_CONFIG.type);
+  }
+  return transport;
+}
+
+module.exports = {
+  TRANSPORT_CONFIG,
+  createTransport,
+  createImapTransport,
+  createMaildirTransport,
+  createMemoryTransport,
+  getTransport
+};
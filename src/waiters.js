@@ -0,0 +1,74 @@
+// Long-poll requests waiting for new mail, woken as soon as ingest stores a match
+const WAIT_LIMITS = {
+  defaultSeconds: 30,
+  maxSeconds: 120,
+  // Open waits per mailbox
+  perMailbox: 5
+};
+
+const waiters = new Set();
+
+/**
+ * Whether a message satisfies a wait: delivered to the inbox, with from and
+ * subject (when given) found case-insensitively in its From and Subject
+ * @param {object} row - Stored message
+ * @param {object} filters - { from, subject }
+ */
+function matchesWait(row, { from, subject } = {}) {
+  if (row.folder !== 'inbox' || row.deleted_at) return false;
+  const contains = (value, part) => String(value || '').toLowerCase().includes(part.toLowerCase());
+  return (!from || contains(row.from_addr, from)) && (!subject || contains(row.subject, subject));
+}
+
+function pendingWaits(mailboxId) {
+  let count = 0;
+  for (const waiter of waiters) {
+    if (waiter.mailboxId === mailboxId) count++;
+  }
+  return count;
+}
+
+/**
+ * Wait for the next matching message stored in a mailbox
+ * @param {string} mailboxId - Mailbox to watch
+ * @param {object} filters - { from, subject }, see matchesWait()
+ * @param {object} options - { timeoutMs, signal (AbortSignal ending the wait early) }
+ * @returns {Promise<Object|null>} The stored row, or null on timeout or abort
+ */
+function waitForMessage(mailboxId, filters, { timeoutMs, signal } = {}) {
+  return new Promise((resolve) => {
+    const waiter = { mailboxId, filters };
+    const finish = (row) => {
+      if (!waiters.delete(waiter)) return;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+      resolve(row);
+    };
+    const abort = () => finish(null);
+    waiter.finish = finish;
+
+    waiters.add(waiter);
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    if (signal) {
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort);
+    }
+  });
+}
+
+/**
+ * Hand newly stored messages to the waits they match
+ * @param {Array} stored - [{ agent, row }] from ingestMessage()
+ */
+function announceMessages(stored) {
+  for (const { agent, row, retired } of stored) {
+    if (retired) continue;
+    for (const waiter of waiters) {
+      if (waiter.mailboxId === agent.mailbox_id && matchesWait(row, waiter.filters)) {
+        waiter.finish(row);
+      }
+    }
+  }
+}
+
+module.exports = { WAIT_LIMITS, matchesWait, pendingWaits, waitForMessage, announceMessages };
@@ -0,0 +1,69 @@
+const axios = require('axios');
+const agentCrypto = require('./crypto');
+
+/**
+ * The email.received event for an email, with the body encrypted for
+ * mailboxes that have encryption enabled
+ * @param {object} agent - Agent row
+ * @param {object} email - API email object
+ */
+function emailWebhookEvent(agent, email) {
+  let emailPayload;
+  
+  // v0.8: Encrypt email body if agent has encryption enabled
+  if (agent.encryption_enabled && agent.public_key) {
+    const encryptedBody = agentCrypto.encryptForAgent(email.body, agent.public_key);
+    emailPayload = {
+      id: email.id,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      received_at: email.received_at,
+      attachments: email.attachments,
+      authentication: email.authentication,
+      trust: email.trust,
+      encrypted: true,
+      body: encryptedBody.encrypted,
+      nonce: encryptedBody.nonce,
+      serverPublicKey: encryptedBody.serverPublicKey
+    };
+  } else {
+    emailPayload = {
+      id: email.id,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      body: email.body,
+      attachments: email.attachments,
+      authentication: email.authentication,
+      trust: email.trust,
+      received_at: email.received_at,
+      encrypted: false
+    };
+  }
+  
+  return {
+    event: 'email.received',
+    mailbox_id: agent.mailbox_id,
+    email: emailPayload,
+    encryption: agent.encryption_enabled ? {
+      enabled: true,
+      algorithm: 'x25519-xsalsa20-poly1305'
+    } : { enabled: false }
+  };
+}
+
+/**
+ * Notify an agent's webhook about a received email
+ * @param {object} agent - Agent row (must have webhook_url)
+ * @param {object} email - API email object
+ */
+async function deliverEmailWebhook(agent, email) {
+  await axios.post(agent.webhook_url, emailWebhookEvent(agent, email), {
+    timeout: 10000,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  console.log(`Webhook sent to ${agent.moltbook_name} for email: ${email.subject}${agent.encryption_enabled ? ' (encrypted)' : ''}`);
+}
+
+module.exports = { emailWebhookEvent, deliverEmailWebhook };
@@ -9,6 +9,25 @@
  * 5. Code extraction from emails
  * 6. Webhook configuration
  * 7. Encryption key setup
+ * 8. Inbound mail routing
+ * 9. Search query parsing
+ * 10. Conversation threading
+ * 11. Reply and forward composition
+ * 12. Built-in SMTP receiver
+ * 13. Mail transport backends
+ * 14. Mailbox retention and expiry
+ * 15. Disposable mailboxes
+ * 16. Address aliases
+ * 17. Custom domains
+ * 18. DKIM signing
+ * 19. Inbound sender authentication
+ * 20. Spam scoring
+ * 21. Sender allow and block lists
+ * 22. Mail rules
+ * 23. Auto-responder
+ * 24. Waiting for new mail
+ * 25. Ranked code and link extraction
+ * 26. Following confirmation links
  */
 
 const http = require('http');
@@ -281,6 +300,41 @@ async function testEmailReceiving() {
     const res = await request('GET', '/api/mailbox/emails?codes=true');
     assert.strictEqual(res.status, 401, 'Route exists and requires auth');
   });
+
+  await test('GET /api/mailbox/emails accepts cursor and time range parameters', async () => {
+    const res = await request('GET', '/api/mailbox/emails?cursor=abc&since=2024-01-01&until=2024-02-01');
+    assert.strictEqual(res.status, 401, 'Route exists and requires auth');
+  });
+
+  await test('GET /api/mailbox/emails/:id requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/emails/abc123');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/mailbox/emails/:id?format=raw requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/emails/abc123?format=raw');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('PATCH /api/mailbox/emails/:id requires authentication', async () => {
+    const res = await request('PATCH', '/api/mailbox/emails/abc123', { seen: true });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('DELETE /api/mailbox/emails/:id requires authentication', async () => {
+    const res = await request('DELETE', '/api/mailbox/emails/abc123');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('POST /api/mailbox/emails/:id/restore requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/emails/abc123/restore');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/mailbox/attachments/:id requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/attachments/abc123');
+    assert.strictEqual(res.status, 401);
+  });
 }
 
 async function testCodeExtraction() {
@@ -662,6 +716,742 @@ async function testEdgeCases() {
   });
 }
 
+async function testInboundRouting() {
+  console.log('\n📋 12. Inbound Mail Routing\n');
+
+  const { recipientMailboxes } = require('../src/ingest');
+
+  await test('Routes subaddressed To recipients to mailbox ids', async () => {
+    const ids = recipientMailboxes({
+      to: { value: [{ address: 'KAI+AbCd1234@kdn.agency' }, { address: 'other@example.com' }] }
+    });
+    assert.deepStrictEqual(ids, ['abcd1234']);
+  });
+
+  await test('Routes Cc and Delivered-To recipients', async () => {
+    const ids = recipientMailboxes({
+      to: { value: [{ address: 'list@example.com' }] },
+      cc: { value: [{ address: 'kai+cc000001@kdn.agency' }] },
+      headerLines: [{ key: 'delivered-to', line: 'Delivered-To: kai+bcc00001@kdn.agency' }]
+    });
+    assert.deepStrictEqual(ids.sort(), ['bcc00001', 'cc000001']);
+  });
+
+  await test('Ignores addresses outside the service domain', async () => {
+    const ids = recipientMailboxes({
+      to: { value: [{ address: 'kai+abcd1234@example.com' }] }
+    });
+    assert.deepStrictEqual(ids, []);
+  });
+
+  await test('Orders by arrival, not by the sender-controlled Date header', async () => {
+    const { messageRow } = require('../src/messages');
+    const arrived = new Date('2026-03-01T12:00:00Z');
+    const parsed = { messageId: '<old@example.com>', subject: 'Backdated', date: new Date('2001-01-01T00:00:00Z') };
+    const row = messageRow('abcd1234', parsed, Buffer.from('x'), { receivedAt: arrived });
+    assert.strictEqual(row.sent_at, '2001-01-01T00:00:00.000Z');
+    assert.strictEqual(row.received_at, arrived.toISOString());
+    assert.strictEqual(messageRow('abcd1234', { ...parsed, date: new Date('garbage') }, Buffer.from('x')).sent_at, null);
+  });
+
+  await test('Keys messages by their source, not a reusable Message-ID', async () => {
+    const { messageRow } = require('../src/messages');
+    const parsed = { messageId: '<reused@example.com>', subject: 'Hi' };
+    const first = messageRow('abcd1234', parsed, Buffer.from('Message-ID: <reused@example.com>\r\n\r\nOne'));
+    assert.strictEqual(messageRow('abcd1234', parsed, Buffer.from('Message-ID: <reused@example.com>\r\n\r\nOne')).id, first.id);
+    assert.notStrictEqual(messageRow('abcd1234', parsed, Buffer.from('Message-ID: <reused@example.com>\r\n\r\nTwo')).id, first.id);
+    const raw = Buffer.from('Message-ID: <self@example.com>\r\n\r\nNote to self');
+    assert.notStrictEqual(messageRow('abcd1234', parsed, raw, { folder: 'sent' }).id, messageRow('abcd1234', parsed, raw).id);
+  });
+}
+
+async function testSearchQueryParsing() {
+  console.log('\n📋 13. Search Query Parsing\n');
+
+  const { parseQuery } = require('../src/search');
+
+  await test('GET /api/mailbox/search requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/search?q=invoice');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Free text matches any field', async () => {
+    const query = parseQuery('invoice march');
+    assert.strictEqual(query.match, 'invoice march');
+  });
+
+  await test('Field qualifiers map to indexed columns', async () => {
+    const query = parseQuery('from:billing@acme.io subject:"your invoice"');
+    assert.strictEqual(query.match,
+      'from_addr:billing from_addr:acme from_addr:io subject:your subject:invoice');
+  });
+
+  await test('Quoted phrases are kept together', async () => {
+    const query = parseQuery('"next week"');
+    assert.strictEqual(query.match, '"next week"');
+  });
+
+  await test('has:attachment, before: and after: become filters', async () => {
+    const query = parseQuery('has:attachment after:2024-01-01 before:2024-02-01');
+    assert.strictEqual(query.match, null);
+    assert.strictEqual(query.hasAttachment, true);
+    assert.strictEqual(query.after, '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(query.before, '2024-02-01T00:00:00.000Z');
+  });
+
+  await test('Rejects invalid dates and unknown has: values', async () => {
+    assert.throws(() => parseQuery('after:yesterday-ish'), /Invalid date/);
+    assert.throws(() => parseQuery('has:star'), /Unsupported qualifier/);
+  });
+
+  await test('Strips FTS operators from user input', async () => {
+    const query = parseQuery('invoice) OR (NEAR');
+    assert.strictEqual(query.match, 'invoice or near');
+  });
+}
+
+async function testThreading() {
+  console.log('\n📋 14. Conversation Threading\n');
+
+  const { normalizeSubject, parseMessageIds } = require('../src/threads');
+
+  await test('GET /api/mailbox/threads requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/threads');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/mailbox/threads/:id requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/threads/abc123');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Normalizes reply and forward prefixes out of subjects', async () => {
+    assert.strictEqual(normalizeSubject('Re: Fwd: Invoice  #42'), 'invoice #42');
+    assert.strictEqual(normalizeSubject('AW: [team] Invoice #42'), 'invoice #42');
+    assert.strictEqual(normalizeSubject('RE[2]: Invoice #42'), 'invoice #42');
+  });
+
+  await test('Extracts message ids from References headers', async () => {
+    const ids = parseMessageIds('<a@x.com> <b@y.com>\r\n <c@z.com>');
+    assert.deepStrictEqual(ids, ['<a@x.com>', '<b@y.com>', '<c@z.com>']);
+    assert.deepStrictEqual(parseMessageIds(undefined), []);
+  });
+}
+
+async function testReplyForward() {
+  console.log('\n📋 15. Reply & Forward\n');
+
+  const { buildReply, buildForward, prefixSubject } = require('../src/compose');
+
+  const original = {
+    id: 'abc',
+    folder: 'inbox',
+    message_id: '<orig@example.com>',
+    references_ids: '<root@example.com>',
+    from_addr: 'Bob <bob@example.com>',
+    to_addr: 'kai+me@kdn.agency, carol@example.com',
+    subject: 'Quote request',
+    body: 'Can you send a quote?\n',
+    html: null,
+    received_at: '2024-01-01T10:00:00.000Z',
+    headers: JSON.stringify([
+      { key: 'from', line: 'From: Bob <bob@example.com>' },
+      { key: 'to', line: 'To: kai+me@kdn.agency, carol@example.com' },
+      { key: 'cc', line: 'Cc: dave@example.com' }
+    ])
+  };
+
+  await test('POST /api/mailbox/emails/:id/reply requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/emails/abc123/reply', { body: 'Hi' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('POST /api/mailbox/emails/:id/forward requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/emails/abc123/forward', { to: 'x@example.com' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Reply sets threading headers, subject and quote', async () => {
+    const reply = buildReply(original, { body: 'Sure.', self: ['kai+me@kdn.agency'] });
+    assert.deepStrictEqual(reply.to, ['bob@example.com']);
+    assert.strictEqual(reply.subject, 'Re: Quote request');
+    assert.strictEqual(reply.inReplyTo, '<orig@example.com>');
+    assert.deepStrictEqual(reply.references, ['<root@example.com>', '<orig@example.com>']);
+    assert(reply.body.includes('> Can you send a quote?'), 'Should quote the original');
+  });
+
+  await test('Reply-all copies other recipients but not ourselves', async () => {
+    const reply = buildReply(original, { body: 'Sure.', replyAll: true, self: ['kai+me@kdn.agency'] });
+    assert.deepStrictEqual(reply.cc, ['carol@example.com', 'dave@example.com']);
+  });
+
+  await test('Forward prefixes subject and carries attachments', async () => {
+    const forward = buildForward(original, [
+      { filename: 'quote.pdf', content_type: 'application/pdf', content_id: null, content: new Uint8Array([1, 2]) }
+    ], { to: 'sales@example.com', body: 'FYI' });
+    assert.strictEqual(forward.subject, 'Fwd: Quote request');
+    assert.strictEqual(forward.attachments.length, 1);
+    assert(forward.body.includes('Forwarded message'), 'Should include forwarded header block');
+  });
+
+  await test('Does not stack Re:/Fwd: prefixes', async () => {
+    assert.strictEqual(prefixSubject('Re', 'RE: Quote'), 'RE: Quote');
+    assert.strictEqual(prefixSubject('Fwd', 'Fw: Quote'), 'Fw: Quote');
+  });
+}
+
+async function testSmtpReceiver() {
+  console.log('\n📋 16. SMTP Receiver\n');
+
+  const nodemailer = require('nodemailer');
+  const { mailboxForAddress, startSmtpReceiver } = require('../src/smtp-receiver');
+
+  await test('Maps plain and subaddressed recipients to mailbox ids', async () => {
+    const domains = ['kdn.agency', 'mail.example.org'];
+    assert.strictEqual(mailboxForAddress('AbCd1234@kdn.agency', domains), 'abcd1234');
+    assert.strictEqual(mailboxForAddress('kai+abcd1234@Mail.Example.org', domains), 'abcd1234');
+    assert.strictEqual(mailboxForAddress('abcd1234@example.com', domains), null);
+    assert.strictEqual(mailboxForAddress('not-an-address', domains), null);
+  });
+
+  const delivered = [];
+  const receiver = await startSmtpReceiver({
+    port: 0,
+    host: '127.0.0.1',
+    domains: ['kdn.agency'],
+    hasMailbox: id => id === 'abcd1234',
+    customMailbox: () => null,
+    hostsDomain: () => false,
+    deliver: async (raw, mailboxIds) => delivered.push({ raw, mailboxIds })
+  });
+  const transport = nodemailer.createTransport({
+    host: '127.0.0.1', port: receiver.port, secure: false, ignoreTLS: true
+  });
+
+  try {
+    await test('Accepts mail for known mailboxes', async () => {
+      const info = await transport.sendMail({
+        from: 'sender@example.com', to: 'kai+abcd1234@kdn.agency', subject: 'Hi', text: 'Code: 123456'
+      });
+      assert.deepStrictEqual(info.accepted, ['kai+abcd1234@kdn.agency']);
+      assert.strictEqual(delivered.length, 1);
+      assert.deepStrictEqual(delivered[0].mailboxIds, ['abcd1234']);
+      assert(delivered[0].raw.toString().includes('Code: 123456'), 'Should deliver raw source');
+    });
+
+    await test('Rejects unknown mailboxes at RCPT time', async () => {
+      const info = await transport.sendMail({
+        from: 'sender@example.com', to: ['abcd1234@kdn.agency', 'nobody00@kdn.agency'], subject: 'Hi', text: 'x'
+      });
+      assert.deepStrictEqual(info.rejected, ['nobody00@kdn.agency']);
+      assert.deepStrictEqual(delivered[1].mailboxIds, ['abcd1234']);
+    });
+
+    await test('Refuses to relay for foreign domains', async () => {
+      await assert.rejects(
+        transport.sendMail({ from: 'sender@example.com', to: 'someone@example.com', subject: 'Hi', text: 'x' }),
+        err => err.responseCode === 550
+      );
+    });
+  } finally {
+    transport.close();
+    await receiver.stop();
+  }
+}
+
+async function testTransports() {
+  console.log('\n📋 17. Mail Transports\n');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createTransport } = require('../src/transports');
+
+  const message = (subject) => Buffer.from(
+    `From: a@example.com\r\nTo: kai+abcd1234@kdn.agency\r\nSubject: ${subject}\r\n\r\nHello\r\n`
+  );
+
+  await test('IMAP search covers subaddresses and verified custom domains', async () => {
+    const { recipientCriteria } = require('../src/imap');
+    assert.deepStrictEqual(recipientCriteria(['kai+']),
+      ['OR', ['OR', ['TO', 'kai+'], ['CC', 'kai+']], ['HEADER', 'DELIVERED-TO', 'kai+']]);
+    const criteria = JSON.stringify(recipientCriteria(['kai+', '@acme.io']));
+    assert(criteria.includes('["TO","@acme.io"]') && criteria.includes('["HEADER","DELIVERED-TO","@acme.io"]'));
+  });
+
+  await test('Rejects unknown transport names', async () => {
+    assert.throws(() => createTransport('carrier-pigeon'), /Unknown mail transport/);
+  });
+
+  await test('Memory transport loops sent mail back with envelope recipients', async () => {
+    const transport = createTransport('memory');
+    await transport.send({ envelope: { from: 'a@example.com', to: ['kai+abcd1234@kdn.agency'] }, raw: message('One') });
+
+    const first = await transport.fetch(null);
+    assert.strictEqual(first.full, true);
+    assert.strictEqual(first.messages.length, 1);
+    assert.strictEqual(first.messages[0].parsed.subject, 'One');
+    assert(first.messages[0].parsed.headerLines.some(h => h.key === 'delivered-to'), 'Should add Delivered-To');
+
+    transport.deliver(message('Two'));
+    const next = await transport.fetch({ uidvalidity: first.uidvalidity, last_uid: 1 });
+    assert.strictEqual(next.full, false);
+    assert.deepStrictEqual(next.messages.map(m => m.parsed.subject), ['Two']);
+  });
+
+  await test('Maildir transport reads new mail and writes outbound to the outbox', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-mail-maildir-'));
+    try {
+      const transport = createTransport('maildir', root);
+      fs.writeFileSync(path.join(root, 'new', '1.test'), message('From disk'));
+
+      const first = await transport.fetch(null);
+      assert.deepStrictEqual(first.messages.map(m => m.parsed.subject), ['From disk']);
+      // Nothing moves until the caller has stored the mail
+      assert.deepStrictEqual(fs.readdirSync(path.join(root, 'new')), ['1.test']);
+      const retry = await transport.fetch({ uidvalidity: first.uidvalidity, last_uid: 1 });
+      assert.deepStrictEqual(retry.messages.map(m => m.parsed.subject), ['From disk']);
+
+      first.acknowledge();
+      assert.deepStrictEqual(fs.readdirSync(path.join(root, 'new')), []);
+      const next = await transport.fetch({ uidvalidity: first.uidvalidity, last_uid: 1 });
+      assert.strictEqual(next.messages.length, 0);
+
+      await transport.send({ envelope: {}, raw: message('Outbound') });
+      assert.strictEqual(fs.readdirSync(path.join(root, 'outbox', 'new')).length, 1);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+}
+
+async function testMailboxLifecycle() {
+  console.log('\n📋 18. Mailbox Lifecycle\n');
+
+  const { isActive, lifecycle } = require('../src/retention');
+
+  await test('PATCH /api/mailbox requires authentication', async () => {
+    const res = await request('PATCH', '/api/mailbox', { retention_days: 7 });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Mailboxes stop being active at expires_at', async () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+    assert.strictEqual(isActive({ expires_at: null }, now), true);
+    assert.strictEqual(isActive({ expires_at: '2024-06-02T00:00:00.000Z' }, now), true);
+    assert.strictEqual(isActive({ expires_at: '2024-05-31T00:00:00.000Z' }, now), false);
+    assert.strictEqual(isActive({ deactivated_at: '2024-05-31T00:00:00.000Z' }, now), false);
+  });
+
+  await test('Reports retention settings with nulls when unset', async () => {
+    const info = lifecycle({ retention_days: 30, retention_max_messages: null, expires_at: null });
+    assert.deepStrictEqual(info.retention, { days: 30, max_messages: null });
+    assert.strictEqual(info.active, true);
+  });
+}
+
+async function testEphemeralMailboxes() {
+  console.log('\n📋 19. Disposable Mailboxes\n');
+
+  await test('POST /api/mailbox/ephemeral requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/ephemeral', { ttl_minutes: 30 });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/mailbox/ephemeral requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/ephemeral');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('DELETE /api/mailbox/ephemeral/:id requires authentication', async () => {
+    const res = await request('DELETE', '/api/mailbox/ephemeral/abc12345');
+    assert.strictEqual(res.status, 401);
+  });
+}
+
+async function testAliases() {
+  console.log('\n📋 20. Aliases\n');
+
+  const { aliasToken } = require('../src/aliases');
+  const { recipientMailboxes } = require('../src/ingest');
+  const agent = { mailbox_id: 'abcd1234' };
+
+  await test('GET /api/mailbox/aliases requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/aliases');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('POST /api/mailbox/aliases requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/aliases', { tag: 'github' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Tagged aliases extend the mailbox id', async () => {
+    assert.deepStrictEqual(aliasToken(agent, { tag: 'GitHub' }),
+      { kind: 'tag', token: 'abcd1234.github', address: 'kai+abcd1234.github@kdn.agency' });
+  });
+
+  await test('Custom domain mailboxes get aliases on their own domain', async () => {
+    const custom = { mailbox_id: 'abcd1234', email: 'support@acme.io', domain: 'acme.io' };
+    assert.strictEqual(aliasToken(custom, { tag: 'github' }).address, 'support+github@acme.io');
+    assert.strictEqual(aliasToken(custom, { name: 'billing' }).address, 'billing@acme.io');
+  });
+
+  await test('Custom domain aliases are only reachable at their own address', async () => {
+    const custom = { mailbox_id: 'abcd1234', email: 'support@acme.io', domain: 'acme.io' };
+    // The token is the address, so kai+billing@kdn.agency stays free and never resolves here
+    assert.strictEqual(aliasToken(custom, { name: 'billing' }).token, 'billing@acme.io');
+    assert.strictEqual(aliasToken(custom, { tag: 'github' }).token, 'support+github@acme.io');
+  });
+
+  await test('Named aliases must not look like mailbox ids', async () => {
+    assert.deepStrictEqual(aliasToken(agent, { name: 'signup-bot' }),
+      { kind: 'name', token: 'signup-bot', address: 'kai+signup-bot@kdn.agency' });
+    assert.throws(() => aliasToken(agent, { name: 'deadbeef' }), /mailbox id/);
+    assert.throws(() => aliasToken(agent, { tag: 'a', name: 'b' }), /either tag or name/);
+    assert.throws(() => aliasToken(agent, { tag: 'has space' }), /tag must be/);
+  });
+
+  await test('Routes alias subaddresses by their token', async () => {
+    const tokens = recipientMailboxes({
+      to: { value: [{ address: 'kai+abcd1234.github@kdn.agency' }, { address: 'kai+signup-bot@kdn.agency' }] }
+    });
+    assert.deepStrictEqual(tokens, ['abcd1234.github', 'signup-bot']);
+  });
+}
+
+async function testCustomDomains() {
+  console.log('\n📋 21. Custom Domains\n');
+
+  const { createStubResolver } = require('../src/dns');
+  const { normalizeDomain, dnsRecords, checkDomain } = require('../src/domains');
+
+  const row = { domain: 'brand.example', verification_token: 'token123' };
+  const key = {
+    domain: 'brand.example',
+    selector: 'am20240101',
+    public_key: 'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA',
+    status: 'active'
+  };
+  // Publish exactly what we were told to
+  const zone = {};
+  for (const record of dnsRecords(row, [key])) {
+    const entry = zone[record.name] = zone[record.name] || {};
+    if (record.type === 'MX') {
+      (entry.MX = entry.MX || []).push({ exchange: `${record.value}.`, priority: record.priority });
+    } else {
+      (entry.TXT = entry.TXT || []).push(record.value);
+    }
+  }
+
+  await test('POST /api/domains requires authentication', async () => {
+    const res = await request('POST', '/api/domains', { domain: 'brand.example' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/domains requires authentication', async () => {
+    const res = await request('GET', '/api/domains');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Normalizes and validates domain names', async () => {
+    assert.strictEqual(normalizeDomain(' Brand.Example. '), 'brand.example');
+    assert.throws(() => normalizeDomain('not a domain'), /Invalid domain/);
+    assert.throws(() => normalizeDomain('mail.kdn.agency'), /cannot be registered/);
+  });
+
+  await test('Lists MX, SPF, DKIM and DMARC records to publish', async () => {
+    const purposes = dnsRecords(row, [key]).map(r => r.purpose);
+    assert.deepStrictEqual(purposes, ['verification', 'mx', 'spf', 'dkim', 'dmarc']);
+  });
+
+  await test('Verifies a domain whose records are published', async () => {
+    const { verified, checks } = await checkDomain(row, createStubResolver(zone), key);
+    assert.strictEqual(verified, true, JSON.stringify(checks));
+  });
+
+  await test('Reports which records are missing', async () => {
+    const partial = { ...zone, '_dmarc.brand.example': undefined };
+    const { verified, checks } = await checkDomain(row, createStubResolver(partial), key);
+    assert.strictEqual(verified, false);
+    assert.strictEqual(checks.dmarc.ok, false);
+    assert.strictEqual(checks.dkim.ok, true);
+  });
+}
+
+async function testDkim() {
+  console.log('\n📋 22. DKIM Signing\n');
+
+  const MailComposer = require('nodemailer/lib/mail-composer');
+  const { signMessage, txtRecord } = require('../src/dkim');
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 1024,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const key = {
+    domain: 'brand.example',
+    selector: 'am20240101abcd',
+    public_key: publicKey.toString('base64'),
+    private_key: privateKey,
+    status: 'active'
+  };
+
+  await test('GET /api/dkim lists the service domain key to publish', async () => {
+    const res = await request('GET', '/api/dkim');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.data.domain, 'kdn.agency');
+    assert(res.data.keys.some(k => k.value.startsWith('v=DKIM1; k=rsa; p=')));
+  });
+
+  await test('Service domain key does not sign until its record is published', async () => {
+    const res = await request('GET', '/api/dkim');
+    // No DNS serves the record here, so the key stays pending
+    assert(res.data.keys.length > 0);
+    assert(res.data.keys.every(k => k.status === 'pending'));
+  });
+
+  await test('GET /api/domains/:domain/dkim requires authentication', async () => {
+    const res = await request('GET', '/api/domains/brand.example/dkim');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('TXT record names the key selector', async () => {
+    const record = txtRecord(key);
+    assert.strictEqual(record.name, 'am20240101abcd._domainkey.brand.example');
+    assert.strictEqual(record.value, `v=DKIM1; k=rsa; p=${key.public_key}`);
+  });
+
+  await test('Signs outbound messages with the domain key', async () => {
+    const mail = new MailComposer({
+      from: 'support@brand.example',
+      to: 'someone@example.com',
+      subject: 'Signed',
+      text: 'Hello'
+    }).compile();
+    assert.strictEqual(signMessage(mail, 'support@brand.example', key), key);
+    const raw = (await mail.build()).toString();
+    const header = raw.split('\r\n\r\n')[0];
+    assert(/^DKIM-Signature: v=1; a=rsa-sha256;/m.test(header), 'Missing DKIM-Signature');
+    assert(/d=brand\.example;/.test(header));
+    assert(/s=am20240101abcd;/.test(header));
+  });
+
+  await test('Leaves mail unsigned without a key', async () => {
+    const mail = new MailComposer({ from: 'a@nowhere.example', to: 'b@example.com', text: 'Hi' }).compile();
+    assert.strictEqual(signMessage(mail, 'a@nowhere.example', null), null);
+    assert(!(await mail.build()).toString().includes('DKIM-Signature'));
+  });
+}
+
+async function testSenderAuthentication() {
+  console.log('\n📋 23. Sender Authentication\n');
+
+  const { simpleParser } = require('mailparser');
+  const MailComposer = require('nodemailer/lib/mail-composer');
+  const { createStubResolver } = require('../src/dns');
+  const { signMessage } = require('../src/dkim');
+  const {
+    AUTH_CONFIG, parseAuthenticationResults, checkSpf, checkDkim, authenticateMessage
+  } = require('../src/authentication');
+  const configuredIds = AUTH_CONFIG.authservIds;
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 1024,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const key = { domain: 'bank.example', selector: 'mail', public_key: publicKey.toString('base64'), private_key: privateKey };
+
+  const resolver = createStubResolver({
+    'bank.example': { TXT: ['v=spf1 ip4:192.0.2.0/24 include:_spf.relay.example -all'] },
+    '_spf.relay.example': { TXT: ['v=spf1 a:out.relay.example ~all'] },
+    'out.relay.example': { A: ['198.51.100.7'] },
+    'mail._domainkey.bank.example': { TXT: [`v=DKIM1; k=rsa; p=${key.public_key}`] },
+    '_dmarc.bank.example': { TXT: ['v=DMARC1; p=reject'] }
+  });
+
+  const compose = async (fields, signed) => {
+    const mail = new MailComposer({ to: 'kai+abcd1234@kdn.agency', subject: 'Statement', text: 'Hello', ...fields }).compile();
+    if (signed) signMessage(mail, fields.from, key);
+    const raw = await mail.build();
+    return { raw, parsed: await simpleParser(raw) };
+  };
+
+  await test('Parses Authentication-Results headers', async () => {
+    const { authservId, results } = parseAuthenticationResults(
+      ' mx.google.com; dkim=pass (2048-bit key) header.d=github.com; spf=softfail (domain of transitioning) smtp.mailfrom=bounce@github.com'
+    );
+    assert.strictEqual(authservId, 'mx.google.com');
+    assert.deepStrictEqual(results.map(r => `${r.method}=${r.result}`), ['dkim=pass', 'spf=softfail']);
+    assert.strictEqual(results[1].properties['smtp.mailfrom'], 'bounce@github.com');
+  });
+
+  await test('Evaluates SPF with includes and networks', async () => {
+    const check = async (ip) => (await checkSpf({ ip, mailFrom: 'alerts@bank.example' }, resolver)).result;
+    assert.strictEqual(await check('192.0.2.10'), 'pass');
+    assert.strictEqual(await check('::ffff:198.51.100.7'), 'pass');
+    assert.strictEqual(await check('203.0.113.1'), 'fail');
+  });
+
+  await test('Verifies DKIM signatures and rejects altered mail', async () => {
+    const { raw } = await compose({ from: 'alerts@bank.example' }, true);
+    assert.deepStrictEqual((await checkDkim(raw, resolver)).map(sig => sig.result), ['pass']);
+
+    const altered = Buffer.from(raw.toString().replace('Hello', 'Wire the money'));
+    const [sig] = await checkDkim(altered, resolver);
+    assert.strictEqual(sig.result, 'fail');
+  });
+
+  await test('Trusts mail that authenticates its From domain', async () => {
+    const { raw, parsed } = await compose({ from: 'alerts@bank.example' }, true);
+    const result = await authenticateMessage(parsed, raw, { ip: '203.0.113.1', mailFrom: 'bounce@bank.example' }, resolver);
+    assert.strictEqual(result.dmarc.result, 'pass');
+    assert.strictEqual(result.verdict, 'trusted');
+  });
+
+  await test('Flags spoofed mail as suspicious', async () => {
+    const { raw, parsed } = await compose({ from: 'alerts@bank.example' }, false);
+    const result = await authenticateMessage(parsed, raw, { ip: '203.0.113.1', mailFrom: 'x@bank.example' }, resolver);
+    assert.strictEqual(result.spf.result, 'fail');
+    assert.strictEqual(result.dmarc.result, 'fail');
+    assert.strictEqual(result.dmarc.policy, 'reject');
+    assert.strictEqual(result.verdict, 'suspicious');
+  });
+
+  await test('Uses the upstream SPF result for fetched mail', async () => {
+    const { raw, parsed } = await compose({
+      from: 'alerts@bank.example',
+      headers: { 'Authentication-Results': 'mx.upstream.example; spf=pass smtp.mailfrom=bounce@bank.example' }
+    }, false);
+    AUTH_CONFIG.authservIds = ['mx.upstream.example'];
+    try {
+      const result = await authenticateMessage(parsed, raw, {}, resolver);
+      assert.strictEqual(result.spf.source, 'upstream');
+      assert.strictEqual(result.verdict, 'trusted');
+    } finally {
+      AUTH_CONFIG.authservIds = configuredIds;
+    }
+  });
+
+  await test('Ignores Authentication-Results headers from untrusted servers', async () => {
+    const { raw, parsed } = await compose({
+      from: 'alerts@bank.example',
+      headers: { 'Authentication-Results': 'mx.forged.example; spf=pass smtp.mailfrom=bounce@bank.example' }
+    }, false);
+    const unconfigured = await authenticateMessage(parsed, raw, {}, resolver);
+    assert.strictEqual(unconfigured.spf.result, 'none');
+    assert.notStrictEqual(unconfigured.verdict, 'trusted');
+
+    AUTH_CONFIG.authservIds = ['mx.upstream.example'];
+    try {
+      const other = await authenticateMessage(parsed, raw, {}, resolver);
+      assert.strictEqual(other.spf.result, 'none');
+      assert.notStrictEqual(other.verdict, 'trusted');
+    } finally {
+      AUTH_CONFIG.authservIds = configuredIds;
+    }
+  });
+}
+
+async function testSpamScoring() {
+  console.log('\n📋 24. Spam Scoring\n');
+
+  const { simpleParser } = require('mailparser');
+  const { tokenize, classify, scoreMessage, SPAM_CONFIG } = require('../src/spam');
+  const agent = { mailbox_id: 'abcd1234', spam_trained: 0, ham_trained: 0 };
+
+  await test('POST /api/mailbox/emails/:id/spam requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/emails/abc/spam');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('GET /api/mailbox/spam requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/spam');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Lets ordinary mail through', async () => {
+    const parsed = await simpleParser(
+      'From: Ana <ana@example.com>\r\nTo: kai+abcd1234@kdn.agency\r\nSubject: Lunch on Friday?\r\n' +
+      'Message-ID: <1@example.com>\r\nDate: Mon, 1 Jan 2024 10:00:00 +0000\r\n\r\nShall we meet at noon?\r\n'
+    );
+    const result = scoreMessage(parsed, { agent, authentication: { verdict: 'trusted' } });
+    assert.strictEqual(result.spam, false);
+    assert(result.score < 0, `score ${result.score}`);
+  });
+
+  await test('Files phishing with deceptive links as spam', async () => {
+    const parsed = await simpleParser(
+      'From: "security@bank.example" <alerts@mailer.example>\r\nTo: kai+abcd1234@kdn.agency\r\n' +
+      'Subject: ACCOUNT SUSPENDED!!!\r\nContent-Type: text/html\r\n\r\n' +
+      '<p>Verify now: <a href="http://203.0.113.9/login">https://www.bank.example/login</a></p>\r\n'
+    );
+    const result = scoreMessage(parsed, { agent, authentication: { verdict: 'unverified' } });
+    const fired = result.rules.map(r => r.name);
+    for (const name of ['missing-message-id', 'shouting-subject', 'display-name-spoof', 'deceptive-link', 'ip-address-link']) {
+      assert(fired.includes(name), `${name} did not fire`);
+    }
+    assert.strictEqual(result.spam, true);
+  });
+
+  await test('Classifier learns from trained tokens', async () => {
+    const tokens = tokenize({ from_addr: 'deals@promo.example', subject: 'Cheap pills', body: 'cheap pills online' });
+    assert(tokens.includes('from:promo.example') && tokens.includes('subject:cheap') && tokens.includes('pills'));
+
+    const untrained = { spam: 1, ham: 1 };
+    assert.strictEqual(classify(tokens, new Map(), untrained), null);
+
+    const totals = { spam: SPAM_CONFIG.minTraining, ham: SPAM_CONFIG.minTraining };
+    const spammy = new Map(tokens.map(t => [t, { spam: 5, ham: 0 }]));
+    const hammy = new Map(tokens.map(t => [t, { spam: 0, ham: 5 }]));
+    assert(classify(tokens, spammy, totals) > 0.9);
+    assert(classify(tokens, hammy, totals) < 0.1);
+  });
+}
+
+async function testSenderLists() {
+  console.log('\n📋 25. Sender Lists\n');
+
+  const { normalizePattern, matchesPattern, pickRule } = require('../src/senders');
+
+  await test('GET /api/mailbox/senders requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/senders');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('POST /api/mailbox/senders requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/senders', { list: 'block', pattern: 'spam.example' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Normalizes addresses and domains into patterns', async () => {
+    assert.strictEqual(normalizePattern(' Alerts@GitHub.com '), 'alerts@github.com');
+    assert.strictEqual(normalizePattern('*.example.com'), '*@*.example.com');
+    assert.throws(() => normalizePattern('*'), /pattern must be/);
+    assert.throws(() => normalizePattern('not an address'), /pattern must be/);
+  });
+
+  await test('Matches wildcards', async () => {
+    assert(matchesPattern('*@*.example.com', 'a@mail.example.com'));
+    assert(!matchesPattern('*@*.example.com', 'a@example.com'));
+    assert(matchesPattern('noreply-*@github.com', 'noreply-ci@github.com'));
+    assert(!matchesPattern('*@example.com', 'a@example.com.evil.test'));
+  });
+
+  await test('Most specific rule wins, block breaks ties', async () => {
+    const rules = [
+      { list: 'block', pattern: '*@example.com' },
+      { list: 'allow', pattern: 'boss@example.com' }
+    ];
+    assert.strictEqual(pickRule(rules, 'boss@example.com').list, 'allow');
+    assert.strictEqual(pickRule(rules, 'other@example.com').list, 'block');
+    assert.strictEqual(pickRule(rules, 'a@elsewhere.test'), null);
+    assert.strictEqual(pickRule([{ list: 'allow', pattern: 'x@a.test' }, { list: 'block', pattern: 'x@a.test' }], 'x@a.test').list, 'block');
+  });
+}
+
 async function testLandingPage() {
   console.log('\n📋 11. Landing Page\n');
 
@@ -676,6 +1466,342 @@ async function testLandingPage() {
 
 // ============= RUN ALL TESTS =============
 
+async function testMailRules() {
+  console.log('\n📋 26. Mail Rules\n');
+
+  const { normalizeRule, evaluateRules, isAutomated } = require('../src/rules');
+
+  const view = {
+    from: 'alerts@github.com',
+    to: 'kai+abcd1234@kdn.agency',
+    subject: 'Build failed on main',
+    body: 'The CI run failed.',
+    has_attachment: false,
+    trust: 'trusted'
+  };
+
+  await test('GET /api/mailbox/rules requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/rules');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('POST /api/mailbox/rules/dry-run requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/rules/dry-run', { conditions: {}, actions: [{ type: 'mark_read' }] });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Validates rules and fills defaults', async () => {
+    const rule = normalizeRule({
+      name: 'CI',
+      conditions: { from: 'github.com', subject: 'build (failed|broken)', trust: 'trusted' },
+      actions: [{ type: 'label', label: 'CI' }, { type: 'mark_read' }]
+    });
+    assert.deepStrictEqual(rule.conditions, { from: '*@github.com', subject: 'build (failed|broken)', trust: ['trusted'] });
+    assert.deepStrictEqual(rule.actions, [{ type: 'label', label: 'ci' }, { type: 'mark_read' }]);
+    assert.strictEqual(rule.priority, 100);
+    assert.strictEqual(rule.active, true);
+    assert.throws(() => normalizeRule({ name: 'x', conditions: { subject: '(' }, actions: [{ type: 'drop' }] }), /not a valid regular expression/);
+    assert.throws(() => normalizeRule({ name: 'x', conditions: { size: 1 }, actions: [{ type: 'drop' }] }), /Unknown condition/);
+    assert.throws(() => normalizeRule({ name: 'x', conditions: {}, actions: [] }), /actions must be/);
+  });
+
+  await test('Webhook actions only accept public http(s) URLs', async () => {
+    const webhook = url => normalizeRule({ name: 'x', conditions: {}, actions: [{ type: 'webhook', url }] });
+    assert.strictEqual(webhook('https://ci-bot.example/hook').actions[0].url, 'https://ci-bot.example/hook');
+    for (const url of ['ftp://a.test', 'http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook', 'http://localhost/hook', 'https://a.test:8443/hook', 'https://user:pw@a.test/hook']) {
+      assert.throws(() => webhook(url), /webhook url is not allowed/, url);
+    }
+  });
+
+  await test('Partial updates keep existing fields', async () => {
+    const existing = normalizeRule({ name: 'CI', conditions: { from: 'github.com' }, actions: [{ type: 'mark_read' }] });
+    const updated = normalizeRule({ active: false }, existing);
+    assert.strictEqual(updated.active, false);
+    assert.deepStrictEqual(updated.conditions, existing.conditions);
+  });
+
+  await test('Evaluates rules in order and collects actions', async () => {
+    const rules = [
+      { active: true, conditions: { from: '*@github.com', subject: 'failed' }, actions: [{ type: 'label', label: 'ci' }, { type: 'forward', to: 'ops@example.com' }] },
+      { active: false, conditions: {}, actions: [{ type: 'drop' }] },
+      { active: true, conditions: { has_attachment: true }, actions: [{ type: 'drop' }] },
+      { active: true, conditions: { trust: ['trusted'] }, actions: [{ type: 'mark_read' }], stop_processing: true },
+      { active: true, conditions: {}, actions: [{ type: 'label', label: 'never' }] }
+    ];
+    const outcome = evaluateRules(rules, view);
+    assert.strictEqual(outcome.matched.length, 2);
+    assert.deepStrictEqual(outcome.labels, ['ci']);
+    assert.strictEqual(outcome.seen, true);
+    assert.strictEqual(outcome.drop, false);
+    assert.deepStrictEqual(outcome.followUps, [{ type: 'forward', to: 'ops@example.com' }]);
+  });
+
+  await test('A runaway regex counts as no match', async () => {
+    const rules = [{ active: true, conditions: { body: '^(a+)+$' }, actions: [{ type: 'drop' }] }];
+    const outcome = evaluateRules(rules, { ...view, body: 'a'.repeat(40) + '!' });
+    assert.strictEqual(outcome.drop, false);
+  });
+
+  await test('Recognizes automated mail', async () => {
+    const row = (lines, from = 'a@example.com') => ({ from_addr: from, headers: JSON.stringify(lines.map(line => ({ line }))) });
+    assert(isAutomated(row(['Auto-Submitted: auto-replied'])));
+    assert(isAutomated(row(['Precedence: bulk'])));
+    assert(isAutomated(row([], 'MAILER-DAEMON@example.com')));
+    assert(!isAutomated(row(['Auto-Submitted: no'])));
+  });
+}
+
+async function testAutoResponder() {
+  console.log('\n📋 27. Auto-Responder\n');
+
+  const { AUTO_REPLY_DEFAULTS, normalizeAutoReply, isResponding, fromHuman, composeAutoReply } = require('../src/autoresponder');
+
+  const row = (lines, fields = {}) => ({
+    folder: 'inbox',
+    trust: 'unverified',
+    from_addr: 'Ada <ada@example.com>',
+    subject: 'Lunch?',
+    headers: JSON.stringify(lines.map(line => ({ line }))),
+    ...fields
+  });
+
+  await test('GET /api/mailbox/auto-reply requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/auto-reply');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('PUT /api/mailbox/auto-reply requires authentication', async () => {
+    const res = await request('PUT', '/api/mailbox/auto-reply', { active: true });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Validates auto-responder settings', async () => {
+    const config = normalizeAutoReply({ active: true, ends_at: '2030-01-02T00:00:00Z', variables: { message: 'Back soon' } });
+    assert.strictEqual(config.template_id, 'out_of_office');
+    assert.strictEqual(config.ends_at, '2030-01-02T00:00:00.000Z');
+    assert.strictEqual(config.cooldown_hours, AUTO_REPLY_DEFAULTS.cooldown_hours);
+    assert.throws(() => normalizeAutoReply({ template_id: 'nope' }), /Unknown template/);
+    assert.throws(() => normalizeAutoReply({ template_id: null }), /template_id or body/);
+    assert.throws(() => normalizeAutoReply({ starts_at: '2030-01-02', ends_at: '2030-01-01' }), /after starts_at/);
+    assert.throws(() => normalizeAutoReply({ cooldown_hours: 0 }), /cooldown_hours/);
+  });
+
+  await test('Answers only inside the time window', async () => {
+    const config = normalizeAutoReply({ active: true, starts_at: '2030-01-01T00:00:00Z', ends_at: '2030-01-08T00:00:00Z' });
+    assert(!isResponding(config, new Date('2029-12-31T23:00:00Z')));
+    assert(isResponding(config, new Date('2030-01-03T00:00:00Z')));
+    assert(!isResponding(config, new Date('2030-01-08T00:00:00Z')));
+    assert(!isResponding({ ...config, active: false }, new Date('2030-01-03T00:00:00Z')));
+  });
+
+  await test('Does not answer robots, lists or spam', async () => {
+    assert(fromHuman(row([])));
+    assert(!fromHuman(row(['Auto-Submitted: auto-replied'])));
+    assert(!fromHuman(row(['Precedence: bulk'])));
+    assert(!fromHuman(row(['List-Id: <dev.lists.example.com>'])));
+    assert(!fromHuman(row([], { folder: 'spam' })));
+    assert(!fromHuman(row([], { trust: 'suspicious' })));
+  });
+
+  await test('Fills the reply from a template or custom text', async () => {
+    const agent = { moltbook_name: 'Kai', email: 'kai+abcd1234@kdn.agency' };
+    const ooo = composeAutoReply(agent, normalizeAutoReply({ ends_at: '2030-01-08T00:00:00Z' }), row([]), 'ada@example.com');
+    assert.strictEqual(ooo.subject, 'Out of office: Lunch?');
+    assert(ooo.body.includes('Kai is away and not reading mail until 2030-01-08'));
+    const custom = composeAutoReply(agent, normalizeAutoReply({ body: 'Hi {{sender}}, got it.' }), row([]), 'ada@example.com');
+    assert.strictEqual(custom.subject, 'Auto: Lunch?');
+    assert.strictEqual(custom.body, 'Hi ada@example.com, got it.');
+  });
+
+  await test('Inserts sender-controlled values verbatim', async () => {
+    const agent = { moltbook_name: 'Kai', email: 'kai+abcd1234@kdn.agency' };
+    const config = normalizeAutoReply({ body: 'Re: {{subject}} ({{agent_name}})' });
+    const reply = composeAutoReply(agent, config, row([], { subject: "$& $' $` {{agent_email}}" }), 'ada@example.com');
+    assert.strictEqual(reply.subject, "Auto: $& $' $` {{agent_email}}");
+    assert.strictEqual(reply.body, "Re: $& $' $` {{agent_email}} (Kai)");
+  });
+}
+
+async function testWaitForEmail() {
+  console.log('\n📋 28. Wait for Email\n');
+
+  const { matchesWait, pendingWaits, waitForMessage, announceMessages } = require('../src/waiters');
+
+  const row = { folder: 'inbox', from_addr: 'GitHub <noreply@github.com>', subject: 'Your verification code' };
+  const agent = { mailbox_id: 'wait-test' };
+
+  await test('GET /api/mailbox/wait requires authentication', async () => {
+    const res = await request('GET', '/api/mailbox/wait?timeout=1');
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Matches sender and subject parts, inbox only', async () => {
+    assert(matchesWait(row, {}));
+    assert(matchesWait(row, { from: 'github.com', subject: 'VERIFICATION' }));
+    assert(!matchesWait(row, { from: 'gitlab.com' }));
+    assert(!matchesWait({ ...row, folder: 'spam' }, {}));
+  });
+
+  await test('Wakes a wait when matching mail is stored', async () => {
+    const waiting = waitForMessage(agent.mailbox_id, { subject: 'code' }, { timeoutMs: 5000 });
+    assert.strictEqual(pendingWaits(agent.mailbox_id), 1);
+    announceMessages([{ agent: { mailbox_id: 'someone-else' }, row }]);
+    announceMessages([{ agent, row: { ...row, subject: 'Newsletter' } }]);
+    announceMessages([{ agent, row }]);
+    assert.strictEqual(await waiting, row);
+    assert.strictEqual(pendingWaits(agent.mailbox_id), 0);
+  });
+
+  await test('Times out or aborts with null', async () => {
+    assert.strictEqual(await waitForMessage(agent.mailbox_id, {}, { timeoutMs: 20 }), null);
+    const controller = new AbortController();
+    const waiting = waitForMessage(agent.mailbox_id, {}, { timeoutMs: 5000, signal: controller.signal });
+    controller.abort();
+    assert.strictEqual(await waiting, null);
+    assert.strictEqual(pendingWaits(agent.mailbox_id), 0);
+  });
+}
+
+async function testCodeCandidates() {
+  console.log('\n📋 29. Code and Link Candidates\n');
+
+  const { htmlToText, extractCandidates, extractVerification } = require('../src/codes');
+
+  await test('Ranks the announced code above other numbers', async () => {
+    const { codes, candidates } = extractVerification({
+      subject: 'Your sign-in code',
+      body: 'Your code is 482913.\n\nQuestions? Call +1 555 0199. Order #88231, total $1299.\n© 2025 Acme'
+    });
+    assert.deepStrictEqual(codes, ['482913']);
+    assert.strictEqual(candidates[0].type, 'otp');
+    assert.deepStrictEqual(candidates[0].source, { part: 'text', offset: 13 });
+    assert(!candidates.some(c => ['2025', '1299'].includes(c.value) && c.confidence >= 0.5));
+  });
+
+  await test('Finds dashed codes and links in HTML-only mail', async () => {
+    const html = '<html><head><style>.c{color:#123456}</style></head><body>' +
+      '<p>Ihr Bestätigungscode lautet:</p><p><b>ABCD-1234</b></p>' +
+      '<a href="https://app.example.com/verify?token=abcdefghijklmnopqrstuvwxyz">Konto bestätigen</a> ' +
+      '<a href="https://example.com/unsubscribe">Abmelden</a></body></html>';
+    const candidates = extractCandidates({ subject: 'Willkommen', body: html, html });
+    const code = candidates.find(c => c.value === 'ABCD-1234');
+    assert.strictEqual(code.type, 'token');
+    assert.strictEqual(code.source.part, 'html');
+    const link = candidates.find(c => c.type === 'link');
+    assert.strictEqual(link.value, 'https://app.example.com/verify?token=abcdefghijklmnopqrstuvwxyz');
+    assert.strictEqual(link.purpose, 'verification');
+    assert(!candidates.some(c => c.value === '123456'));
+    assert(!candidates.some(c => c.value.includes('unsubscribe') && c.confidence >= 0.5));
+  });
+
+  await test('Recognizes magic login links and other languages', async () => {
+    const [link] = extractCandidates({ subject: 'Sign in', body: 'Click to sign in:\nhttps://example.com/auth/magic?t=Zx81kLmQpR7tY2bN4cV6' });
+    assert.strictEqual(link.purpose, 'magic_login');
+    assert.deepStrictEqual(extractVerification({ subject: 'Tu código', body: 'Tu código de verificación es 7731.' }).codes, ['7731']);
+  });
+
+  await test('Ignores dates, times and prices', async () => {
+    const { codes } = extractVerification({ subject: 'Receipt', body: 'Paid 4500 USD on 2024-05-06 at 10:30. Invoice 99812.' });
+    assert.deepStrictEqual(codes, []);
+  });
+
+  await test('Strips HTML to text', async () => {
+    assert.strictEqual(htmlToText('<p>Code:&nbsp;<b>12&#51;4</b></p><script>var x = 9999;</script>'), 'Code: 1234');
+  });
+}
+
+async function testConfirmLinks() {
+  console.log('\n📋 30. Confirmation Links\n');
+
+  const { FETCH_CONFIG, isAllowedAddress, safeFetch } = require('../src/safe-fetch');
+  const { pickLink, followLink } = require('../src/confirm-links');
+  const { createStubResolver } = require('../src/dns');
+
+  await test('POST /api/mailbox/emails/:id/confirm-link requires authentication', async () => {
+    const res = await request('POST', '/api/mailbox/emails/1/confirm-link', {});
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('PUT /api/mailbox/confirm-links requires authentication', async () => {
+    const res = await request('PUT', '/api/mailbox/confirm-links', { senders: ['github.com'] });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('Only public addresses are allowed by default', async () => {
+    for (const ip of ['93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']) assert(isAllowedAddress(ip), ip);
+    for (const ip of ['127.0.0.1', '10.0.0.5', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+      assert(!isAllowedAddress(ip), ip);
+    }
+    assert(isAllowedAddress('10.0.0.5', { ...FETCH_CONFIG, allowNetworks: ['10.0.0.0/8'] }));
+  });
+
+  await test('Picks the confirmation link, or a link named by the caller', async () => {
+    const row = {
+      subject: 'Confirm your account',
+      body: 'Confirm your email address:\nhttps://app.example.com/verify?token=Zx81kLmQpR7tY2bN4cV6\n\n' +
+        'Unsubscribe: https://app.example.com/unsubscribe'
+    };
+    assert.strictEqual(pickLink(row).value, 'https://app.example.com/verify?token=Zx81kLmQpR7tY2bN4cV6');
+    assert.strictEqual(pickLink(row, 'https://app.example.com/unsubscribe').value, 'https://app.example.com/unsubscribe');
+    assert.throws(() => pickLink(row, 'http://169.254.169.254/latest/meta-data'), /not a link in this email/);
+    assert.strictEqual(pickLink({ subject: 'Hi', body: 'No links here' }), null);
+  });
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/verify') {
+      res.writeHead(302, { Location: '/welcome' });
+      return res.end();
+    }
+    if (req.url === '/escape') {
+      res.writeHead(302, { Location: 'http://10.0.0.1/admin' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html><head><title>Email confirmed &amp; ready</title></head><body>Thanks!</body></html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  // The local test server stands in for a public site
+  const config = { ...FETCH_CONFIG, ports: [port], allowNetworks: ['127.0.0.1/32'] };
+  const resolver = createStubResolver({ 'confirm.test': { A: ['127.0.0.1'] }, 'mixed.test': { A: ['127.0.0.1', '10.0.0.1'] } });
+
+  try {
+    await test('Follows redirects and records status, final URL and title', async () => {
+      const result = await followLink(`http://confirm.test:${port}/verify`, { config, resolver });
+      assert.strictEqual(result.error, null);
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(result.final_url, `http://confirm.test:${port}/welcome`);
+      assert.deepStrictEqual(result.redirects, [`http://confirm.test:${port}/verify`]);
+      assert.strictEqual(result.title, 'Email confirmed & ready');
+    });
+
+    await test('POSTs a body without following redirects', async () => {
+      const res = await safeFetch(`http://confirm.test:${port}/verify`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}', config, resolver
+      });
+      assert.strictEqual(res.status, 302);
+      assert.deepStrictEqual(res.redirects, []);
+    });
+
+    await test('Refuses private targets, redirects to them and other ports', async () => {
+      const refused = async (url, options) => {
+        await assert.rejects(safeFetch(url, options), err => err.code === 'blocked');
+      };
+      await refused(`http://127.0.0.1:${port}/verify`, { config: { ...config, allowNetworks: [] } });
+      await refused(`http://127.0.0.1:${port}/escape`, { config });
+      await refused(`http://mixed.test:${port}/verify`, { config, resolver });
+      await refused('http://127.0.0.1:22/', { config });
+      await refused('file:///etc/passwd', { config });
+      const result = await followLink(`http://nowhere.test:${port}/`, { config, resolver });
+      assert.strictEqual(result.error.code, 'unresolved');
+    });
+  } finally {
+    server.close();
+  }
+}
+
 async function runAllTests() {
   console.log('🧪 Agent Mail API Tests');
   console.log('========================');
@@ -704,6 +1830,25 @@ async function runAllTests() {
   await testSolanaPay();
   await testEdgeCases();
   await testLandingPage();
+  await testInboundRouting();
+  await testSearchQueryParsing();
+  await testThreading();
+  await testReplyForward();
+  await testSmtpReceiver();
+  await testTransports();
+  await testMailboxLifecycle();
+  await testEphemeralMailboxes();
+  await testAliases();
+  await testCustomDomains();
+  await testDkim();
+  await testSenderAuthentication();
+  await testSpamScoring();
+  await testSenderLists();
+  await testMailRules();
+  await testAutoResponder();
+  await testWaitForEmail();
+  await testCodeCandidates();
+  await testConfirmLinks();
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
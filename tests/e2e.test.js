@@ -0,0 +1,675 @@
+/**
+ * Agent Mail End-to-End Tests
+ *
+ * Starts its own server on a scratch database with the in-memory mail
+ * transport, so mail sent through the API loops straight back into the
+ * inbound pipeline. Two seeded mailboxes mail each other:
+ * 1. IMAP ingestion over a stubbed connection: reconnects, backoff, checkpoint resume and resyncs
+ * 2. Ingestion and waiting for new mail
+ * 3. Spam filing
+ * 4. Mail rule actions
+ * 5. Auto-responder
+ * 6. Following confirmation links automatically
+ * 7. Verification codes for encrypted mailboxes
+ */
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+const ROOT = path.join(__dirname, '..');
+const TIMEOUT = 15000;
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-mail-e2e-'));
+
+// The seeding below and the server share this database, blob store and DNS records
+process.env.DB_PATH = path.join(WORK_DIR, 'agent-mail.db');
+process.env.BLOB_DIR = path.join(WORK_DIR, 'blobs');
+process.env.DNS_STUB_FILE = path.join(WORK_DIR, 'dns.json');
+
+const ADA = { id: 'e2e-ada', mailbox_id: 'e2e00001', api_key: 'am_e2e_ada', email: 'kai+e2e00001@kdn.agency' };
+const BOB = { id: 'e2e-bob', mailbox_id: 'e2e00002', api_key: 'am_e2e_bob', email: 'kai+e2e00002@kdn.agency' };
+
+let baseUrl = null;
+let server = null;
+let serverLog = '';
+
+// Requests the local site received: webhook posts and followed links
+const siteHits = [];
+let site = null;
+let sitePort = null;
+
+// Helper: HTTP request as a mailbox
+function request(agent, method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const options = {
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(agent && { Authorization: `Bearer ${agent.api_key}` })
+      },
+      timeout: TIMEOUT
+    };
+
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, data: data ? JSON.parse(data) : null });
+        } catch (e) {
+          resolve({ status: res.statusCode, data });
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    if (body) {
+      req.write(JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+// Helper: send mail from one mailbox through the API
+async function send(from, to, subject, body) {
+  const res = await request(from, 'POST', '/api/mailbox/send', { to: to.email, subject, body });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.data));
+  return res.data;
+}
+
+// Helper: the first email with a subject received since a time, via /wait
+async function waitForEmail(agent, subject, since) {
+  const query = new URLSearchParams({ subject, since, timeout: '10' });
+  const res = await request(agent, 'GET', `/api/mailbox/wait?${query}`);
+  assert.strictEqual(res.status, 200);
+  assert(res.data.email, `no email with subject "${subject}" arrived`);
+  return res.data;
+}
+
+// Helper: retry a check until it returns something truthy
+async function eventually(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${error.message}`);
+  }
+}
+
+// ============= SETUP =============
+
+// Stands in for the public sites mail points at: webhook receivers and confirmation pages
+async function startSite() {
+  site = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      siteHits.push({ method: req.method, url: req.url, body });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<html><head><title>Account confirmed</title></head><body>Welcome!</body></html>');
+    });
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  sitePort = site.address().port;
+}
+
+// Two mailboxes, and a published service domain key so their mail authenticates
+async function seed() {
+  const { initDb, getDb } = require('../src/db');
+  const { createKey, txtRecord } = require('../src/dkim');
+
+  await initDb();
+  const db = getDb();
+  for (const [agent, name] of [[ADA, 'ada'], [BOB, 'bob']]) {
+    db.prepare(`
+      INSERT INTO agents (id, moltbook_id, moltbook_name, mailbox_id, email, api_key, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(agent.id, `moltbook-${name}`, name, agent.mailbox_id, agent.email, agent.api_key, new Date().toISOString());
+  }
+  const key = createKey('kdn.agency', 'active');
+
+  const record = txtRecord(key);
+  const zone = {
+    [record.name]: { TXT: [record.value] },
+    '_dmarc.kdn.agency': { TXT: ['v=DMARC1; p=reject'] },
+    'hooks.e2e.test': { A: ['127.0.0.1'] },
+    'confirm.e2e.test': { A: ['127.0.0.1'] }
+  };
+  fs.writeFileSync(process.env.DNS_STUB_FILE, JSON.stringify(zone));
+}
+
+async function startServer() {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(ROOT, 'src', 'server.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      MAIL_TRANSPORT: 'memory',
+      AUTHSERV_IDS: '',
+      // The local site stands in for public hosts
+      SAFE_FETCH_PORTS: String(sitePort),
+      SAFE_FETCH_ALLOW_NETWORKS: '127.0.0.1/32'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => serverLog += chunk);
+  server.stderr.on('data', chunk => serverLog += chunk);
+
+  await eventually(async () => {
+    try {
+      return (await request(null, 'GET', '/health')).status === 200;
+    } catch (err) {
+      return false;
+    }
+  }, TIMEOUT);
+}
+
+// ============= SUITES =============
+
+/*
+ * Stand-in for a node-imap connection to a shared INBOX. It answers UID SEARCH
+ * from the mailbox's messages, and connection attempts listed in failures are
+ * refused.
+ */
+class FakeImap extends EventEmitter {
+  constructor(mailbox, fail) {
+    super();
+    this.mailbox = mailbox;
+    this.fail = fail;
+    this.searches = [];
+  }
+
+  connect() {
+    setImmediate(() => {
+      if (this.fail) {
+        this.emit('error', new Error('connection refused'));
+        return this.emit('close');
+      }
+      this.emit('ready');
+    });
+  }
+
+  openBox(name, readOnly, callback) {
+    callback(null, { name, uidvalidity: this.mailbox.uidvalidity });
+  }
+
+  serverSupports(capability) {
+    return capability === 'IDLE';
+  }
+
+  search(criteria, callback) {
+    this.searches.push(criteria);
+    const from = parseInt(criteria[0][1]);
+    callback(null, this.mailbox.messages.filter(m => m.uid >= from).map(m => m.uid));
+  }
+
+  fetch(uids) {
+    const f = new EventEmitter();
+    setImmediate(async () => {
+      for (const { uid, raw } of this.mailbox.messages.filter(m => uids.includes(m.uid))) {
+        const msg = new EventEmitter();
+        const stream = new PassThrough();
+        const ended = new Promise(resolve => stream.once('end', resolve));
+        f.emit('message', msg, uid);
+        msg.emit('attributes', { uid, date: new Date() });
+        msg.emit('body', stream, { which: '' });
+        stream.end(raw);
+        stream.resume();
+        await ended;
+      }
+      f.emit('end');
+    });
+    return f;
+  }
+
+  // Drop the connection, as a server or network would
+  drop() {
+    this.emit('close');
+  }
+
+  end() {
+    this.emit('end');
+  }
+}
+
+async function testImapWatcher() {
+  console.log('\n📋 1. IMAP Ingestion\n');
+
+  const { watchInbox } = require('../src/imap');
+  const { syncInbox } = require('../src/ingest');
+  const { getDb } = require('../src/db');
+  const FOLDER = 'imap:e2e';
+
+  const message = (uid, subject) => ({
+    uid,
+    raw: Buffer.from(`From: Ana <ana@example.com>\r\nTo: ${BOB.email}\r\nSubject: ${subject}\r\n` +
+      `Message-ID: <${uid}@example.com>\r\nDate: Mon, 1 Jan 2024 10:00:00 +0000\r\n\r\nHello ${uid}\r\n`)
+  });
+  const mailbox = { uidvalidity: 7, messages: [message(1, 'IMAP one'), message(2, 'IMAP two')] };
+
+  // The first two attempts are refused; later ones connect
+  const connections = [];
+  const attempts = [];
+  let syncing = Promise.resolve();
+  const watcher = watchInbox((fetch) => {
+    syncing = syncing.then(() => syncInbox(fetch, FOLDER));
+  }, {
+    retryMs: 50,
+    createConnection: () => {
+      attempts.push(Date.now());
+      const conn = new FakeImap(mailbox, attempts.length <= 2);
+      connections.push(conn);
+      return conn;
+    }
+  });
+  const checkpoint = () => getDb().prepare('SELECT * FROM sync_state WHERE folder = ?').get(FOLDER);
+
+  try {
+    await test('Retries refused connections with growing delays', async () => {
+      await eventually(() => checkpoint()?.last_uid === 2);
+      assert.strictEqual(attempts.length, 3);
+      assert(attempts[1] - attempts[0] >= 50);
+      assert(attempts[2] - attempts[1] >= 100, 'second retry should wait twice as long');
+    });
+
+    await test('Resumes from the saved checkpoint after a dropped connection', async () => {
+      mailbox.messages.push(message(3, 'IMAP three'));
+      connections[2].drop();
+      await eventually(() => checkpoint()?.last_uid === 3);
+      assert.strictEqual(connections.length, 4);
+      assert.deepStrictEqual(connections[3].searches[0][0], ['UID', '3:*']);
+    });
+
+    await test('Fetches new mail when the server reports it', async () => {
+      mailbox.messages.push(message(4, 'IMAP four'));
+      connections[3].emit('mail', 1);
+      await eventually(() => checkpoint()?.last_uid === 4);
+      assert.deepStrictEqual(connections[3].searches.map(criteria => criteria[0][1]), ['3:*', '4:*']);
+      const subjects = getDb().prepare('SELECT subject FROM messages WHERE mailbox_id = ? ORDER BY subject')
+        .all(BOB.mailbox_id).map(row => row.subject);
+      assert.deepStrictEqual(subjects, ['IMAP four', 'IMAP one', 'IMAP three', 'IMAP two']);
+    });
+  } finally {
+    watcher.stop();
+    await syncing;
+  }
+
+  await test('Mail to an expired mailbox is acknowledged once, even after a resync', async () => {
+    const { simpleParser } = require('mailparser');
+    const expired = { id: 'e2e-agent-cal', mailbox_id: 'e2e00003', email: 'kai+e2e00003@kdn.agency' };
+    getDb().prepare(`
+      INSERT INTO agents (id, moltbook_name, mailbox_id, email, api_key, created_at, expires_at, auto_reply)
+      VALUES (?, 'cal', ?, ?, 'am_e2e_cal', ?, ?, ?)
+    `).run(expired.id, expired.mailbox_id, expired.email, new Date().toISOString(),
+      new Date(Date.now() - 60000).toISOString(), JSON.stringify({ active: true }));
+
+    const raw = Buffer.from(`From: Ana <ana@example.com>\r\nTo: ${expired.email}\r\nSubject: Still there?\r\n` +
+      `Message-ID: <expired@example.com>\r\n\r\nHello\r\n`);
+    const parsed = await simpleParser(raw);
+    // The same message seen twice: UIDVALIDITY changes in between, so the second pass is a full resync
+    const fetchWith = uidvalidity => async () => ({ uidvalidity, full: true, messages: [{ uid: 1, parsed, raw, receivedAt: new Date() }] });
+    const first = await syncInbox(fetchWith(1), 'imap:e2e-resync');
+    const second = await syncInbox(fetchWith(2), 'imap:e2e-resync');
+
+    assert.deepStrictEqual(first.stored.map(entry => [entry.agent.mailbox_id, entry.retired]), [[expired.mailbox_id, true]]);
+    assert.strictEqual(second.initial, false);
+    assert.deepStrictEqual(second.stored, []);
+  });
+}
+
+async function testIngestion() {
+  console.log('\n📋 2. Ingestion and Waiting\n');
+
+  const since = new Date().toISOString();
+  const waiting = waitForEmail(BOB, 'Your sign-in code', since);
+  await send(ADA, BOB, 'Your sign-in code', 'Your verification code is 482913. It expires in 10 minutes.');
+  const arrival = await waiting;
+
+  await test('Waiting request returns the new email with its code', async () => {
+    assert.strictEqual(arrival.timed_out, false);
+    assert.deepStrictEqual(arrival.codes, ['482913']);
+    assert.strictEqual(arrival.email.delivered_to, BOB.email);
+  });
+
+  await test('Mail between mailboxes authenticates', async () => {
+    assert.strictEqual(arrival.email.trust, 'trusted');
+    assert.strictEqual(arrival.email.authentication.dkim[0].result, 'pass');
+  });
+
+  await test('Inbox lists the email; the sender keeps a copy', async () => {
+    const inbox = await request(BOB, 'GET', '/api/mailbox/emails');
+    assert.strictEqual(inbox.status, 200);
+    assert(inbox.data.emails.some(email => email.id === arrival.email.id));
+
+    const sent = await request(ADA, 'GET', '/api/mailbox/emails?folder=sent');
+    assert(sent.data.emails.some(email => email.subject === 'Your sign-in code'));
+  });
+
+  await test('Raw source round-trips', async () => {
+    const res = await request(BOB, 'GET', `/api/mailbox/emails/${arrival.email.id}?format=raw`);
+    assert.strictEqual(res.status, 200);
+    assert(String(res.data).includes('Subject: Your sign-in code'));
+  });
+
+  await test('Reply-all leaves out the mailbox\'s aliases', async () => {
+    const alias = (await request(BOB, 'POST', '/api/mailbox/aliases', { tag: 'team' })).data.alias;
+    const since = new Date().toISOString();
+    const sent = await request(ADA, 'POST', '/api/mailbox/send',
+      { to: `${BOB.email}, ${alias.address}`, subject: 'Team offsite', body: 'Who is in?' });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.data));
+    const { email } = await waitForEmail(BOB, 'Team offsite', since);
+
+    const reply = await request(BOB, 'POST', `/api/mailbox/emails/${email.id}/reply`, { body: 'Count me in', reply_all: true });
+    assert.strictEqual(reply.status, 200, JSON.stringify(reply.data));
+    assert.deepStrictEqual(reply.data.cc, []);
+  });
+}
+
+async function testSpamFiling() {
+  console.log('\n📋 3. Spam Filing\n');
+
+  const threshold = await request(BOB, 'PUT', '/api/mailbox/spam', { threshold: 2 });
+  assert.strictEqual(threshold.status, 200);
+  await send(ADA, BOB, 'CLAIM YOUR PRIZE NOW', 'Collect it at http://203.0.113.9/claim or http://winner@prize.example/claim');
+
+  let email = null;
+  await test('Mail scoring over the threshold lands in spam', async () => {
+    email = await eventually(async () => {
+      const res = await request(BOB, 'GET', '/api/mailbox/emails?folder=spam');
+      return res.data.emails.find(candidate => candidate.subject === 'CLAIM YOUR PRIZE NOW');
+    });
+    const fired = email.spam.rules.map(rule => rule.name);
+    assert(fired.includes('ip-address-link'), fired.join(', '));
+  });
+
+  await test('Threads leave out spam unless asked for the spam folder', async () => {
+    const threads = await request(BOB, 'GET', '/api/mailbox/threads');
+    assert(!threads.data.threads.some(thread => thread.id === email.thread_id));
+    const spam = await request(BOB, 'GET', '/api/mailbox/threads?folder=spam');
+    assert.strictEqual(spam.data.threads.find(thread => thread.id === email.thread_id).message_count, 1);
+  });
+
+  await test('Marking it not spam moves it to the inbox', async () => {
+    const res = await request(BOB, 'POST', `/api/mailbox/emails/${email.id}/not-spam`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.data.folder, 'inbox');
+    const stored = await request(BOB, 'GET', `/api/mailbox/emails/${email.id}`);
+    assert.strictEqual(stored.data.email.folder, 'inbox');
+    assert.strictEqual(stored.data.email.spam.label, 'ham');
+  });
+
+  await request(BOB, 'PUT', '/api/mailbox/spam', { threshold: null });
+}
+
+async function testRuleActions() {
+  console.log('\n📋 4. Mail Rule Actions\n');
+
+  await test('Webhook rules to private addresses are refused', async () => {
+    const res = await request(BOB, 'POST', '/api/mailbox/rules', {
+      name: 'Metadata',
+      conditions: {},
+      actions: [{ type: 'webhook', url: `http://169.254.169.254:${sitePort}/latest` }]
+    });
+    assert.strictEqual(res.status, 400);
+  });
+
+  const forward = { type: 'forward', to: ADA.email };
+  await test('Forward rules need a verified target', async () => {
+    const refused = await request(BOB, 'POST', '/api/mailbox/rules', { name: 'Forward', conditions: {}, actions: [forward] });
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.data.error, /not verified/);
+
+    const since = new Date().toISOString();
+    const added = await request(BOB, 'POST', '/api/mailbox/forward-targets', { address: ADA.email });
+    assert.strictEqual(added.status, 200, JSON.stringify(added.data));
+    assert.strictEqual(added.data.target.status, 'pending');
+    const { codes } = await waitForEmail(ADA, `Confirm forwarding from ${BOB.email}`, since);
+
+    const verifyPath = `/api/mailbox/forward-targets/${added.data.target.id}/verify`;
+    const wrong = await request(BOB, 'POST', verifyPath, { code: codes[0] === '000000' ? '111111' : '000000' });
+    assert.strictEqual(wrong.status, 400);
+    const verified = await request(BOB, 'POST', verifyPath, { code: codes[0] });
+    assert.strictEqual(verified.status, 200, JSON.stringify(verified.data));
+    assert.strictEqual(verified.data.target.status, 'verified');
+  });
+
+  const created = await request(BOB, 'POST', '/api/mailbox/rules', {
+    name: 'Deploys',
+    conditions: { subject: 'deploy' },
+    actions: [{ type: 'label', label: 'ci' }, { type: 'webhook', url: `http://hooks.e2e.test:${sitePort}/hook` }, forward]
+  });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.data));
+
+  const since = new Date().toISOString();
+  await send(ADA, BOB, 'deploy finished', 'Build 42 is live.');
+  const { email } = await waitForEmail(BOB, 'deploy finished', since);
+
+  await test('Matching mail is labelled', async () => {
+    assert.deepStrictEqual(email.labels, ['ci']);
+  });
+
+  await test('Matching mail is posted to the rule webhook', async () => {
+    const hit = await eventually(() => siteHits.find(h => h.method === 'POST' && h.url === '/hook'));
+    const payload = JSON.parse(hit.body);
+    assert.strictEqual(payload.event, 'email.received');
+    assert.strictEqual(payload.mailbox_id, BOB.mailbox_id);
+    assert.strictEqual(payload.email.id, email.id);
+  });
+
+  await test('The rule counts its matches', async () => {
+    const res = await request(BOB, 'GET', '/api/mailbox/rules');
+    assert.strictEqual(res.data.rules.find(rule => rule.id === created.data.rule.id).matches, 1);
+  });
+
+  await test('Matching mail is forwarded to the verified target', async () => {
+    const { email: forwarded } = await waitForEmail(ADA, 'Fwd: deploy finished', since);
+    assert(forwarded.body.includes('Build 42 is live.'));
+  });
+}
+
+async function testAutoReply() {
+  console.log('\n📋 5. Auto-Responder\n');
+
+  const enabled = await request(BOB, 'PUT', '/api/mailbox/auto-reply', { active: true, body: 'Away until Monday, {{sender}}.' });
+  assert.strictEqual(enabled.status, 200, JSON.stringify(enabled.data));
+
+  const since = new Date().toISOString();
+  await send(ADA, BOB, 'Lunch on Friday?', 'Shall we meet at noon?');
+
+  await test('The sender gets the auto-reply', async () => {
+    const { email } = await waitForEmail(ADA, 'Auto: Lunch on Friday?', since);
+    assert.strictEqual(email.body.trim(), `Away until Monday, ${ADA.email}.`);
+    assert(email.thread_id);
+  });
+
+  await test('Rule auto-replies share the auto-responder\'s per-sender cooldown', async () => {
+    // The webhook runs after the auto_reply action, so once it fires the reply was decided
+    const rule = await request(BOB, 'POST', '/api/mailbox/rules', {
+      name: 'Invoices',
+      conditions: { subject: 'invoice' },
+      actions: [{ type: 'auto_reply', body: 'Thanks, received.' }, { type: 'webhook', url: `http://hooks.e2e.test:${sitePort}/invoice` }]
+    });
+    assert.strictEqual(rule.status, 200, JSON.stringify(rule.data));
+    await send(ADA, BOB, 'invoice 7', 'Attached.');
+    await eventually(() => siteHits.find(h => h.url === '/invoice'));
+
+    const inbox = await request(ADA, 'GET', '/api/mailbox/emails');
+    assert(!inbox.data.emails.some(email => email.subject === 'Re: invoice 7'), 'ADA was answered within the cooldown');
+    await request(BOB, 'DELETE', `/api/mailbox/rules/${rule.data.rule.id}`);
+  });
+
+  await request(BOB, 'PUT', '/api/mailbox/auto-reply', { active: false });
+}
+
+async function testAutoConfirm() {
+  console.log('\n📋 6. Automatic Link Confirmation\n');
+
+  const allowed = await request(BOB, 'PUT', '/api/mailbox/confirm-links', { senders: ['kdn.agency'] });
+  assert.strictEqual(allowed.status, 200, JSON.stringify(allowed.data));
+
+  const link = `http://confirm.e2e.test:${sitePort}/verify?token=Zx81kLmQpR7tY2bN4cV6`;
+  const since = new Date().toISOString();
+  await send(ADA, BOB, 'Confirm your account', `Confirm your email address:\n${link}\n`);
+  const { email } = await waitForEmail(BOB, 'Confirm your account', since);
+
+  await test('The confirmation link is followed on arrival', async () => {
+    const confirmation = await eventually(async () => {
+      const res = await request(BOB, 'GET', `/api/mailbox/emails/${email.id}`);
+      return res.data.email.link_confirmation;
+    });
+    assert.strictEqual(confirmation.automatic, true);
+    assert.strictEqual(confirmation.status, 200);
+    assert.strictEqual(confirmation.title, 'Account confirmed');
+    assert(siteHits.some(h => h.method === 'GET' && h.url === '/verify?token=Zx81kLmQpR7tY2bN4cV6'));
+  });
+}
+
+async function testEncryptedCodes() {
+  console.log('\n📋 7. Encrypted Mailboxes\n');
+
+  const { decrypt } = require('../src/crypto');
+  const { decodeBase64 } = require('tweetnacl-util');
+  const keys = (await request(BOB, 'POST', '/api/encryption/keypair')).data;
+  const registered = await request(BOB, 'PUT', '/api/encryption/key', { public_key: keys.publicKey });
+  assert.strictEqual(registered.status, 200, JSON.stringify(registered.data));
+
+  let since = new Date().toISOString();
+  await send(ADA, BOB, 'Your login code', 'Your verification code is 730516.');
+  const plain = await waitForEmail(BOB, 'Your login code', since);
+
+  await test('Codes stay in plaintext by default; the body is encrypted', async () => {
+    assert.strictEqual(registered.data.seal_verification, false);
+    assert.strictEqual(plain.encrypted, true);
+    assert.deepStrictEqual(plain.codes, ['730516']);
+    assert.deepStrictEqual(plain.email.codes, ['730516']);
+    assert(!plain.email.body.includes('730516'));
+  });
+
+  const sealing = await request(BOB, 'PUT', '/api/encryption/key', { public_key: keys.publicKey, seal_verification: true });
+  assert.strictEqual(sealing.status, 200, JSON.stringify(sealing.data));
+  since = new Date().toISOString();
+  await send(ADA, BOB, 'Your second login code', 'Your verification code is 264801.');
+  const sealed = await waitForEmail(BOB, 'Your second login code', since);
+
+  await test('With seal_verification, codes are only in the sealed verification fields', async () => {
+    assert.strictEqual(sealed.codes, undefined);
+    assert.strictEqual(sealed.email.codes, undefined);
+    const { content, nonce, serverPublicKey } = sealed.email.verification;
+    const fields = JSON.parse(decrypt(content, nonce, serverPublicKey, decodeBase64(keys.secretKey)));
+    assert.deepStrictEqual(fields.codes, ['264801']);
+
+    const latest = await request(BOB, 'GET', '/api/mailbox/emails?codes=true');
+    assert.strictEqual(latest.data.codes, undefined);
+    assert(latest.data.verification.content);
+  });
+
+  await request(BOB, 'DELETE', '/api/encryption/key');
+}
+
+async function runAllTests() {
+  console.log('🧪 Agent Mail End-to-End Tests');
+  console.log('==============================');
+
+  const startTime = Date.now();
+
+  try {
+    await startSite();
+    await seed();
+    // Runs in this process before the server starts, so the server loads what it stored
+    await testImapWatcher();
+    await startServer();
+    console.log(`Target: ${baseUrl}`);
+
+    await testIngestion();
+    await testSpamFiling();
+    await testRuleActions();
+    await testAutoReply();
+    await testAutoConfirm();
+    await testEncryptedCodes();
+  } catch (err) {
+    failed++;
+    results.push({ name: 'Test run aborted', status: 'FAIL', error: err.message });
+    console.log(`  ❌ ${err.message}`);
+  } finally {
+    if (server) server.kill();
+    if (site) site.close();
+    fs.rmSync(WORK_DIR, { recursive: true, force: true });
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  console.log('\n==============================');
+  console.log('📊 Test Results Summary');
+  console.log('==============================');
+  console.log(`Total: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log(`⏱️  Duration: ${duration}s`);
+
+  if (failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    results.filter(r => r.status === 'FAIL').forEach(r => {
+      console.log(`   - ${r.name}: ${r.error}`);
+    });
+    console.log('\nServer log:\n' + serverLog.split('\n').slice(-20).join('\n'));
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+}
+
+// Run tests
+runAllTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});